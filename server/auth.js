@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+
+const TOKEN_TTL = parseInt(process.env.AUTH_TOKEN_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128; // Every login hashes it - megabyte passwords would keep scrypt busy
+const GUEST_LIMIT = parseInt(process.env.GUESTS_PER_HOUR, 10) || 5; // Guest accounts one address may create per window
+const GUEST_WINDOW = 60 * 60 * 1000;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Thrown for anything the client did wrong - the route turns it into a 4xx
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const key = await scrypt(password, salt);
+    const expectedKey = Buffer.from(expected, 'hex');
+    return expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+class AuthService {
+    constructor(accountStore, logger = console) {
+        this.accountStore = accountStore;
+        this.logger = logger;
+        this.pendingUsernames = new Set(); // Usernames being registered right now, so two requests can't both win
+        this.guestCreations = new Map(); // Address -> when it created guests within the last GUEST_WINDOW
+
+        this.secret = process.env.AUTH_SECRET;
+        if (!this.secret) {
+            // Fine for local development, but every restart logs everyone out
+            this.secret = crypto.randomBytes(32).toString('hex');
+            this.logger.warn('⚠️ AUTH_SECRET not set - using a random secret, tokens will not survive a restart');
+        }
+    }
+
+    // Tokens are base64url(payload).base64url(HMAC-SHA256(payload))
+    signToken(account) {
+        const payload = Buffer.from(JSON.stringify({
+            sub: account.id,
+            name: account.username,
+            guest: !!account.isGuest,
+            exp: Date.now() + TOKEN_TTL
+        })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    // Returns the token payload, or null if the token is missing, forged or expired
+    verifyToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return claims.exp > Date.now() ? claims : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async register(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Username must be 3-20 letters, numbers or underscores');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (password.length > MAX_PASSWORD_LENGTH) {
+            throw new AuthError(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+        }
+
+        // Hashing the password yields to other requests - hold the name until the account is saved
+        const usernameKey = username.toLowerCase();
+        if (this.pendingUsernames.has(usernameKey)) {
+            throw new AuthError('Username is already taken', 409);
+        }
+        this.pendingUsernames.add(usernameKey);
+
+        try {
+            if (await this.accountStore.findByUsername(username)) {
+                throw new AuthError('Username is already taken', 409);
+            }
+
+            const account = {
+                id: `acct_${crypto.randomUUID()}`,
+                username,
+                passwordHash: await hashPassword(password),
+                isGuest: false,
+                createdAt: Date.now()
+            };
+            await this.accountStore.save(account);
+            await this.accountStore.flush();
+
+            this.logger.info(`🔐 Registered account ${username} (${account.id})`);
+            return this.createSession(account);
+        } finally {
+            this.pendingUsernames.delete(usernameKey);
+        }
+    }
+
+    async login(username, password) {
+        const account = typeof username === 'string' ? await this.accountStore.findByUsername(username) : null;
+
+        // Same message for unknown user and wrong password so usernames can't be probed.
+        // No account can have a password past the limit, so it isn't worth hashing.
+        password = String(password || '');
+        if (!account || account.isGuest || password.length > MAX_PASSWORD_LENGTH || !(await verifyPassword(password, account.passwordHash))) {
+            throw new AuthError('Invalid username or password', 401);
+        }
+
+        this.logger.info(`🔐 Account ${account.username} logged in`);
+        return this.createSession(account);
+    }
+
+    // Guests need no login, so each address may only create GUEST_LIMIT of them per GUEST_WINDOW -
+    // otherwise anyone could fill the account store
+    async createGuest(address = 'unknown', now = Date.now()) {
+        this.claimGuestSlot(address, now);
+
+        const account = {
+            id: `guest_${crypto.randomUUID()}`,
+            username: `Guest_${crypto.randomBytes(3).toString('hex')}`,
+            passwordHash: null,
+            isGuest: true,
+            createdAt: Date.now()
+        };
+        await this.accountStore.save(account);
+        await this.accountStore.flush();
+
+        this.logger.info(`👤 Created guest account ${account.username}`);
+        return this.createSession(account);
+    }
+
+    claimGuestSlot(address, now) {
+        // Forget addresses whose window has passed so the Map doesn't grow forever
+        this.guestCreations.forEach((times, key) => {
+            if (now - times[times.length - 1] >= GUEST_WINDOW) this.guestCreations.delete(key);
+        });
+
+        const recent = (this.guestCreations.get(address) || []).filter(time => now - time < GUEST_WINDOW);
+        if (recent.length >= GUEST_LIMIT) {
+            this.logger.warn(`🔒 Refused a guest account for ${address}: ${GUEST_LIMIT} already this hour`);
+            throw new AuthError('Too many guest accounts from your address - try again later', 429);
+        }
+        recent.push(now);
+        this.guestCreations.set(address, recent);
+    }
+
+    createSession(account) {
+        return {
+            token: this.signToken(account),
+            account: this.publicAccount(account)
+        };
+    }
+
+    publicAccount(account) {
+        return {
+            id: account.id,
+            username: account.username,
+            isGuest: !!account.isGuest
+        };
+    }
+
+    // Express middleware - requires "Authorization: Bearer <token>"
+    requireAuth() {
+        return (req, res, next) => {
+            const header = req.headers.authorization || '';
+            const claims = this.verifyToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+            if (!claims) {
+                return res.status(401).json({ error: 'Not logged in' });
+            }
+            req.accountId = claims.sub;
+            next();
+        };
+    }
+
+    // Socket.IO middleware - the client sends its token in the handshake auth payload
+    socketMiddleware() {
+        return async (socket, next) => {
+            const claims = this.verifyToken(socket.handshake.auth?.token);
+            if (!claims) {
+                this.logger.warn(`🔒 Rejected socket ${socket.id}: missing or invalid token`);
+                return next(new Error('Authentication required'));
+            }
+
+            try {
+                const account = await this.accountStore.get(claims.sub);
+                if (!account) {
+                    return next(new Error('Account not found'));
+                }
+                socket.data.account = this.publicAccount(account);
+                next();
+            } catch (error) {
+                this.logger.error('❌ Socket authentication failed:', error.message);
+                next(new Error('Authentication failed'));
+            }
+        };
+    }
+}
+
+module.exports = {
+    AuthService,
+    AuthError,
+    hashPassword,
+    verifyPassword
+};
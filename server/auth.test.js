@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AuthService } = require('./auth');
+const { MemoryAccountStore } = require('./persistence');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+test('two concurrent registrations of one username create one account', async () => {
+    const store = new MemoryAccountStore();
+    const auth = new AuthService(store, quietLogger);
+
+    const results = await Promise.allSettled([
+        auth.register('scribe', 'password1'),
+        auth.register('Scribe', 'password2')
+    ]);
+
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    assert.strictEqual(succeeded.length, 1);
+    assert.strictEqual(rejected[0].reason.status, 409);
+    assert.strictEqual(store.records.size, 1);
+});
+
+test('a registration that fails to save releases the username', async () => {
+    const store = new MemoryAccountStore();
+    const save = store.save.bind(store);
+    store.save = async () => { throw new Error('disk full'); };
+    const auth = new AuthService(store, quietLogger);
+
+    await assert.rejects(auth.register('potter', 'password1'), /disk full/);
+    store.save = save;
+    const session = await auth.register('potter', 'password1');
+    assert.strictEqual(session.account.username, 'potter');
+});
+
+test('one address can only create a few guest accounts an hour', async () => {
+    const store = new MemoryAccountStore();
+    const auth = new AuthService(store, quietLogger);
+    const now = 1000000;
+
+    for (let i = 0; i < 5; i++) {
+        await auth.createGuest('10.0.0.1', now + i);
+    }
+    await assert.rejects(auth.createGuest('10.0.0.1', now + 10), error => error.status === 429);
+    assert.strictEqual(store.records.size, 5);
+
+    // Another address isn't affected, and the first one can go again once the hour is up
+    await auth.createGuest('10.0.0.2', now + 10);
+    await auth.createGuest('10.0.0.1', now + 60 * 60 * 1000 + 5);
+    assert.strictEqual(store.records.size, 7);
+});
+
+test('passwords longer than the limit are turned away before hashing', async () => {
+    const auth = new AuthService(new MemoryAccountStore(), quietLogger);
+    await assert.rejects(auth.register('mason', 'x'.repeat(129)), /at most 128/);
+
+    await auth.register('mason', 'password1');
+    await assert.rejects(auth.login('mason', 'x'.repeat(100000)), error => error.status === 401);
+});
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { createStartingInventory, createStartingSkills, getCombatLevel, STARTING_GOLD } = require('./gameplay');
+
+const MAX_CHARACTERS_PER_ACCOUNT = parseInt(process.env.MAX_CHARACTERS_PER_ACCOUNT, 10) || 5;
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_ ]{1,19}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_APPEARANCE = { color: '#6b8e23' }; // Olive green, same as the client's default capsule
+
+// Thrown for anything the client did wrong - the route turns it into a 4xx
+class CharacterError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CharacterError';
+        this.status = status;
+    }
+}
+
+function normalizeName(name) {
+    return name.trim().replace(/\s+/g, ' ');
+}
+
+function sanitizeAppearance(appearance = {}) {
+    return {
+        color: COLOR_PATTERN.test(appearance.color) ? appearance.color.toLowerCase() : DEFAULT_APPEARANCE.color
+    };
+}
+
+// Characters are player records owned by an account - this is the only place they get created or deleted
+class CharacterService {
+    constructor(playerStore, logger = console) {
+        this.playerStore = playerStore;
+        this.logger = logger;
+        this.pendingNames = new Set(); // Names being created right now, so two requests can't both win
+    }
+
+    summarize(character) {
+        return {
+            id: character.id,
+            name: character.name,
+            appearance: character.appearance || DEFAULT_APPEARANCE,
+            level: getCombatLevel(character.skills),
+            createdAt: character.createdAt || null
+        };
+    }
+
+    async listCharacters(accountId) {
+        const characters = await this.playerStore.listByAccount(accountId);
+        return characters
+            .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+            .map(character => this.summarize(character));
+    }
+
+    async createCharacter(accountId, { name, appearance } = {}) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(normalizeName(name))) {
+            throw new CharacterError('Name must be 2-20 characters and start with a letter');
+        }
+        name = normalizeName(name);
+        const nameKey = name.toLowerCase();
+
+        if (this.pendingNames.has(nameKey)) {
+            throw new CharacterError('That name is already taken', 409);
+        }
+        this.pendingNames.add(nameKey);
+
+        try {
+            if (await this.playerStore.findByName(name)) {
+                throw new CharacterError('That name is already taken', 409);
+            }
+
+            const existing = await this.playerStore.listByAccount(accountId);
+            if (existing.length >= MAX_CHARACTERS_PER_ACCOUNT) {
+                throw new CharacterError(`An account can have at most ${MAX_CHARACTERS_PER_ACCOUNT} characters`);
+            }
+
+            const character = {
+                id: `char_${crypto.randomUUID()}`,
+                accountId,
+                name,
+                appearance: sanitizeAppearance(appearance),
+                // Random starting position near the centre of the world
+                position: {
+                    x: (Math.random() - 0.5) * 50,
+                    y: 0,
+                    z: (Math.random() - 0.5) * 50
+                },
+                rotation: { x: 0, y: 0, z: 0 },
+                skills: createStartingSkills(),
+                inventory: createStartingInventory(),
+                equipment: {},
+                gold: STARTING_GOLD,
+                createdAt: Date.now()
+            };
+
+            await this.playerStore.save(character);
+            await this.playerStore.flush();
+
+            this.logger.info(`🧍 Account ${accountId} created character ${name} (${character.id})`);
+            return this.summarize(character);
+        } finally {
+            this.pendingNames.delete(nameKey);
+        }
+    }
+
+    // Returns the saved character, or throws if it doesn't exist or belongs to someone else
+    async getOwnedCharacter(accountId, characterId) {
+        const character = typeof characterId === 'string' ? await this.playerStore.load(characterId) : null;
+        if (!character || character.accountId !== accountId) {
+            throw new CharacterError('Character not found', 404);
+        }
+        return character;
+    }
+
+    async deleteCharacter(accountId, characterId, isOnline = false) {
+        const character = await this.getOwnedCharacter(accountId, characterId);
+        if (isOnline) {
+            throw new CharacterError('Log out of this character before deleting it', 409);
+        }
+
+        await this.playerStore.remove(characterId);
+        await this.playerStore.flush();
+
+        this.logger.info(`🗑️ Account ${accountId} deleted character ${character.name} (${characterId})`);
+    }
+}
+
+module.exports = {
+    CharacterService,
+    CharacterError,
+    MAX_CHARACTERS_PER_ACCOUNT
+};
@@ -0,0 +1,77 @@
+// Item, recipe, skill and world definitions shared with the client (shared/content/*.json).
+// The JSON is read synchronously so other modules can use it right away;
+// validateContent() must pass and loadRules() must finish before the server starts accepting players.
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const CONTENT_DIR = path.join(__dirname, '../shared/content');
+const RULES_MODULE = path.join(CONTENT_DIR, 'rules.mjs');
+
+const itemsFile = require(path.join(CONTENT_DIR, 'items.json'));
+const recipesFile = require(path.join(CONTENT_DIR, 'recipes.json'));
+const skillsFile = require(path.join(CONTENT_DIR, 'skills.json'));
+const world = require(path.join(CONTENT_DIR, 'world.json'));
+
+const items = itemsFile.items;
+const recipes = recipesFile.recipes;
+const stations = recipesFile.stations || {};
+const startingInventory = itemsFile.startingInventory || [];
+const qualityTiers = itemsFile.qualityTiers || [];
+const skills = skillsFile.skills;
+const maxSkillLevel = skillsFile.maxLevel;
+
+// The validator is ESM so the Vite client can import it too
+async function validateContent(logger = console) {
+    const { assertValidContent } = await import(pathToFileURL(path.join(CONTENT_DIR, 'validate.mjs')).href);
+    assertValidContent(itemsFile, recipesFile, skillsFile, world);
+    logger.info(`📚 Loaded ${Object.keys(items).length} items, ${Object.keys(recipes).length} recipes and ${Object.keys(skills).length} skills`);
+}
+
+// The formulas shared with the client (XP curve, crafted quality, gathering odds, repair costs)
+let rules = null;
+
+// rules.mjs is ESM like the validator, so it can only be loaded asynchronously
+async function loadRules() {
+    rules = await import(pathToFileURL(RULES_MODULE).href);
+    return rules;
+}
+
+function getRules() {
+    if (!rules) throw new Error('Shared rules not loaded - await content.loadRules() first');
+    return rules;
+}
+
+function getItem(itemId) {
+    return items[itemId];
+}
+
+function getRecipe(itemId) {
+    return recipes[itemId];
+}
+
+// Name of the best tier the quality reaches (qualityTiers is sorted by min)
+function getQualityTier(quality) {
+    let tier = qualityTiers[0];
+    qualityTiers.forEach(candidate => {
+        if (quality >= candidate.min) tier = candidate;
+    });
+    return tier?.name || 'Standard';
+}
+
+module.exports = {
+    items,
+    recipes,
+    stations,
+    startingInventory,
+    qualityTiers,
+    skills,
+    maxSkillLevel,
+    world,
+    getItem,
+    getRecipe,
+    getQualityTier,
+    validateContent,
+    loadRules,
+    getRules
+};
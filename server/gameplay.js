@@ -0,0 +1,740 @@
+// Server-side rules for crafting, gathering and building.
+// The server owns inventories and skills - clients only ask, these helpers decide.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { CELL_STATES } = require('./worldGrid');
+const content = require('./content');
+const { getGroundHeight } = require('./terrain');
+
+const MAX_INVENTORY_SLOTS = 64; // Same as InventorySystem.maxSlots on the client
+const GATHER_RANGE = 8; // How close a player must stand to a resource node
+const GATHER_INTERVAL = 2400; // ms between gathering attempts - same as GatheringSystem on the client
+const BUILD_RANGE = 10; // How far away a player can place a building
+const CRAFT_TIME_TOLERANCE = 300; // ms of network jitter allowed when a timed craft finishes
+const REPAIR_RANGE = 6; // How close a player must stand to a repair station
+const STATION_RANGE = 6; // How close a player must stand to the crafting station a recipe needs
+const STARTING_GOLD = 100; // Same as InventorySystem on the client
+const EQUIPMENT_SLOTS = ['head', 'chest', 'legs', 'feet', 'weapon', 'offhand', 'accessory']; // Same as InventorySystem.equipment
+
+// Resource nodes, stations and landmarks come from shared/content/world.json, so the client draws them
+// where the server expects them. Every gather success takes one charge; an empty node respawns
+// with full charges after respawnTime ms.
+const RESOURCE_NODES = content.world.resourceNodes;
+const REPAIR_STATIONS = content.world.repairStations; // Where worn items get repaired
+const CRAFTING_STATIONS = content.world.craftingStations; // Where recipes with a station are made
+
+// Cells the world's structures block, in the same order WorldManager registers them with the
+// client's GridManager (rocks are random per client, so they aren't here)
+const WORLD_FOOTPRINTS = (() => {
+    const { footprints } = content.world;
+    const place = (id, kind, position, size = {}) => ({ id, x: position.x, z: position.z, ...footprints[kind], ...size });
+    return [
+        // Pyramids are turned 45° so their faces line up with the grid - same size as WorldManager.createPyramids()
+        ...content.world.pyramids.map((pyramid, index) => place(`pyramid_${index + 1}`, 'pyramid', pyramid, { width: pyramid.size * Math.SQRT2, depth: pyramid.size * Math.SQRT2 })),
+        ...content.world.temples.map((temple, index) => place(`temple_${index + 1}`, 'temple', temple)),
+        ...content.world.sphinxes.map((sphinx, index) => place(`sphinx_${index + 1}`, 'sphinx', sphinx)),
+        ...content.world.obelisks.map((obelisk, index) => place(`obelisk_${index + 1}`, 'obelisk', obelisk)),
+        ...RESOURCE_NODES.map(node => place(node.id, node.type, node.position)),
+        ...REPAIR_STATIONS.map(station => place(station.id, 'repair_bench', station.position)),
+        ...CRAFTING_STATIONS.map(station => place(station.id, station.type, station.position)),
+        ...content.world.palms.map((palm, index) => place(`palm_${index + 1}`, 'palm', palm)),
+        place('medieval_house', 'house', content.world.house)
+    ];
+})();
+
+// Buildings players can place - size is the footprint in grid cells
+const BUILDING_TYPES = {
+    campfire: { size: 1, materials: [{ id: 'wood', quantity: 3 }] },
+    storage_chest: { size: 1, materials: [{ id: 'wood', quantity: 8 }] },
+    mud_brick_wall: { size: 2, materials: [{ id: 'wood', quantity: 2 }] }
+};
+
+function getCraftingRecipe(itemId) {
+    return content.getRecipe(itemId);
+}
+
+// OSRS experience curve - shared/content/rules.mjs, the same table SkillsSystem uses on the client
+function getExperienceForLevel(level) {
+    return content.getRules().getExperienceForLevel(level, content.maxSkillLevel);
+}
+
+function getLevelForExperience(experience) {
+    return content.getRules().getLevelForExperience(experience, content.maxSkillLevel);
+}
+
+// Skills like hitpoints don't start at level 1
+function getStartingExperience(skill) {
+    return getExperienceForLevel(content.skills[skill]?.startLevel || 1);
+}
+
+function createStartingSkills() {
+    const skills = {};
+    Object.keys(content.skills).forEach(skill => {
+        const experience = getStartingExperience(skill);
+        skills[skill] = { level: getLevelForExperience(experience), experience };
+    });
+    return skills;
+}
+
+// Fills in missing skills and re-derives levels from XP, so saves from before the
+// XP curve changed (or with hand-edited levels) end up consistent
+function normalizeSkills(saved = {}) {
+    const skills = createStartingSkills();
+    Object.keys(skills).forEach(skill => {
+        const experience = Number(saved[skill]?.experience);
+        if (Number.isFinite(experience) && experience > skills[skill].experience) {
+            skills[skill] = { level: getLevelForExperience(experience), experience };
+        }
+    });
+    return skills;
+}
+
+function getSkillLevel(player, skill) {
+    return player.skills[skill]?.level || content.skills[skill]?.startLevel || 1;
+}
+
+// Same formula as SkillsSystem.getCombatLevel() on the client
+function getCombatLevel(skills = {}) {
+    const level = skill => skills[skill]?.level || content.skills[skill]?.startLevel || 1;
+    return Math.floor(0.25 * (level('defence') + level('hitpoints')) + 0.325 * (level('attack') + level('strength')));
+}
+
+function getItemQuantity(player, itemId) {
+    return player.inventory
+        .filter(item => item.id === itemId)
+        .reduce((total, item) => total + item.quantity, 0);
+}
+
+function hasRequiredMaterials(player, materials) {
+    // Check if player has all required materials
+    return materials.every(material => getItemQuantity(player, material.id) >= material.quantity);
+}
+
+function isBroken(entry) {
+    return entry.durability !== undefined && entry.durability <= 0;
+}
+
+// First copy of the item that still works, or null
+function findUsableItem(player, itemId) {
+    return player.inventory.find(entry => entry.id === itemId && !isBroken(entry)) || null;
+}
+
+// Why none of toolIds can be used - a broken one is worth telling the player about
+function getToolError(player, toolIds) {
+    const broken = toolIds.find(toolId => getItemQuantity(player, toolId) > 0);
+    if (broken) {
+        return `Your ${content.getItem(broken).name} is broken`;
+    }
+    return `Requires ${toolIds.join(' or ')}`;
+}
+
+// Takes durability off an item instance. Returns true if this use broke it.
+function wearItem(entry, amount) {
+    if (!entry.uid || isBroken(entry)) return false;
+    entry.durability = Math.max(0, entry.durability - amount);
+    return entry.durability === 0;
+}
+
+// Wears one working copy of each tool and returns the names of any that broke
+function wearTools(player, toolIds = []) {
+    const broken = [];
+    toolIds.forEach(toolId => {
+        const tool = findUsableItem(player, toolId);
+        if (tool && wearItem(tool, content.getRules().WEAR_PER_USE.tool)) {
+            broken.push(content.getItem(toolId).name);
+        }
+    });
+    return broken;
+}
+
+// Returns null if a timed craft of itemId has run for its full recipe time, otherwise the reason it hasn't
+function getCraftTimingError(player, itemId, now = Date.now()) {
+    const action = player.activeCraft;
+    if (!action || action.itemId !== itemId) {
+        return 'You are not crafting that';
+    }
+    if (now - action.startedAt < action.duration - CRAFT_TIME_TOLERANCE) {
+        return 'Crafting not finished';
+    }
+    return null;
+}
+
+// Returns null if the player can craft the recipe right now, otherwise the reason they can't
+function getCraftingError(player, recipe, fires = []) {
+    if (getSkillLevel(player, recipe.skill) < recipe.level) {
+        return `Requires ${recipe.skill} level ${recipe.level}`;
+    }
+    const missingTool = recipe.tools.find(tool => !findUsableItem(player, tool));
+    if (missingTool) {
+        return getItemQuantity(player, missingTool) > 0
+            ? getToolError(player, [missingTool])
+            : `Requires ${recipe.tools.join(', ')}`;
+    }
+    if (!hasRequiredMaterials(player, recipe.materials)) {
+        return 'Insufficient materials';
+    }
+    const stations = getRecipeStations(recipe);
+    if (stations.length > 0 && !stations.some(type => getNearbyCraftingStation(player.position, type, fires))) {
+        return `You need to be at the ${stations.map(type => content.stations[type].name).join(' or ')}`;
+    }
+    return null;
+}
+
+// A recipe names one station or a list of them (a fire or a range) - any of them will do
+function getRecipeStations(recipe) {
+    if (!recipe.station) return [];
+    return Array.isArray(recipe.station) ? recipe.station : [recipe.station];
+}
+
+// The station of that type within range of position, or null. Fires players have lit count as stations too.
+function getNearbyCraftingStation(position, stationType, fires = []) {
+    return [...CRAFTING_STATIONS, ...fires].find(station =>
+        station.type === stationType && distanceBetween(position, station.position) <= STATION_RANGE
+    ) || null;
+}
+
+// Chance a craft comes out at all (smelting iron can fail) - shared with CraftingSystem on the client
+function getCraftSuccessChance(player, recipe) {
+    return content.getRules().getCraftSuccessChance(recipe, getSkillLevel(player, recipe.skill));
+}
+
+// What a failed craft leaves behind (burnt fish) - null if it just fails
+function getCraftFailItem(recipe) {
+    return recipe.successChance?.failItem || null;
+}
+
+function consumeMaterials(player, materials) {
+    materials.forEach(material => {
+        let remaining = material.quantity;
+        player.inventory.forEach(item => {
+            if (item.id !== material.id || remaining <= 0) return;
+            const taken = Math.min(item.quantity, remaining);
+            item.quantity -= taken;
+            remaining -= taken;
+        });
+    });
+    player.inventory = player.inventory.filter(item => item.quantity > 0);
+}
+
+// What the inventory looks like right now, so a consumeMaterials can be undone
+function snapshotInventory(player) {
+    return player.inventory.map(entry => ({ entry, quantity: entry.quantity }));
+}
+
+// Puts back the very same entries - instances keep their uid and durability, stacks their size and order
+function restoreInventory(player, snapshot) {
+    player.inventory = snapshot.map(({ entry, quantity }) => {
+        entry.quantity = quantity;
+        return entry;
+    });
+}
+
+// Non-stackable items are instances - each has its own uid and keeps its quality, stats,
+// durability and crafter through equipping, trading and saving
+function createItemInstance(itemId, properties = {}) {
+    const item = content.getItem(itemId);
+    const { durability: baseDurability = content.getRules().DEFAULT_DURABILITY, ...baseStats } = item.stats || {};
+    const quality = properties.quality ?? 1.0;
+    const maxDurability = properties.maxDurability ?? baseDurability;
+
+    return {
+        uid: uuidv4(),
+        id: itemId,
+        quantity: 1,
+        quality,
+        qualityTier: content.getQualityTier(quality),
+        durability: properties.durability ?? maxDurability,
+        maxDurability,
+        stats: properties.stats || baseStats,
+        crafterName: properties.crafterName || null,
+        createdAt: properties.createdAt || Date.now()
+    };
+}
+
+// What the player's skill puts into a crafted item - shared with CraftingSystem on the client
+function getCraftedProperties(player, recipe, itemId) {
+    return content.getRules().getCraftedProperties(content.getItem(itemId), getSkillLevel(player, recipe.skill), player.name);
+}
+
+// Saves from before item instances stored every item as { id, quantity } - split the
+// non-stackable ones into instances and drop items that no longer exist
+function normalizeInventory(inventory = []) {
+    const normalized = [];
+    inventory.forEach(entry => {
+        const item = content.getItem(entry?.id);
+        if (!item) return;
+
+        if (item.stackable || entry.uid) {
+            normalized.push(entry);
+            return;
+        }
+        for (let i = 0; i < entry.quantity; i++) {
+            normalized.push(createItemInstance(entry.id));
+        }
+    });
+    return normalized;
+}
+
+// How many new inventory entries adding these items would take (same stacking rules as InventorySystem)
+function getSlotsNeeded(player, itemId, quantity) {
+    const item = content.getItem(itemId);
+    if (!item.stackable) return quantity;
+
+    const room = player.inventory
+        .filter(entry => entry.id === itemId)
+        .reduce((total, entry) => total + Math.max(0, item.maxStack - entry.quantity), 0);
+    return Math.ceil(Math.max(0, quantity - room) / item.maxStack);
+}
+
+function canAddItem(player, itemId, quantity = 1) {
+    if (!content.getItem(itemId)) return false;
+    return player.inventory.length + getSlotsNeeded(player, itemId, quantity) <= MAX_INVENTORY_SLOTS;
+}
+
+// properties only apply to non-stackable items - see createItemInstance
+function addItemToInventory(player, itemId, quantity = 1, properties = {}) {
+    if (!canAddItem(player, itemId, quantity)) return false;
+
+    const item = content.getItem(itemId);
+    let remaining = quantity;
+
+    // Top up existing stacks first, then open new ones
+    if (item.stackable) {
+        player.inventory.forEach(entry => {
+            if (entry.id !== itemId || remaining <= 0) return;
+            const added = Math.min(remaining, item.maxStack - entry.quantity);
+            if (added > 0) {
+                entry.quantity += added;
+                remaining -= added;
+            }
+        });
+    }
+
+    while (remaining > 0) {
+        if (!item.stackable) {
+            player.inventory.push(createItemInstance(itemId, properties));
+            remaining--;
+            continue;
+        }
+        const added = Math.min(remaining, item.maxStack);
+        player.inventory.push({ id: itemId, quantity: added });
+        remaining -= added;
+    }
+    return true;
+}
+
+// Move an existing instance in as-is (trades, unequipping) - its uid and properties stay the same
+function addItemInstance(player, instance) {
+    if (player.inventory.length >= MAX_INVENTORY_SLOTS) return false;
+    player.inventory.push(instance);
+    return true;
+}
+
+// Takes the instance out of the inventory and returns it, or null if the player doesn't have it
+function removeItemInstance(player, uid) {
+    const index = player.inventory.findIndex(entry => entry.uid === uid);
+    if (index === -1) return null;
+    return player.inventory.splice(index, 1)[0];
+}
+
+// Where an item is worn - same choice as InventorySystem.equipItem on the client.
+// null if it can't be worn at all.
+function getEquipmentSlot(itemId) {
+    const item = content.getItem(itemId);
+    if (!item) return null;
+    if (item.equipmentSlot) return item.equipmentSlot;
+    if (item.type === 'weapon') return 'weapon';
+    if (item.type === 'armor') return 'chest';
+    return null;
+}
+
+// Returns null if the player can put on this instance from their bag, otherwise why not
+function getEquipError(player, uid) {
+    const entry = typeof uid === 'string' ? player.inventory.find(item => item.uid === uid) : null;
+    if (!entry) return 'Item not found';
+
+    const item = content.getItem(entry.id);
+    if (!getEquipmentSlot(entry.id)) return `You can't equip the ${item.name}`;
+    if (isBroken(entry)) return `Your ${item.name} is broken - repair it first`;
+    return getRequirementError(player, item.requirements);
+}
+
+// Combat level and skill requirements on equipment - same check as InventorySystem.getRequirementError
+function getRequirementError(player, requirements) {
+    const skillLevel = skill => (content.skills[skill] ? getSkillLevel(player, skill) : null);
+    const unmet = content.getRules().getUnmetRequirement(requirements, getCombatLevel(player.skills), skillLevel);
+    if (!unmet) return null;
+    return unmet.requirement === 'level'
+        ? `Requires combat level ${unmet.level}`
+        : `Requires ${content.skills[unmet.requirement].name} level ${unmet.level}`;
+}
+
+// Moves the instance from the bag to its equipment slot, swapping out whatever was there.
+// Taking it out first leaves a free slot for the swapped item. Returns the slot it went to.
+function equipItem(player, uid) {
+    const instance = removeItemInstance(player, uid);
+    const slot = getEquipmentSlot(instance.id);
+
+    if (player.equipment[slot]) {
+        addItemInstance(player, player.equipment[slot]);
+    }
+    player.equipment[slot] = instance;
+    return slot;
+}
+
+function getUnequipError(player, slot) {
+    if (!EQUIPMENT_SLOTS.includes(slot) || !player.equipment[slot]) return 'Nothing equipped there';
+    if (player.inventory.length >= MAX_INVENTORY_SLOTS) return 'Inventory full';
+    return null;
+}
+
+// Puts the worn instance back in the bag as-is and returns it
+function unequipItem(player, slot) {
+    const instance = player.equipment[slot];
+    addItemInstance(player, instance);
+    player.equipment[slot] = null;
+    return instance;
+}
+
+function addResourcesToInventory(player, resources) {
+    return resources.every(resource => addItemToInventory(player, resource.id, resource.quantity));
+}
+
+// Adds XP and returns the new level if the skill levelled up, otherwise null
+function addExperience(player, skill, amount) {
+    if (!content.skills[skill]) return null;
+    if (!player.skills[skill]) {
+        const experience = getStartingExperience(skill);
+        player.skills[skill] = { level: getLevelForExperience(experience), experience };
+    }
+
+    const entry = player.skills[skill];
+    const startLevel = entry.level;
+    entry.experience += amount;
+
+    // Big XP drops can skip more than one level
+    entry.level = getLevelForExperience(entry.experience);
+
+    return entry.level > startLevel ? entry.level : null;
+}
+
+// What every new character starts with (shared/content/items.json)
+function createStartingInventory() {
+    const player = { inventory: [] };
+    content.startingInventory.forEach(entry => addItemToInventory(player, entry.id, entry.quantity));
+    return player.inventory;
+}
+
+function createResourceNodes() {
+    return RESOURCE_NODES.map(node => ({
+        ...node,
+        position: { x: node.position.x, y: getGroundHeight(node.position.x, node.position.z), z: node.position.z },
+        available: true,
+        maxCharges: node.charges,
+        respawnAt: null,
+        lastGatheredAt: null,
+        timesGathered: 0
+    }));
+}
+
+// What clients need to draw a node full or depleted - sent in world_state and resource_update
+function getResourceState(resource) {
+    return {
+        id: resource.id,
+        available: resource.available,
+        charges: resource.charges,
+        maxCharges: resource.maxCharges,
+        respawnAt: resource.respawnAt
+    };
+}
+
+function isResourceAvailable(resource) {
+    return resource.available !== false;
+}
+
+function distanceBetween(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// Returns null if a gathering attempt is due, otherwise the reason it isn't.
+// Attempts come every GATHER_INTERVAL, whichever node they're on.
+function getGatherTimingError(player, now = Date.now()) {
+    if (player.lastGatherAt && now - player.lastGatherAt < GATHER_INTERVAL - CRAFT_TIME_TOLERANCE) {
+        return 'You are already gathering';
+    }
+    return null;
+}
+
+// The working tool out of toolIds with the highest efficiency (crafted quality counts), or null
+function findBestTool(player, toolIds) {
+    return content.getRules().findBestTool(player.inventory, toolIds, { getItem: content.getItem, isBroken });
+}
+
+// Shared with GatheringSystem on the client - see getGatherChance in shared/content/rules.mjs
+function getGatherChance(player, resource, tool) {
+    const rules = content.getRules();
+    const efficiency = tool ? rules.getToolEfficiency(tool, content.getItem(tool.id)) : 1;
+    return rules.getGatherChance(resource, getSkillLevel(player, resource.type), efficiency);
+}
+
+// Decide the outcome of one gathering attempt.
+// Returns { success: true, resources, experience } or { success: false, error } -
+// missed is set when the attempt was made but the roll failed, so the player keeps going
+function calculateGatheringResult(player, resource, random = Math.random) {
+    if (distanceBetween(player.position, resource.position) > GATHER_RANGE) {
+        return { success: false, error: 'Too far away' };
+    }
+
+    const level = getSkillLevel(player, resource.type);
+    if (level < resource.level) {
+        return { success: false, error: `Requires ${resource.type} level ${resource.level}` };
+    }
+
+    // Some nodes need a tool (the best of resource.tools the player has) - it wears on every attempt
+    let tool = null;
+    if (resource.tools) {
+        tool = findBestTool(player, resource.tools);
+        if (!tool) {
+            return { success: false, error: getToolError(player, resource.tools) };
+        }
+    }
+
+    if (!canAddItem(player, resource.item)) {
+        return { success: false, error: 'Inventory full' };
+    }
+
+    if (random() > getGatherChance(player, resource, tool)) {
+        return { success: false, missed: true, error: `You fail to gather from the ${resource.name}`, tool };
+    }
+
+    return {
+        success: true,
+        resources: [{ id: resource.item, quantity: 1 }],
+        experience: resource.experience,
+        tool
+    };
+}
+
+// Gold and (if the item has a recipe) materials for a full repair - shared with InventorySystem on the client
+function getRepairCost(entry) {
+    return content.getRules().getRepairCost(entry, content.getItem(entry.id), content.getRecipe(entry.id));
+}
+
+function getNearestRepairStation(position) {
+    return REPAIR_STATIONS.find(station => distanceBetween(position, station.position) <= REPAIR_RANGE) || null;
+}
+
+// Returns null if the player can repair this instance with the given payment ('gold' or 'materials')
+function getRepairError(player, entry, payment) {
+    if (!entry) return 'Item not found';
+    if (!entry.uid || entry.durability >= entry.maxDurability) return 'Nothing to repair';
+    if (!getNearestRepairStation(player.position)) return 'You need to be at a repair station';
+
+    const cost = getRepairCost(entry);
+    if (payment === 'materials') {
+        if (!cost.materials) return 'This item can only be repaired for gold';
+        if (!hasRequiredMaterials(player, cost.materials)) return 'Insufficient materials';
+    } else if (payment === 'gold') {
+        if ((player.gold || 0) < cost.gold) return `Requires ${cost.gold} gold`;
+    } else {
+        return 'Unknown payment';
+    }
+    return null;
+}
+
+// Pays for and fully restores the instance - check getRepairError first
+function repairItem(player, entry, payment) {
+    const cost = getRepairCost(entry);
+    if (payment === 'materials') {
+        consumeMaterials(player, cost.materials);
+    } else {
+        player.gold -= cost.gold;
+    }
+    entry.durability = entry.maxDurability;
+    return cost;
+}
+
+// A successful gather takes one charge. Returns true if that emptied the node -
+// it stays unavailable until respawnResource runs at resource.respawnAt.
+function updateResourceState(resource, now = Date.now()) {
+    resource.lastGatheredAt = now;
+    resource.timesGathered++;
+    resource.charges = Math.max(0, resource.charges - 1);
+
+    if (resource.charges > 0) return false;
+    resource.available = false;
+    resource.respawnAt = now + resource.respawnTime;
+    return true;
+}
+
+function respawnResource(resource) {
+    resource.charges = resource.maxCharges;
+    resource.available = true;
+    resource.respawnAt = null;
+}
+
+function getBuildingCells(grid, buildingType, position) {
+    const origin = grid.worldToGrid(position.x, position.z);
+    const size = BUILDING_TYPES[buildingType].size;
+    const cells = [];
+    for (let x = origin.x; x < origin.x + size; x++) {
+        for (let z = origin.z; z < origin.z + size; z++) {
+            cells.push({ gridX: x, gridZ: z });
+        }
+    }
+    return cells;
+}
+
+// Returns null if the building can go here, otherwise the reason it can't
+function canPlaceBuilding(player, grid, buildingType, position) {
+    const type = BUILDING_TYPES[buildingType];
+    if (!type) return 'Unknown building type';
+
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+        return 'Invalid position';
+    }
+
+    if (distanceBetween(player.position, position) > BUILD_RANGE) {
+        return 'Too far away';
+    }
+
+    const blocked = getBuildingCells(grid, buildingType, position)
+        .some(cell => !grid.isInBounds(cell.gridX, cell.gridZ) ||
+            [CELL_STATES.OBSTACLE, CELL_STATES.WATER, CELL_STATES.BUILDING].includes(grid.getCellState(cell.gridX, cell.gridZ)));
+    if (blocked) return 'Cannot place building here';
+
+    if (!hasRequiredMaterials(player, type.materials)) {
+        return 'Insufficient materials';
+    }
+
+    return null;
+}
+
+// Spends the materials, claims the footprint on the grid and returns the new building
+function createBuilding(player, grid, buildingType, position, rotation = 0) {
+    consumeMaterials(player, BUILDING_TYPES[buildingType].materials);
+
+    const cells = getBuildingCells(grid, buildingType, position);
+    cells.forEach(cell => grid.setCellState(cell.gridX, cell.gridZ, CELL_STATES.BUILDING));
+
+    return {
+        id: `building_${crypto.randomUUID()}`,
+        type: buildingType,
+        position: { x: position.x, y: getGroundHeight(position.x, position.z), z: position.z },
+        rotation: Number.isFinite(rotation) ? rotation : 0,
+        ownerId: player.id,
+        ownerName: player.name,
+        cells,
+        createdAt: Date.now()
+    };
+}
+
+// Lighting a fire takes a working tinderbox and one wood, and never on top of another fire
+function getLightFireError(player, fires) {
+    if (!findUsableItem(player, 'tinderbox')) {
+        return getToolError(player, ['tinderbox']);
+    }
+    if (getItemQuantity(player, 'wood') < 1) {
+        return 'You need some wood';
+    }
+    if (fires.some(fire => distanceBetween(player.position, fire.position) < content.getRules().FIRE_SPACING)) {
+        return 'There is already a fire here';
+    }
+    return null;
+}
+
+// Burns one wood where the player stands. Returns the fire (a cooking station until expiresAt) and any tool that broke.
+function lightFire(player) {
+    consumeMaterials(player, [{ id: 'wood', quantity: 1 }]);
+    const brokenTools = wearTools(player, ['tinderbox']);
+
+    const fire = {
+        id: `fire_${crypto.randomUUID()}`,
+        type: 'fire',
+        position: { x: player.position.x, y: getGroundHeight(player.position.x, player.position.z), z: player.position.z },
+        ownerId: player.id,
+        expiresAt: Date.now() + content.getRules().FIRE_DURATION
+    };
+    return { fire, brokenTools };
+}
+
+// Food heals by its heals stat; raw and burnt food has none
+function getEatError(player, itemId, now = Date.now()) {
+    const item = content.getItem(itemId);
+    if (!item || getItemQuantity(player, itemId) < 1) {
+        return 'You have none to eat';
+    }
+    if (!item.stats?.heals) {
+        return `You can't eat the ${item.name}`;
+    }
+    if (player.lastEatAt && now - player.lastEatAt < content.getRules().EAT_DELAY) {
+        return 'You are still eating';
+    }
+    return null;
+}
+
+// Eats one and returns how much health it gives back
+function eatFood(player, itemId) {
+    consumeMaterials(player, [{ id: itemId, quantity: 1 }]);
+    player.lastEatAt = Date.now();
+    return content.getItem(itemId).stats.heals;
+}
+
+module.exports = {
+    BUILDING_TYPES,
+    REPAIR_STATIONS,
+    CRAFTING_STATIONS,
+    WORLD_FOOTPRINTS,
+    STARTING_GOLD,
+    getCraftingRecipe,
+    getSkillLevel,
+    getCombatLevel,
+    createStartingSkills,
+    normalizeSkills,
+    hasRequiredMaterials,
+    isBroken,
+    findUsableItem,
+    wearItem,
+    wearTools,
+    getRepairCost,
+    getRepairError,
+    repairItem,
+    getCraftingError,
+    getCraftTimingError,
+    getGatherTimingError,
+    getCraftSuccessChance,
+    getCraftFailItem,
+    consumeMaterials,
+    snapshotInventory,
+    restoreInventory,
+    canAddItem,
+    createItemInstance,
+    getCraftedProperties,
+    normalizeInventory,
+    addItemToInventory,
+    addItemInstance,
+    removeItemInstance,
+    getEquipError,
+    equipItem,
+    getUnequipError,
+    unequipItem,
+    addResourcesToInventory,
+    addExperience,
+    getExperienceForLevel,
+    getLevelForExperience,
+    createStartingInventory,
+    createResourceNodes,
+    isResourceAvailable,
+    getResourceState,
+    respawnResource,
+    getGatherChance,
+    calculateGatheringResult,
+    updateResourceState,
+    canPlaceBuilding,
+    createBuilding,
+    getLightFireError,
+    lightFire,
+    getEatError,
+    eatFood
+};
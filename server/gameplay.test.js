@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const gameplay = require('./gameplay');
+const content = require('./content');
+const { WorldGrid } = require('./worldGrid');
+const { applyTerrain } = require('./terrain');
+
+test.before(() => Promise.all([content.loadRules(), applyTerrain(new WorldGrid(), { info: () => {} })]));
+
+function createPlayer() {
+    return { name: 'Tester', inventory: gameplay.createStartingInventory(), equipment: {}, skills: gameplay.createStartingSkills() };
+}
+
+test('equipping and unequipping moves the same instance', () => {
+    const player = createPlayer();
+    const torch = player.inventory.find(entry => entry.id === 'torch');
+    torch.durability = 42;
+
+    assert.strictEqual(gameplay.getEquipError(player, torch.uid), null);
+    assert.strictEqual(gameplay.equipItem(player, torch.uid), 'offhand');
+    assert.strictEqual(player.equipment.offhand, torch);
+    assert.ok(!player.inventory.includes(torch));
+
+    assert.strictEqual(gameplay.getUnequipError(player, 'offhand'), null);
+    gameplay.unequipItem(player, 'offhand');
+    assert.strictEqual(player.equipment.offhand, null);
+    const back = player.inventory.find(entry => entry.uid === torch.uid);
+    assert.strictEqual(back.durability, 42);
+});
+
+test('only wearable instances can be equipped', () => {
+    const player = createPlayer();
+    const hammer = player.inventory.find(entry => entry.id === 'hammer');
+
+    assert.match(gameplay.getEquipError(player, hammer.uid), /can't equip/);
+    assert.strictEqual(gameplay.getEquipError(player, undefined), 'Item not found');
+    assert.strictEqual(gameplay.getUnequipError(player, 'offhand'), 'Nothing equipped there');
+});
+
+test('equipment requirements are checked against the player\'s levels', () => {
+    const player = createPlayer();
+    const sword = gameplay.createItemInstance('bronze_sword');
+    const armor = gameplay.createItemInstance('bronze_armor');
+    const leather = gameplay.createItemInstance('leather_armor');
+    [sword, armor, leather].forEach(instance => gameplay.addItemInstance(player, instance));
+
+    assert.strictEqual(gameplay.getEquipError(player, sword.uid), 'Requires Strength level 5');
+    assert.strictEqual(gameplay.getEquipError(player, armor.uid), 'Requires combat level 5');
+    assert.strictEqual(gameplay.getEquipError(player, leather.uid), null); // Agility isn't a skill yet
+
+    player.skills.strength = { level: 5, experience: gameplay.getExperienceForLevel(5) };
+    assert.strictEqual(gameplay.getEquipError(player, sword.uid), null);
+});
+
+test('restoring a snapshot gives back the same instances after consuming them', () => {
+    const player = createPlayer();
+    const chisel = player.inventory.find(entry => entry.id === 'chisel');
+    chisel.durability = 17;
+    const wood = player.inventory.find(entry => entry.id === 'wood').quantity;
+
+    const snapshot = gameplay.snapshotInventory(player);
+    gameplay.consumeMaterials(player, [{ id: 'chisel', quantity: 1 }, { id: 'wood', quantity: 3 }]);
+    assert.ok(!player.inventory.includes(chisel));
+
+    gameplay.restoreInventory(player, snapshot);
+    const restored = player.inventory.find(entry => entry.id === 'chisel');
+    assert.strictEqual(restored, chisel);
+    assert.strictEqual(restored.durability, 17);
+    assert.strictEqual(player.inventory.find(entry => entry.id === 'wood').quantity, wood);
+});
+
+test('the shared rules give the numbers the README promises', () => {
+    const player = createPlayer();
+    assert.strictEqual(gameplay.getExperienceForLevel(2), 83);
+    assert.strictEqual(gameplay.getLevelForExperience(13034431), 99);
+
+    // Level 1 copper with the starting bronze pickaxe: base chance plus 3% for its efficiency of 2
+    const copper = gameplay.createResourceNodes().find(node => node.id === 'copper_mine');
+    const pickaxe = player.inventory.find(entry => entry.id === 'bronze_pickaxe');
+    assert.strictEqual(gameplay.getGatherChance(player, copper, pickaxe), copper.baseChance + 0.03);
+
+    pickaxe.durability = pickaxe.maxDurability / 2;
+    assert.strictEqual(gameplay.getRepairCost(pickaxe).gold, Math.ceil(content.getItem('bronze_pickaxe').value * 0.25));
+});
@@ -4,6 +4,54 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const { createPlayerStore, createAccountStore } = require('./persistence');
+const { AuthService, AuthError } = require('./auth');
+const { CharacterService, CharacterError } = require('./characters');
+const { WorldGrid } = require('./worldGrid');
+const { applyTerrain, getGroundHeight } = require('./terrain');
+const { MovementValidator } = require('./movement');
+const { InterestManager } = require('./interest');
+const content = require('./content');
+const gameplay = require('./gameplay');
+const {
+    getCraftingRecipe,
+    getCraftingError,
+    getCraftTimingError,
+    getGatherTimingError,
+    getCraftSuccessChance,
+    getCraftFailItem,
+    consumeMaterials,
+    snapshotInventory,
+    restoreInventory,
+    createItemInstance,
+    getCraftedProperties,
+    normalizeInventory,
+    normalizeSkills,
+    addItemInstance,
+    getEquipError,
+    equipItem,
+    getUnequipError,
+    unequipItem,
+    canAddItem,
+    addItemToInventory,
+    wearItem,
+    wearTools,
+    getRepairError,
+    repairItem,
+    STARTING_GOLD,
+    addResourcesToInventory,
+    isResourceAvailable,
+    getResourceState,
+    respawnResource,
+    calculateGatheringResult,
+    updateResourceState,
+    canPlaceBuilding,
+    createBuilding,
+    getLightFireError,
+    lightFire,
+    getEatError,
+    eatFood
+} = gameplay;
 
 // Logging system
 class Logger {
@@ -57,6 +105,15 @@ class Logger {
 const logger = new Logger();
 logger.info('🚀 Server starting up...');
 
+// Player persistence (see server/persistence.js for available stores)
+const playerStore = createPlayerStore(logger);
+const PLAYER_SAVE_INTERVAL = parseInt(process.env.PLAYER_SAVE_INTERVAL_MS, 10) || 30000;
+
+// Accounts and session tokens (see server/auth.js)
+const accountStore = createAccountStore(logger);
+const auth = new AuthService(accountStore, logger);
+const characters = new CharacterService(playerStore, logger);
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -67,6 +124,11 @@ const io = socketIo(server, {
 });
 
 // Middleware
+// On Railway every request comes through its proxy - trust it for the client address (req.ip),
+// which limits guest accounts per address
+if (process.env.PORT) {
+    app.set('trust proxy', 1);
+}
 app.use(cors());
 app.use(express.json());
 
@@ -170,10 +232,13 @@ const gameState = {
     playerSessions: new Map(), // Track multiple sessions per player
     world: {
         size: 1000,
-        chunks: new Map()
+        chunks: new Map() // "x,z" -> { key, x, z, players } - see interest.js
     },
-    resources: new Map(),
+    resources: new Map(), // Filled by buildWorldGrid - nodes sit on the terrain, so it has to be loaded first
     buildings: new Map(),
+    fires: new Map(), // Lit by players, gone at expiresAt (FIRE_DURATION in shared/content/rules.mjs) - cooking stations while they burn
+    // Walkability grid used to validate movement (mirrors the client's GridManager)
+    grid: new WorldGrid(1000, 2),
     // Add synchronized world time
     worldTime: {
         time: 0.35, // Start at 8:24 AM (same as client)
@@ -182,6 +247,31 @@ const gameState = {
     }
 };
 
+const movementValidator = new MovementValidator(gameState.grid, logger);
+
+// What anyone may see of a player - other clients and the /api/player routes.
+// Only the owner gets their skills, inventory, equipment and gold (player_joined).
+const PUBLIC_PLAYER_FIELDS = ['id', 'name', 'appearance', 'position', 'rotation', 'lastMove'];
+
+function toPublicPlayer(player) {
+    const visible = {};
+    PUBLIC_PLAYER_FIELDS.forEach(field => {
+        if (player[field] !== undefined) {
+            visible[field] = player[field];
+        }
+    });
+    return visible;
+}
+
+// Players only hear about players near them (chunk rooms, see interest.js)
+const interest = new InterestManager(io, gameState, {
+    chunkSize: parseInt(process.env.AOI_CHUNK_SIZE, 10) || undefined,
+    viewRadius: parseInt(process.env.AOI_VIEW_RADIUS, 10) || undefined,
+    toPublicPlayer,
+    toResourceState: getResourceState
+});
+logger.info(`👁️ Interest management: ${interest.chunkSize}-unit chunks, ${interest.viewRadius}-unit view radius`);
+
 // Update world time every second
 setInterval(() => {
     const now = Date.now();
@@ -197,7 +287,8 @@ setInterval(() => {
     
     gameState.worldTime.lastUpdate = now;
     
-    // Broadcast time update to all connected players
+    // Broadcast time update to all connected players - one small packet a second,
+    // and everyone needs it, so it stays global rather than going through chunk rooms
     if (gameState.players.size > 0) {
         io.emit('world_time_update', {
             time: gameState.worldTime.time,
@@ -206,81 +297,124 @@ setInterval(() => {
     }
 }, 1000); // Update every second
 
+// Periodically save everyone who is online
+async function saveAllPlayers() {
+    if (gameState.players.size === 0) return;
+
+    try {
+        await playerStore.saveAll(gameState.players.values());
+        await playerStore.flush();
+    } catch (error) {
+        logger.error('❌ Periodic player save failed:', error.message);
+    }
+}
+
+setInterval(saveAllPlayers, PLAYER_SAVE_INTERVAL);
+
+// Every socket must present a valid session token in its handshake
+io.use(auth.socketMiddleware());
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-    logger.info(`🔌 New socket connection: ${socket.id}`);
+    const account = socket.data.account;
+    logger.info(`🔌 New socket connection: ${socket.id} (account ${account.username})`);
     logger.info(`📊 Current players in world: ${gameState.players.size}`);
     
     // Track connection time
     const connectionTime = Date.now();
     
     // Player joins
-    socket.on('player_join', (playerData) => {
+    socket.on('player_join', async (playerData) => {
         logger.info(`🌍 Player join request from ${socket.id}:`, playerData);
         
-        // Check if this is a new session for an existing player
-        let playerId = playerData.sessionId; // Use session ID if provided
-        let isNewPlayer = false;
-        
-        if (!playerId) {
-            // Generate a new player ID for first-time players
-            playerId = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            isNewPlayer = true;
+        // A socket plays one character at a time
+        if (gameState.playerSessions.has(socket.id)) {
+            logger.warn(`⚠️ Socket ${socket.id} tried to join twice`);
+            return;
         }
         
-        // Check if we already have this player
+        // The character must belong to the authenticated account - never trust an ID on its own
+        const playerId = playerData?.characterId;
         let player = gameState.players.get(playerId);
+        let isNewPlayer = false;
+        
+        if (player && player.accountId !== account.id) {
+            player = null;
+        }
         
         if (!player) {
-            // Generate a random starting position for the player
-            const startX = (Math.random() - 0.5) * 50; // Random position within 50 units
-            const startZ = (Math.random() - 0.5) * 50;
+            let savedPlayer;
+            try {
+                savedPlayer = await characters.getOwnedCharacter(account.id, playerId);
+            } catch (error) {
+                if (!(error instanceof CharacterError)) {
+                    logger.error(`❌ Failed to load character ${playerId}:`, error.message);
+                }
+                logger.warn(`🚫 Account ${account.username} cannot join as character ${playerId}`);
+                socket.emit('player_joined', { success: false, message: 'Character not found' });
+                return;
+            }
             
-            player = {
-                id: playerId,
-                name: playerData.name || `Player_${playerId.slice(-4)}`,
-                position: { 
-                    x: startX, 
-                    y: 0, 
-                    z: startZ 
-                },
-                rotation: playerData.rotation || { x: 0, y: 0, z: 0 },
-                level: playerData.level || 1,
-                skills: playerData.skills || {},
-                inventory: playerData.inventory || [],
-                equipment: playerData.equipment || {},
-                connectedAt: connectionTime,
-                sessions: new Set() // Track all active sessions
-            };
+            // The socket may have dropped while we were loading
+            if (!socket.connected) return;
             
-            gameState.players.set(playerId, player);
-            logger.info(`🌍 New player ${player.name} created with ID: ${playerId}`);
-        } else {
+            // Another session may have brought this character online while we were loading
+            player = gameState.players.get(playerId);
+        
+            if (!player) {
+                player = {
+                    ...savedPlayer,
+                    skills: normalizeSkills(savedPlayer.skills),
+                    inventory: normalizeInventory(savedPlayer.inventory),
+                    equipment: savedPlayer.equipment || {},
+                    gold: savedPlayer.gold ?? STARTING_GOLD,
+                    connectedAt: connectionTime,
+                    sessions: new Set() // Track all active sessions
+                };
+                delete player.savedAt;
+                
+                // Spawned or saved inside something solid - step out or every move would be blocked
+                if (!gameState.grid.isWalkable(player.position.x, player.position.z)) {
+                    const free = gameState.grid.findNearestWalkable(player.position.x, player.position.z);
+                    if (free) {
+                        logger.info(`📍 Moved ${player.name} out of a blocked cell to (${free.x.toFixed(1)}, ${free.z.toFixed(1)})`);
+                        player.position = { x: free.x, y: getGroundHeight(free.x, free.z), z: free.z };
+                    }
+                }
+                
+                movementValidator.resetPlayer(player);
+                gameState.players.set(playerId, player);
+                interest.addPlayer(player);
+                isNewPlayer = true;
+                logger.info(`💾 Loaded character ${player.name} (ID: ${playerId}) for account ${account.username}`);
+            }
+        }
+        
+        if (!isNewPlayer) {
             logger.info(`🌍 Existing player ${player.name} (ID: ${playerId}) joining with new session`);
         }
         
         // Add this socket to the player's sessions
         player.sessions.add(socket.id);
         gameState.playerSessions.set(socket.id, playerId);
+        interest.addSession(player, socket);
         
-        logger.info(`🌍 Player ${player.name} joined at position (${player.position.x.toFixed(1)}, 0, ${player.position.z.toFixed(1)})`);
+        logger.info(`🌍 Player ${player.name} joined at position (${player.position.x.toFixed(1)}, ${(player.position.y || 0).toFixed(1)}, ${player.position.z.toFixed(1)})`);
         logger.info(`📊 Total players in world: ${gameState.players.size}`);
         logger.info(`📊 Total active sessions: ${gameState.playerSessions.size}`);
         
-        // Notify other players about the new player (only if it's a new player)
+        // Notify nearby players about the new player (only if they weren't already in the world)
         if (isNewPlayer) {
-            socket.broadcast.emit('player_join', player);
-            logger.info(`📢 Broadcasted player_join to ${gameState.players.size - 1} other players`);
+            interest.emitToViewers(player, 'player_join', toPublicPlayer(player));
+            logger.info(`📢 Broadcasted player_join to players around chunk ${player.chunkKey}`);
         }
         
-        // Send current world state to new player
+        // Send current world state to new player - only the players they can see
         const worldState = {
-            players: Array.from(gameState.players.values()).map(p => ({
-                ...p,
-                sessions: undefined // Don't send session info to client
-            })),
-            resources: Array.from(gameState.resources.values()),
+            players: [player, ...interest.getPlayersInView(player)].map(toPublicPlayer),
+            resources: Array.from(gameState.resources.values()).map(getResourceState),
             buildings: Array.from(gameState.buildings.values()),
+            fires: interest.getFiresInView(player),
             // Include synchronized world time
             worldTime: {
                 time: gameState.worldTime.time,
@@ -294,11 +428,7 @@ io.on('connection', (socket) => {
         // Send confirmation to the player with their session info
         socket.emit('player_joined', {
             success: true,
-            player: {
-                ...player,
-                sessions: undefined // Don't send session info to client
-            },
-            sessionId: playerId, // Send back the session ID for future connections
+            player: { ...toPublicPlayer(player), skills: player.skills, inventory: player.inventory, equipment: player.equipment, gold: player.gold },
             message: `Welcome to Egypt MMO, ${player.name}!`
         });
         
@@ -307,6 +437,14 @@ io.on('connection', (socket) => {
     
     // Player movement
     socket.on('player_move', (data) => {
+        // Only well-formed moves - a bad payload must not throw, and seq is echoed back in move_ack
+        if (!data || typeof data !== 'object' || !data.delta || typeof data.delta !== 'object') return;
+        if (!Number.isSafeInteger(data.seq) || data.seq <= (socket.data.lastMoveSeq || 0)) {
+            logger.warn(`⚠️ Dropped move with bad sequence ${data.seq} from ${socket.id}`);
+            return;
+        }
+        socket.data.lastMoveSeq = data.seq;
+        
         const playerId = gameState.playerSessions.get(socket.id);
         if (!playerId) {
             logger.warn(`⚠️ Movement update from unknown session: ${socket.id}`);
@@ -315,25 +453,68 @@ io.on('connection', (socket) => {
         
         const player = gameState.players.get(playerId);
         if (player) {
-            player.position = data.position;
-            player.rotation = data.rotation;
+            // Moves are numbered deltas applied to the server's position, so the client can
+            // replay the ones we haven't acked yet when we correct it
+            const delta = data.delta;
+            const target = {
+                x: player.position.x + Number(delta.x),
+                z: player.position.z + Number(delta.z)
+            };
+            
+            // The server decides where the player is - reject anything they couldn't have walked to
+            const result = movementValidator.validate(player, target);
+            if (!result.valid) {
+                logger.warn(`🚫 Rejected move #${data.seq} from ${player.name}: ${result.reason}`, result.allowed !== undefined ? {
+                    distance: result.distance.toFixed(2),
+                    allowed: result.allowed.toFixed(2)
+                } : null);
+                
+                socket.emit('position_correction', {
+                    seq: data.seq,
+                    position: player.position,
+                    reason: result.reason,
+                    timestamp: Date.now()
+                });
+                return;
+            }
+            
+            // Walking away interrupts a timed craft
+            if (player.activeCraft && Math.hypot(result.position.x - player.position.x, result.position.z - player.position.z) > 0.01) {
+                cancelCrafting(player, 'You moved');
+            }
+            
+            player.position = result.position;
+            player.rotation = data.rotation || player.rotation;
             player.lastMove = Date.now();
             
-            // Broadcast to other players
-            socket.broadcast.emit('player_move', {
+            // Crossing a chunk border swaps who can see us (entity_enter_view / entity_leave_view)
+            interest.updatePlayer(player);
+            
+            socket.emit('move_ack', {
+                seq: data.seq,
+                position: player.position,
+                timestamp: player.lastMove
+            });
+            
+            // Broadcast to nearby players - stamped with the server clock so they can interpolate
+            interest.emitToViewers(player, 'player_move', {
                 playerId: playerId, // Use the actual player ID, not socket ID
-                position: data.position,
-                rotation: data.rotation,
-                timestamp: data.timestamp
+                position: player.position,
+                rotation: player.rotation,
+                moving: data.moving !== false,
+                timestamp: player.lastMove
             });
         }
     });
     
     // Player actions
     socket.on('player_action', (data) => {
-        const player = gameState.players.get(socket.id);
+        // A bad payload must not throw - that would take the server down for everyone
+        if (!data || typeof data.action !== 'string') return;
+        
+        const player = getPlayerForSocket(socket);
         if (player) {
-            console.log(`Player ${player.name} performed action: ${data.action}`);
+            logger.info(`🎮 Player ${player.name} performed action: ${data.action}`);
             
             // Handle different action types
             switch (data.action) {
@@ -347,7 +528,7 @@ io.on('connection', (socket) => {
                     handleBuildingPlacement(socket, data);
                     break;
                 default:
-                    console.log(`Unknown action: ${data.action}`);
+                    logger.warn(`⚠️ Unknown action: ${data.action}`);
             }
         }
     });
@@ -355,11 +536,13 @@ io.on('connection', (socket) => {
     // Heartbeat to keep connection alive
     socket.on('heartbeat', (data) => {
         // Just acknowledge the heartbeat to keep connection alive
-        socket.emit('heartbeat_ack', { timestamp: data.timestamp });
+        socket.emit('heartbeat_ack', { timestamp: data?.timestamp });
     });
     
     // Chat messages
     socket.on('chat_message', (data) => {
+        if (!data || typeof data.message !== 'string' || data.message.trim() === '') return;
+        
         const playerId = gameState.playerSessions.get(socket.id);
         if (!playerId) {
             console.log(`⚠️ Chat message from unknown session: ${socket.id}`);
@@ -376,28 +559,66 @@ io.on('connection', (socket) => {
                 timestamp: data.timestamp
             };
             
-            // Broadcast to all players
-            io.emit('chat_message', message);
+            if (message.channel === 'local') {
+                // Local chat only reaches players who can see the speaker
+                io.to(interest.getRoom(player.chunkKey)).emit('chat_message', message);
+            } else {
+                // Everyone in the world - not sockets that are connected but haven't joined
+                interest.emitToWorld('chat_message', message);
+            }
         }
     });
     
     // Crafting requests
+    // Timed crafting: craft_start begins the clock, craft_request claims the item once the recipe time has passed
+    socket.on('craft_start', (data) => {
+        handleCraftStart(socket, data);
+    });
+    
     socket.on('craft_request', (data) => {
         handleCrafting(socket, data);
     });
     
+    socket.on('craft_cancel', () => {
+        const player = getPlayerForSocket(socket);
+        if (player) cancelCrafting(player, 'Cancelled');
+    });
+    
     // Resource gathering
     socket.on('resource_gather', (data) => {
         handleResourceGathering(socket, data);
     });
     
+    // Repairs at a repair station
+    socket.on('item_repair', (data) => {
+        handleItemRepair(socket, data);
+    });
+    
+    // Equipment - the worn instance moves between inventory and equipment on the server
+    socket.on('item_equip', (data) => {
+        handleItemEquip(socket, data);
+    });
+    
+    socket.on('item_unequip', (data) => {
+        handleItemUnequip(socket, data);
+    });
+    
+    // Fires and food
+    socket.on('light_fire', () => {
+        handleLightFire(socket);
+    });
+    
+    socket.on('item_eat', (data) => {
+        handleEat(socket, data);
+    });
+    
     // Building placement
     socket.on('building_place', (data) => {
         handleBuildingPlacement(socket, data);
     });
     
     // Disconnect handling
-    socket.on('disconnect', (reason) => {
+    socket.on('disconnect', async (reason) => {
         const playerId = gameState.playerSessions.get(socket.id);
         if (playerId) {
             const player = gameState.players.get(playerId);
@@ -409,13 +630,22 @@ io.on('connection', (socket) => {
                 player.sessions.delete(socket.id);
                 gameState.playerSessions.delete(socket.id);
                 
-                // If this was the last session for this player, remove the player entirely
+                // If this was the last session for this player, save and remove the player from the world
                 if (player.sessions.size === 0) {
                     gameState.players.delete(playerId);
                     logger.info(`🌍 Player ${player.name} completely removed from world (no more active sessions)`);
                     
-                    // Notify other players about the player leaving
-                    socket.broadcast.emit('player_leave', playerId);
+                    // Notify nearby players about the player leaving
+                    interest.emitToViewers(player, 'player_leave', playerId);
+                    interest.removePlayer(player);
+                    
+                    try {
+                        await playerStore.save(player);
+                        await playerStore.flush();
+                        logger.info(`💾 Saved player ${player.name} on disconnect`);
+                    } catch (error) {
+                        logger.error(`❌ Failed to save player ${player.name} on disconnect:`, error.message);
+                    }
                 } else {
                     logger.info(`🌍 Player ${player.name} still has ${player.sessions.size} active sessions`);
                 }
@@ -429,159 +659,443 @@ io.on('connection', (socket) => {
     });
 });
 
-// Game action handlers
+// Game action handlers - every socket maps to a player through playerSessions
+function getPlayerForSocket(socket) {
+    const playerId = gameState.playerSessions.get(socket.id);
+    return playerId ? gameState.players.get(playerId) : null;
+}
+
+function handleCraftStart(socket, data) {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Craft start from unknown session: ${socket.id}`);
+        return;
+    }
+    
+    const recipe = getCraftingRecipe(data?.itemId);
+    const error = recipe ? getCraftingError(player, recipe, getFires()) : 'Recipe not found';
+    if (error) {
+        socket.emit('craft_result', { success: false, itemId: data?.itemId, error });
+        return;
+    }
+    
+    // Starting a new craft replaces whatever was running
+    player.activeCraft = {
+        itemId: data.itemId,
+        startedAt: Date.now(),
+        duration: recipe.time
+    };
+    
+    interest.emitToPlayer(player, 'craft_started', player.activeCraft);
+}
+
+function cancelCrafting(player, reason) {
+    if (!player.activeCraft) return;
+    
+    const itemId = player.activeCraft.itemId;
+    player.activeCraft = null;
+    interest.emitToPlayer(player, 'craft_cancelled', { itemId, reason });
+}
+
 function handleCrafting(socket, data) {
-    const player = gameState.players.get(socket.id);
-    if (!player) return;
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Craft request from unknown session: ${socket.id}`);
+        return;
+    }
     
     // Validate crafting request
-    const recipe = getCraftingRecipe(data.itemId);
+    const recipe = getCraftingRecipe(data?.itemId);
     if (!recipe) {
-        socket.emit('craft_result', { success: false, error: 'Recipe not found' });
+        socket.emit('craft_result', { success: false, itemId: data?.itemId, error: 'Recipe not found' });
         return;
     }
     
-    // Check if player has required materials
-    if (hasRequiredMaterials(player, recipe.materials)) {
-        // Consume materials and create item
-        consumeMaterials(player, recipe.materials);
-        addItemToInventory(player, data.itemId);
-        
-        // Add experience
-        addExperience(player, recipe.skill, recipe.experience);
-        
-        socket.emit('craft_result', { 
-            success: true, 
+    // The recipe time must really have passed, then level, tools and materials
+    const failure = getCraftTimingError(player, data.itemId) || getCraftingError(player, recipe, getFires());
+    player.activeCraft = null;
+    if (failure) {
+        socket.emit('craft_result', { success: false, itemId: data.itemId, error: failure });
+        return;
+    }
+    
+    // Non-stackable results are instances carrying the crafter's quality and name
+    const crafted = content.getItem(data.itemId).stackable
+        ? null
+        : createItemInstance(data.itemId, getCraftedProperties(player, recipe, data.itemId));
+    
+    // Consume materials first so the freed slots count towards the result. Whatever comes out -
+    // the item, or the fail item if the craft goes wrong - needs room before the roll, not after.
+    const beforeCrafting = snapshotInventory(player);
+    consumeMaterials(player, recipe.materials);
+    const failItem = getCraftFailItem(recipe);
+    if (!canAddItem(player, data.itemId) || (failItem && !canAddItem(player, failItem))) {
+        restoreInventory(player, beforeCrafting);
+        socket.emit('craft_result', { success: false, itemId: data.itemId, error: 'Inventory full' });
+        return;
+    }
+    
+    // Some recipes (smelting iron, cooking) can fail - the materials are gone, there's no XP
+    // and all that's left is the fail item if the recipe has one (burnt fish)
+    if (Math.random() > getCraftSuccessChance(player, recipe)) {
+        const brokenTools = wearTools(player, recipe.tools);
+        if (failItem) {
+            addItemToInventory(player, failItem);
+        }
+        socket.emit('craft_result', {
+            success: false,
+            botched: true,
             itemId: data.itemId,
-            experience: recipe.experience
-        });
-        
-        // Notify other players
-        socket.broadcast.emit('player_crafted', {
-            playerId: socket.id,
-            playerName: player.name,
-            itemId: data.itemId
+            error: failItem
+                ? `The ${recipe.name} comes out as ${content.getItem(failItem).name}`
+                : `You fail to make the ${recipe.name}`,
+            brokenTools,
+            inventory: player.inventory
         });
+        return;
+    }
+    
+    if (crafted) {
+        addItemInstance(player, crafted);
     } else {
-        socket.emit('craft_result', { success: false, error: 'Insufficient materials' });
+        addItemToInventory(player, data.itemId);
     }
+    
+    // Every tool the recipe needs takes a little wear
+    const brokenTools = wearTools(player, recipe.tools);
+    
+    addExperience(player, recipe.skill, recipe.experience);
+    logger.info(`⚒️ ${player.name} crafted ${data.itemId}${crafted ? ` (${crafted.qualityTier})` : ''}`);
+    
+    socket.emit('craft_result', { 
+        success: true, 
+        itemId: data.itemId,
+        item: crafted,
+        brokenTools,
+        experience: recipe.experience,
+        inventory: player.inventory
+    });
+    
+    // Notify nearby players
+    interest.emitToViewers(player, 'player_crafted', {
+        playerId: player.id,
+        playerName: player.name,
+        itemId: data.itemId
+    });
 }
 
 function handleResourceGathering(socket, data) {
-    const player = gameState.players.get(socket.id);
-    if (!player) return;
-    
-    // Check if resource exists and is available
-    const resource = gameState.resources.get(data.resourceId);
-    if (resource && isResourceAvailable(resource)) {
-        // Calculate gathering time and success chance
-        const gatheringResult = calculateGatheringResult(player, resource);
-        
-        if (gatheringResult.success) {
-            // Add resources to player inventory
-            addResourcesToInventory(player, gatheringResult.resources);
-            
-            // Update resource state
-            updateResourceState(resource);
-            
-            socket.emit('gathering_result', {
-                success: true,
-                resources: gatheringResult.resources,
-                experience: gatheringResult.experience
-            });
-        } else {
-            socket.emit('gathering_result', {
-                success: false,
-                error: gatheringResult.error
-            });
-        }
-    } else {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Gather request from unknown session: ${socket.id}`);
+        return;
+    }
+    
+    // Check if resource exists and is available. Attempts are handled one at a time in the order
+    // they arrive, and everyone swings at the same rate, so the last charge goes to whoever's swing lands first.
+    const resource = gameState.resources.get(data?.resourceId);
+    if (!resource || !isResourceAvailable(resource)) {
         socket.emit('gathering_result', {
             success: false,
-            error: 'Resource not available'
+            resourceId: data?.resourceId,
+            error: resource ? `The ${resource.name} is depleted` : 'Resource not available'
         });
+        return;
+    }
+    
+    // One attempt per GATHER_INTERVAL - the client's action timer can't be sped up
+    const timingError = getGatherTimingError(player);
+    if (timingError) {
+        socket.emit('gathering_result', { success: false, resourceId: resource.id, error: timingError });
+        return;
+    }
+    
+    // Range, level, tool, free space and success chance
+    const gatheringResult = calculateGatheringResult(player, resource);
+    if (gatheringResult.success || gatheringResult.missed) {
+        player.lastGatherAt = Date.now();
+    }
+    
+    // A swing wears the tool whether or not it got anything
+    const brokenTools = [];
+    if (gatheringResult.tool && wearItem(gatheringResult.tool, content.getRules().WEAR_PER_USE.tool)) {
+        brokenTools.push(content.getItem(gatheringResult.tool.id).name);
     }
+    
+    if (!gatheringResult.success) {
+        socket.emit('gathering_result', {
+            success: false,
+            resourceId: resource.id,
+            error: gatheringResult.error,
+            missed: gatheringResult.missed === true,
+            brokenTools,
+            inventory: gatheringResult.tool ? player.inventory : undefined
+        });
+        return;
+    }
+    
+    // Add resources to player inventory
+    addResourcesToInventory(player, gatheringResult.resources);
+    
+    // Take a charge - everyone sees the node empty out and, later, come back
+    if (updateResourceState(resource)) {
+        logger.info(`🪨 ${resource.name} depleted by ${player.name}, respawns in ${resource.respawnTime / 1000}s`);
+        setTimeout(() => {
+            respawnResource(resource);
+            logger.info(`🌱 ${resource.name} respawned`);
+            interest.emitToChunk(resource.position, 'resource_update', getResourceState(resource));
+        }, resource.respawnTime);
+    }
+    interest.emitToChunk(resource.position, 'resource_update', getResourceState(resource));
+    
+    addExperience(player, resource.type, gatheringResult.experience);
+    
+    socket.emit('gathering_result', {
+        success: true,
+        resourceId: resource.id,
+        resources: gatheringResult.resources,
+        experience: gatheringResult.experience,
+        brokenTools,
+        inventory: player.inventory
+    });
 }
 
-function handleBuildingPlacement(socket, data) {
-    const player = gameState.players.get(socket.id);
-    if (!player) return;
+function handleItemRepair(socket, data) {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Repair request from unknown session: ${socket.id}`);
+        return;
+    }
     
-    // Validate building placement
-    if (canPlaceBuilding(player, data.buildingType, data.position)) {
-        const building = createBuilding(data.buildingType, data.position, data.rotation);
-        gameState.buildings.set(building.id, building);
-        
-        // Notify all players
-        io.emit('building_placed', building);
-        
-        socket.emit('building_result', { success: true, building: building });
-    } else {
-        socket.emit('building_result', { success: false, error: 'Cannot place building here' });
+    const item = player.inventory.find(entry => entry.uid === data?.uid);
+    const error = getRepairError(player, item, data?.payment);
+    if (error) {
+        socket.emit('repair_result', { success: false, uid: data?.uid, error });
+        return;
     }
+    
+    const cost = repairItem(player, item, data.payment);
+    logger.info(`🔧 ${player.name} repaired ${item.id} for ${data.payment === 'gold' ? `${cost.gold} gold` : 'materials'}`);
+    
+    socket.emit('repair_result', {
+        success: true,
+        uid: item.uid,
+        itemId: item.id,
+        inventory: player.inventory,
+        gold: player.gold
+    });
 }
 
-// Helper functions (simplified implementations)
-function getCraftingRecipe(itemId) {
-    // This would load from a recipe database
-    const recipes = {
-        'bronze_sword': {
-            skill: 'smithing',
-            experience: 25,
-            materials: [{ id: 'bronze_ingot', quantity: 2 }, { id: 'wood', quantity: 1 }]
-        }
-    };
-    return recipes[itemId];
+// Save right away rather than waiting for the periodic save - equipment changes shouldn't be lost to a crash
+async function savePlayerNow(player) {
+    try {
+        await playerStore.save(player);
+        await playerStore.flush();
+    } catch (error) {
+        logger.error(`❌ Failed to save player ${player.name}:`, error.message);
+    }
 }
 
-function hasRequiredMaterials(player, materials) {
-    // Check if player has all required materials
-    return materials.every(material => {
-        const playerMaterial = player.inventory.find(item => item.id === material.id);
-        return playerMaterial && playerMaterial.quantity >= material.quantity;
-    });
+function handleItemEquip(socket, data) {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Equip request from unknown session: ${socket.id}`);
+        return;
+    }
+    
+    const error = getEquipError(player, data?.uid);
+    if (error) {
+        socket.emit('equip_result', { success: false, error, inventory: player.inventory, equipment: player.equipment });
+        return;
+    }
+    
+    const slot = equipItem(player, data.uid);
+    logger.info(`🛡️ ${player.name} equipped ${player.equipment[slot].id} (${slot})`);
+    socket.emit('equip_result', { success: true, slot, inventory: player.inventory, equipment: player.equipment });
+    savePlayerNow(player);
 }
 
-function consumeMaterials(player, materials) {
-    materials.forEach(material => {
-        const playerMaterial = player.inventory.find(item => item.id === material.id);
-        if (playerMaterial) {
-            playerMaterial.quantity -= material.quantity;
-            if (playerMaterial.quantity <= 0) {
-                player.inventory = player.inventory.filter(item => item.id !== material.id);
-            }
-        }
-    });
+function handleItemUnequip(socket, data) {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Unequip request from unknown session: ${socket.id}`);
+        return;
+    }
+    
+    const error = getUnequipError(player, data?.slot);
+    if (error) {
+        socket.emit('equip_result', { success: false, error, inventory: player.inventory, equipment: player.equipment });
+        return;
+    }
+    
+    const instance = unequipItem(player, data.slot);
+    logger.info(`🛡️ ${player.name} unequipped ${instance.id} (${data.slot})`);
+    socket.emit('equip_result', { success: true, slot: data.slot, inventory: player.inventory, equipment: player.equipment });
+    savePlayerNow(player);
 }
 
-function addItemToInventory(player, itemId) {
-    player.inventory.push({ id: itemId, quantity: 1 });
+function getFires() {
+    return Array.from(gameState.fires.values());
 }
 
-function addExperience(player, skill, amount) {
-    if (!player.skills[skill]) {
-        player.skills[skill] = { level: 1, experience: 0 };
+function handleLightFire(socket) {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Fire request from unknown session: ${socket.id}`);
+        return;
+    }
+    
+    const error = getLightFireError(player, getFires());
+    if (error) {
+        socket.emit('fire_result', { success: false, error });
+        return;
+    }
+    
+    const { fire, brokenTools } = lightFire(player);
+    gameState.fires.set(fire.id, fire);
+    logger.info(`🔥 ${player.name} lit a fire at (${fire.position.x.toFixed(1)}, ${fire.position.z.toFixed(1)})`);
+    
+    // Anyone can cook on it, so everyone who can see it hears about it - players who walk up later
+    // get it from InterestManager.updatePlayer
+    interest.emitToChunk(fire.position, 'fire_lit', fire);
+    setTimeout(() => {
+        gameState.fires.delete(fire.id);
+        interest.emitToChunk(fire.position, 'fire_out', { id: fire.id });
+    }, fire.expiresAt - Date.now());
+    
+    socket.emit('fire_result', { success: true, fire, brokenTools, inventory: player.inventory });
+}
+
+// Health lives on the client - the server only makes sure the food existed and the eat delay passed
+function handleEat(socket, data) {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Eat request from unknown session: ${socket.id}`);
+        return;
     }
     
-    player.skills[skill].experience += amount;
+    const error = getEatError(player, data?.itemId);
+    if (error) {
+        socket.emit('eat_result', { success: false, itemId: data?.itemId, error });
+        return;
+    }
     
-    // Check for level up
-    const currentLevel = player.skills[skill].level;
-    const expForNextLevel = getExperienceForLevel(currentLevel + 1);
+    const heals = eatFood(player, data.itemId);
+    socket.emit('eat_result', { success: true, itemId: data.itemId, heals, inventory: player.inventory });
+}
+
+function handleBuildingPlacement(socket, data) {
+    const player = getPlayerForSocket(socket);
+    if (!player) {
+        logger.warn(`⚠️ Building request from unknown session: ${socket.id}`);
+        return;
+    }
     
-    if (player.skills[skill].experience >= expForNextLevel) {
-        player.skills[skill].level++;
-        socket.emit('skill_levelup', { skill: skill, newLevel: player.skills[skill].level });
+    // Validate building placement
+    const error = canPlaceBuilding(player, gameState.grid, data?.buildingType, data?.position);
+    if (error) {
+        socket.emit('building_result', { success: false, buildingType: data?.buildingType, error });
+        return;
     }
+    
+    const building = createBuilding(player, gameState.grid, data.buildingType, data.position, data.rotation);
+    gameState.buildings.set(building.id, building);
+    logger.info(`🏗️ ${player.name} placed ${building.type} at (${building.position.x.toFixed(1)}, ${building.position.z.toFixed(1)})`);
+    
+    // Everyone who can see it blocks its cells - the rest get it from InterestManager.updatePlayer
+    // as it comes into view (and every building in world_state when they join)
+    interest.emitToChunk(building.position, 'building_placed', building);
+    
+    socket.emit('building_result', { success: true, building: building, inventory: player.inventory });
 }
 
-function getExperienceForLevel(level) {
-    return Math.floor(100 * Math.pow(1.5, level - 1));
+// Grants XP and sends every session of the player the authoritative totals,
+// then skill_levelup if the skill gained a level (after the totals, so the client already has them)
+function addExperience(player, skill, amount) {
+    const newLevel = gameplay.addExperience(player, skill, amount);
+    const entry = player.skills[skill];
+    if (entry) {
+        interest.emitToPlayer(player, 'skills_update', { skill, level: entry.level, experience: entry.experience, gained: amount });
+    }
+    if (newLevel) {
+        logger.info(`🎉 ${player.name} reached ${skill} level ${newLevel}`);
+        interest.emitToPlayer(player, 'skill_levelup', { skill, newLevel });
+    }
+}
+
+// Account endpoints
+function sendServiceError(res, error) {
+    if (error instanceof AuthError || error instanceof CharacterError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('❌ Account request failed:', error.message);
+    res.status(500).json({ error: 'Request failed' });
 }
 
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        res.status(201).json(await auth.register(username, password));
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        res.json(await auth.login(username, password));
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+});
+
+app.post('/api/auth/guest', async (req, res) => {
+    try {
+        res.status(201).json(await auth.createGuest(req.ip));
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+});
+
+app.get('/api/auth/me', auth.requireAuth(), async (req, res) => {
+    const account = await accountStore.get(req.accountId);
+    if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({ account: auth.publicAccount(account) });
+});
+
+// Character endpoints - always scoped to the logged-in account
+app.get('/api/characters', auth.requireAuth(), async (req, res) => {
+    try {
+        res.json({ characters: await characters.listCharacters(req.accountId) });
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+});
+
+app.post('/api/characters', auth.requireAuth(), async (req, res) => {
+    try {
+        const { name, appearance } = req.body || {};
+        res.status(201).json({ character: await characters.createCharacter(req.accountId, { name, appearance }) });
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+});
+
+app.delete('/api/characters/:id', auth.requireAuth(), async (req, res) => {
+    try {
+        await characters.deleteCharacter(req.accountId, req.params.id, gameState.players.has(req.params.id));
+        res.status(204).end();
+    } catch (error) {
+        sendServiceError(res, error);
+    }
+});
+
 // API endpoints
 app.get('/api/players', (req, res) => {
-    res.json(Array.from(gameState.players.values()));
+    res.json(Array.from(gameState.players.values()).map(toPublicPlayer));
 });
 
 app.get('/api/world', (req, res) => {
@@ -595,7 +1109,7 @@ app.get('/api/world', (req, res) => {
 app.get('/api/player/:id', (req, res) => {
     const player = gameState.players.get(req.params.id);
     if (player) {
-        res.json(player);
+        res.json(toPublicPlayer(player));
     } else {
         res.status(404).json({ error: 'Player not found' });
     }
@@ -732,9 +1246,17 @@ app.get('*', (req, res) => {
     }
 });
 
-// Start server
+// Start server - but only with content that passes validation
 const PORT = process.env.PORT || 3000; // Use Railway's PORT or fallback to 3000
-server.listen(PORT, '0.0.0.0', () => {
+// Steep terrain first, then the landmarks, houses and resource nodes on top of it -
+// the same order the client's WorldManager fills in its GridManager
+async function buildWorldGrid() {
+    await applyTerrain(gameState.grid, logger);
+    gameplay.WORLD_FOOTPRINTS.forEach(footprint => gameState.grid.addFootprint(footprint));
+    gameplay.createResourceNodes().forEach(node => gameState.resources.set(node.id, node));
+}
+
+content.validateContent(logger).then(content.loadRules).then(buildWorldGrid).then(() => server.listen(PORT, '0.0.0.0', () => {
     const railwayDomain = process.env.RAILWAY_PUBLIC_DOMAIN || 'railway.app';
     console.log(`🏺 Egypt MMO Server running on port ${PORT}`);
     console.log(`🌐 Server URL: ${process.env.PORT ? `https://${railwayDomain}` : `http://localhost:${PORT}`}`);
@@ -760,19 +1282,36 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log(`🎯 Server is now ready to accept requests on port ${PORT}`);
     console.log(`🎯 Health check endpoint: http://0.0.0.0:${PORT}/health`);
     console.log(`🎯 Root endpoint: http://0.0.0.0:${PORT}/`);
+})).catch(error => {
+    logger.error(`❌ Refusing to start: ${error.message}`);
+    process.exit(1);
 });
 
+// Save everyone before the process goes away
+async function savePlayersOnShutdown() {
+    try {
+        await playerStore.saveAll(gameState.players.values());
+        await playerStore.close();
+        await accountStore.close();
+        console.log(`💾 Saved ${gameState.players.size} online players`);
+    } catch (error) {
+        console.error('❌ Failed to save players on shutdown:', error);
+    }
+}
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('🔄 Shutting down server gracefully...');
+    await savePlayersOnShutdown();
     server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
     });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('🔄 Shutting down server...');
+    await savePlayersOnShutdown();
     server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
@@ -0,0 +1,198 @@
+// Spatial interest management.
+// The world is cut into square chunks (gameState.world.chunks). Every chunk has a
+// Socket.IO room, and a player's sockets sit in the rooms of every chunk within their
+// view radius. Emitting to the room of the chunk a player stands in therefore reaches
+// exactly the players who can see them.
+
+const DEFAULT_CHUNK_SIZE = 50;
+const DEFAULT_VIEW_RADIUS = 100; // World units
+const WORLD_ROOM = 'players'; // Every socket that joined the world, wherever it is
+
+class InterestManager {
+    constructor(io, gameState, options = {}) {
+        this.io = io;
+        this.gameState = gameState;
+        this.chunks = gameState.world.chunks;
+        this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        this.viewRadius = options.viewRadius || DEFAULT_VIEW_RADIUS;
+        this.viewChunks = Math.ceil(this.viewRadius / this.chunkSize); // Radius in chunks
+        this.toPublicPlayer = options.toPublicPlayer || (player => player);
+        this.toResourceState = options.toResourceState || (resource => resource);
+    }
+
+    getChunkKey(position) {
+        const x = Math.floor(position.x / this.chunkSize);
+        const z = Math.floor(position.z / this.chunkSize);
+        return `${x},${z}`;
+    }
+
+    getRoom(chunkKey) {
+        return `chunk:${chunkKey}`;
+    }
+
+    getChunk(chunkKey) {
+        let chunk = this.chunks.get(chunkKey);
+        if (!chunk) {
+            const [x, z] = chunkKey.split(',').map(Number);
+            chunk = { key: chunkKey, x, z, players: new Set() };
+            this.chunks.set(chunkKey, chunk);
+        }
+        return chunk;
+    }
+
+    // Every chunk within the view radius of the given chunk (square, radius in chunks)
+    getVisibleChunkKeys(chunkKey) {
+        const [centerX, centerZ] = chunkKey.split(',').map(Number);
+        const keys = [];
+        for (let x = centerX - this.viewChunks; x <= centerX + this.viewChunks; x++) {
+            for (let z = centerZ - this.viewChunks; z <= centerZ + this.viewChunks; z++) {
+                keys.push(`${x},${z}`);
+            }
+        }
+        return keys;
+    }
+
+    getPlayersInChunks(chunkKeys, excludeId = null) {
+        const players = [];
+        chunkKeys.forEach(key => {
+            const chunk = this.chunks.get(key);
+            if (!chunk) return;
+            chunk.players.forEach(playerId => {
+                if (playerId === excludeId) return;
+                const player = this.gameState.players.get(playerId);
+                if (player) players.push(player);
+            });
+        });
+        return players;
+    }
+
+    // Resource nodes standing in any of these chunks
+    getResourcesInChunks(chunkKeys) {
+        return this.getEntitiesInChunks(this.gameState.resources, chunkKeys);
+    }
+
+    // Fires burning in any of these chunks
+    getFiresInChunks(chunkKeys) {
+        return this.getEntitiesInChunks(this.gameState.fires, chunkKeys);
+    }
+
+    // Buildings players placed in any of these chunks
+    getBuildingsInChunks(chunkKeys) {
+        return this.getEntitiesInChunks(this.gameState.buildings, chunkKeys);
+    }
+
+    getEntitiesInChunks(entities, chunkKeys) {
+        const keys = new Set(chunkKeys);
+        return Array.from(entities.values()).filter(entity => keys.has(this.getChunkKey(entity.position)));
+    }
+
+    // Other players this player can currently see
+    getPlayersInView(player) {
+        return this.getPlayersInChunks(this.getVisibleChunkKeys(player.chunkKey), player.id);
+    }
+
+    // Fires this player can currently see - a client only keeps those, so fire_out never has to reach anyone else
+    getFiresInView(player) {
+        return this.getFiresInChunks(this.getVisibleChunkKeys(player.chunkKey));
+    }
+
+    // A player came online - put them in their chunk
+    addPlayer(player) {
+        player.chunkKey = this.getChunkKey(player.position);
+        this.getChunk(player.chunkKey).players.add(player.id);
+    }
+
+    // A player went offline - empty chunks are dropped so the Map doesn't grow forever
+    removePlayer(player) {
+        const chunk = this.chunks.get(player.chunkKey);
+        if (chunk) {
+            chunk.players.delete(player.id);
+            if (chunk.players.size === 0) {
+                this.chunks.delete(player.chunkKey);
+            }
+        }
+    }
+
+    // Subscribe one of the player's sockets to everything in view, and to world-wide messages
+    addSession(player, socket) {
+        socket.join(WORLD_ROOM);
+        this.getVisibleChunkKeys(player.chunkKey).forEach(key => socket.join(this.getRoom(key)));
+    }
+
+    // Every player in the world - unlike io.emit, sockets that haven't joined (still logging in) don't hear it
+    emitToWorld(event, data) {
+        this.io.to(WORLD_ROOM).emit(event, data);
+    }
+
+    // Send to everyone who can see this player, except the player's own sockets
+    emitToViewers(player, event, data) {
+        this.io.to(this.getRoom(player.chunkKey)).except([...player.sessions]).emit(event, data);
+    }
+
+    // Everyone who can see this spot in the world (a resource node, a fire...)
+    emitToChunk(position, event, data) {
+        this.io.to(this.getRoom(this.getChunkKey(position))).emit(event, data);
+    }
+
+    emitToPlayer(player, event, data) {
+        if (player.sessions.size > 0) {
+            this.io.to([...player.sessions]).emit(event, data);
+        }
+    }
+
+    // Call after the player's position changed. Moves them between chunks and sends
+    // entity_enter_view / entity_leave_view to both sides for everyone who came into
+    // or dropped out of range. Returns true if the player changed chunk.
+    updatePlayer(player) {
+        const newKey = this.getChunkKey(player.position);
+        const oldKey = player.chunkKey;
+        if (newKey === oldKey) return false;
+
+        const oldView = new Set(this.getVisibleChunkKeys(oldKey));
+        const newView = new Set(this.getVisibleChunkKeys(newKey));
+        const entered = [...newView].filter(key => !oldView.has(key));
+        const left = [...oldView].filter(key => !newView.has(key));
+
+        // Chunk membership
+        this.removePlayer(player);
+        player.chunkKey = newKey;
+        this.getChunk(newKey).players.add(player.id);
+
+        // Room subscriptions for every session of the moving player
+        player.sessions.forEach(socketId => {
+            const socket = this.io.sockets.sockets.get(socketId);
+            if (!socket) return;
+            left.forEach(key => socket.leave(this.getRoom(key)));
+            entered.forEach(key => socket.join(this.getRoom(key)));
+        });
+
+        // Visibility is symmetric - if I can now see you, you can now see me
+        const publicPlayer = this.toPublicPlayer(player);
+        this.getPlayersInChunks(entered, player.id).forEach(other => {
+            this.emitToPlayer(player, 'entity_enter_view', { type: 'player', player: this.toPublicPlayer(other) });
+            this.emitToPlayer(other, 'entity_enter_view', { type: 'player', player: publicPlayer });
+        });
+        this.getPlayersInChunks(left, player.id).forEach(other => {
+            this.emitToPlayer(player, 'entity_leave_view', { type: 'player', id: other.id });
+            this.emitToPlayer(other, 'entity_leave_view', { type: 'player', id: player.id });
+        });
+
+        // Nodes coming into range may have emptied or refilled while we couldn't see them
+        this.getResourcesInChunks(entered).forEach(resource => {
+            this.emitToPlayer(player, 'resource_update', this.toResourceState(resource));
+        });
+
+        // Fires come and go with the view - those lit or gone out meanwhile are news to us
+        this.getFiresInChunks(entered).forEach(fire => this.emitToPlayer(player, 'fire_lit', fire));
+        this.getFiresInChunks(left).forEach(fire => this.emitToPlayer(player, 'fire_out', { id: fire.id }));
+
+        // Buildings stay for good - only those placed while we were out of range are new
+        this.getBuildingsInChunks(entered).forEach(building => this.emitToPlayer(player, 'building_placed', building));
+
+        return true;
+    }
+}
+
+module.exports = {
+    InterestManager
+};
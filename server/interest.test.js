@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { InterestManager } = require('./interest');
+
+// Just enough of Socket.IO to see which rooms and sockets an event went to
+function createIo() {
+    const sent = [];
+    const sockets = new Map();
+    const io = {
+        sent,
+        sockets: { sockets },
+        to: target => ({ emit: (event, data) => sent.push({ target, event, data }) })
+    };
+    const connect = id => {
+        const socket = { id, rooms: new Set(), join: room => socket.rooms.add(room), leave: room => socket.rooms.delete(room) };
+        sockets.set(id, socket);
+        return socket;
+    };
+    return { io, connect };
+}
+
+function createWorld() {
+    const { io, connect } = createIo();
+    const gameState = {
+        world: { chunks: new Map() },
+        players: new Map(),
+        resources: new Map([['oasis', { id: 'oasis', position: { x: 0, y: 0, z: -100 }, charges: 0 }]]),
+        fires: new Map([['fire_1', { id: 'fire_1', type: 'fire', position: { x: 10, y: 0, z: -90 } }]]),
+        buildings: new Map([['building_1', { id: 'building_1', type: 'storage_chest', position: { x: -10, y: 0, z: -60 } }]])
+    };
+    const interest = new InterestManager(io, gameState, { chunkSize: 50, viewRadius: 50 });
+
+    const player = { id: 'p1', position: { x: 0, y: 0, z: 200 }, sessions: new Set(['s1']) };
+    gameState.players.set(player.id, player);
+    interest.addPlayer(player);
+    interest.addSession(player, connect('s1'));
+    return { io, interest, player };
+}
+
+test('world-wide messages only reach sockets that joined the world', () => {
+    const { io, interest } = createWorld();
+    interest.emitToWorld('chat_message', { message: 'hello' });
+
+    assert.strictEqual(io.sent[0].target, 'players');
+    assert.ok(io.sockets.sockets.get('s1').rooms.has('players'));
+});
+
+test('resource updates go to the room of the node\'s chunk', () => {
+    const { io, interest } = createWorld();
+    interest.emitToChunk({ x: 0, z: -100 }, 'resource_update', { id: 'oasis' });
+
+    assert.deepStrictEqual(io.sent.map(({ target, event }) => ({ target, event })), [{ target: 'chunk:0,-2', event: 'resource_update' }]);
+});
+
+test('walking into range of a node sends its current state', () => {
+    const { io, interest, player } = createWorld();
+
+    player.position = { x: 0, y: 0, z: -40 };
+    interest.updatePlayer(player);
+
+    const updates = io.sent.filter(({ event }) => event === 'resource_update');
+    assert.strictEqual(updates.length, 1);
+    assert.deepStrictEqual(updates[0].target, ['s1']);
+    assert.strictEqual(updates[0].data.charges, 0);
+});
+
+test('fires come into view with their chunk and go out of view with it', () => {
+    const { io, interest, player } = createWorld();
+    assert.deepStrictEqual(interest.getFiresInView(player), []);
+
+    player.position = { x: 0, y: 0, z: -40 };
+    interest.updatePlayer(player);
+    const lit = io.sent.filter(({ event }) => event === 'fire_lit');
+    assert.deepStrictEqual(lit.map(({ target, data }) => [target, data.id]), [[['s1'], 'fire_1']]);
+    assert.deepStrictEqual(interest.getFiresInView(player).map(fire => fire.id), ['fire_1']);
+
+    player.position = { x: 0, y: 0, z: 200 };
+    interest.updatePlayer(player);
+    const out = io.sent.filter(({ event }) => event === 'fire_out');
+    assert.deepStrictEqual(out.map(({ target, data }) => [target, data.id]), [[['s1'], 'fire_1']]);
+});
+
+test('walking into range of a building sends it, walking away does not take it back', () => {
+    const { io, interest, player } = createWorld();
+
+    player.position = { x: 0, y: 0, z: -40 };
+    interest.updatePlayer(player);
+    player.position = { x: 0, y: 0, z: 200 };
+    interest.updatePlayer(player);
+
+    const placed = io.sent.filter(({ event }) => event === 'building_placed');
+    assert.deepStrictEqual(placed.map(({ target, data }) => [target, data.id]), [[['s1'], 'building_1']]);
+});
@@ -0,0 +1,64 @@
+// Server-side movement validation.
+// Every player_move is checked against how far the player could have walked since
+// the last accepted update, and against the server's copy of the walkability grid.
+
+const { getGroundHeight } = require('./terrain');
+
+const MOVE_SPEED = 15; // Units per second - must match Player.moveSpeed on the client
+const SPEED_TOLERANCE = 1.25; // Headroom for frame timing and clock drift
+const MAX_BUDGET_SECONDS = 1; // Standing still can bank at most this much movement
+const DISTANCE_SLACK = 0.5; // A tiny nudge past the budget (rounding, final stop position) - borrowed, not free
+
+class MovementValidator {
+    constructor(grid, logger = console) {
+        this.grid = grid;
+        this.logger = logger;
+    }
+
+    // Start tracking a player that just came online
+    resetPlayer(player, now = Date.now()) {
+        player.lastMoveCheck = now;
+        player.moveBudget = 0;
+    }
+
+    // Returns { valid: true, position } or { valid: false, reason }
+    validate(player, position, now = Date.now()) {
+        if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+            return { valid: false, reason: 'invalid_position' };
+        }
+
+        // Refill the movement budget for the time that passed, capped so idling can't be banked for a teleport.
+        // A negative budget (slack used last time) is refilled like any other.
+        const elapsed = Math.max(0, (now - (player.lastMoveCheck || now)) / 1000);
+        const maxBudget = MOVE_SPEED * SPEED_TOLERANCE * MAX_BUDGET_SECONDS;
+        const budget = Math.min(maxBudget, (player.moveBudget || 0) + MOVE_SPEED * SPEED_TOLERANCE * elapsed);
+        player.lastMoveCheck = now;
+
+        const from = player.position;
+        const distance = Math.hypot(position.x - from.x, position.z - from.z);
+
+        if (distance > budget + DISTANCE_SLACK) {
+            player.moveBudget = budget;
+            return { valid: false, reason: 'too_fast', distance, allowed: budget };
+        }
+
+        if (!this.grid.isSegmentWalkable(from, position)) {
+            player.moveBudget = budget;
+            return { valid: false, reason: 'blocked' };
+        }
+
+        // The slack is paid back out of the next refill - the budget can go negative by up to DISTANCE_SLACK,
+        // so a stream of small moves can't each claim it again.
+        // Height comes from the terrain, not the client.
+        player.moveBudget = budget - distance;
+        return {
+            valid: true,
+            position: { x: position.x, y: getGroundHeight(position.x, position.z), z: position.z }
+        };
+    }
+}
+
+module.exports = {
+    MovementValidator,
+    MOVE_SPEED
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MovementValidator, MOVE_SPEED } = require('./movement');
+const { WorldGrid } = require('./worldGrid');
+const { applyTerrain, getGroundHeight } = require('./terrain');
+
+test.before(() => applyTerrain(new WorldGrid(), { info: () => {} }));
+
+const openGrid = { isSegmentWalkable: () => true };
+
+function createPlayer(now) {
+    const validator = new MovementValidator(openGrid);
+    const player = { position: { x: 0, y: 0, z: 0 } };
+    validator.resetPlayer(player, now);
+    return { validator, player };
+}
+
+// Applies a move the way the player_move handler does
+function move(validator, player, dx, now) {
+    const result = validator.validate(player, { x: player.position.x + dx, z: player.position.z }, now);
+    if (result.valid) player.position = result.position;
+    return result;
+}
+
+test('walking at full speed is accepted', () => {
+    const start = 1000000;
+    const { validator, player } = createPlayer(start);
+
+    for (let i = 1; i <= 40; i++) {
+        const result = move(validator, player, MOVE_SPEED * 0.05, start + i * 50);
+        assert.strictEqual(result.valid, true, `move ${i} rejected: ${result.reason}`);
+    }
+});
+
+test('a burst of small moves runs out of budget', () => {
+    const start = 1000000;
+    const { validator, player } = createPlayer(start);
+
+    // 40 moves of 0.4 units inside 40ms - 16 units, far more than anyone can walk in that time
+    const results = [];
+    for (let i = 1; i <= 40; i++) {
+        results.push(move(validator, player, 0.4, start + i));
+    }
+
+    assert.ok(results.some(result => result.reason === 'too_fast'), 'expected a too_fast correction');
+    assert.ok(player.position.x < 2, `moved ${player.position.x.toFixed(2)} units in 40ms`);
+});
+
+test('accepted moves take their height from the terrain', () => {
+    const start = 1000000;
+    const { validator, player } = createPlayer(start);
+    player.position = { x: 150, y: 0, z: 150 }; // A dune
+
+    const result = move(validator, player, 2, start + 500);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.position.y, getGroundHeight(152, 150));
+    assert.ok(result.position.y > 0);
+});
@@ -0,0 +1,324 @@
+const path = require('path');
+const fs = require('fs');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Fields that survive a restart - everything else on the live player record
+// (sessions, socket bookkeeping, timestamps) is runtime-only
+const PERSISTED_FIELDS = ['id', 'accountId', 'name', 'appearance', 'position', 'rotation', 'skills', 'inventory', 'equipment', 'gold', 'createdAt'];
+
+function serializePlayer(player) {
+    const record = {};
+    PERSISTED_FIELDS.forEach(field => {
+        if (player[field] !== undefined) {
+            record[field] = player[field];
+        }
+    });
+    record.savedAt = Date.now();
+    return record;
+}
+
+function clone(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+function filterByAccount(records, accountId) {
+    return Array.from(records).filter(record => record.accountId === accountId).map(clone);
+}
+
+function findByName(records, name) {
+    const wanted = name.toLowerCase();
+    for (const record of records) {
+        if (record.name && record.name.toLowerCase() === wanted) {
+            return clone(record);
+        }
+    }
+    return null;
+}
+
+// A Map of records mirrored to one JSON file.
+// Writes are batched and go through a temp file + rename so a crash never leaves a half-written file.
+class JsonRecordFile {
+    constructor(filePath, logger = console) {
+        this.filePath = filePath;
+        this.logger = logger;
+        this.records = new Map();
+        this.dirty = false;
+        this.writing = null;
+        this.readFromDisk();
+    }
+
+    readFromDisk() {
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        if (!fs.existsSync(this.filePath)) {
+            this.logger.info(`💾 No save file yet, will create ${this.filePath}`);
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            Object.entries(data.records || {}).forEach(([id, record]) => this.records.set(id, record));
+            this.logger.info(`💾 Loaded ${this.records.size} records from ${this.filePath}`);
+        } catch (error) {
+            // Keep the broken file around rather than overwriting it on the next save
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, backupPath);
+            this.logger.error(`❌ Save file was unreadable, moved to ${backupPath}:`, error.message);
+        }
+    }
+
+    get(id) {
+        return this.records.get(id);
+    }
+
+    set(id, record) {
+        this.records.set(id, record);
+        this.dirty = true;
+    }
+
+    delete(id) {
+        this.records.delete(id);
+        this.dirty = true;
+    }
+
+    values() {
+        return this.records.values();
+    }
+
+    async flush() {
+        // Wait for any write already in progress, then write again if more changes came in
+        if (this.writing) {
+            await this.writing;
+        }
+        if (!this.dirty) return;
+
+        this.dirty = false;
+        this.writing = this.writeToDisk().finally(() => {
+            this.writing = null;
+        });
+        await this.writing;
+    }
+
+    async writeToDisk() {
+        const data = {
+            version: 1,
+            savedAt: Date.now(),
+            records: Object.fromEntries(this.records)
+        };
+        const tempPath = `${this.filePath}.tmp`;
+
+        try {
+            await fs.promises.writeFile(tempPath, JSON.stringify(data));
+            await fs.promises.rename(tempPath, this.filePath);
+        } catch (error) {
+            this.dirty = true; // Retry on the next flush
+            this.logger.error(`❌ Failed to write ${this.filePath}:`, error.message);
+        }
+    }
+}
+
+// Base store - every backend implements load/save/remove/listByAccount/findByName/flush/close.
+// All methods are async so slower backends (SQLite, Redis, ...) can be dropped in.
+class PlayerStore {
+    async load(playerId) {
+        throw new Error(`${this.constructor.name}.load() not implemented`);
+    }
+
+    async listByAccount(accountId) {
+        throw new Error(`${this.constructor.name}.listByAccount() not implemented`);
+    }
+
+    // Case-insensitive - character names are unique across the whole server
+    async findByName(name) {
+        throw new Error(`${this.constructor.name}.findByName() not implemented`);
+    }
+
+    async save(player) {
+        throw new Error(`${this.constructor.name}.save() not implemented`);
+    }
+
+    async saveAll(players) {
+        for (const player of players) {
+            await this.save(player);
+        }
+    }
+
+    async remove(playerId) {
+        throw new Error(`${this.constructor.name}.remove() not implemented`);
+    }
+
+    async flush() {}
+
+    async close() {
+        await this.flush();
+    }
+}
+
+// Keeps records in memory only - useful for local testing
+class MemoryPlayerStore extends PlayerStore {
+    constructor() {
+        super();
+        this.records = new Map();
+    }
+
+    async load(playerId) {
+        return clone(this.records.get(playerId));
+    }
+
+    async listByAccount(accountId) {
+        return filterByAccount(this.records.values(), accountId);
+    }
+
+    async findByName(name) {
+        return findByName(this.records.values(), name);
+    }
+
+    async save(player) {
+        this.records.set(player.id, serializePlayer(player));
+    }
+
+    async remove(playerId) {
+        this.records.delete(playerId);
+    }
+}
+
+// Default store - one JSON file holding every player record
+class JsonFilePlayerStore extends PlayerStore {
+    constructor(filePath, logger = console) {
+        super();
+        this.file = new JsonRecordFile(filePath, logger);
+    }
+
+    async load(playerId) {
+        return clone(this.file.get(playerId));
+    }
+
+    async listByAccount(accountId) {
+        return filterByAccount(this.file.values(), accountId);
+    }
+
+    async findByName(name) {
+        return findByName(this.file.values(), name);
+    }
+
+    async save(player) {
+        this.file.set(player.id, serializePlayer(player));
+    }
+
+    async remove(playerId) {
+        this.file.delete(playerId);
+    }
+
+    async flush() {
+        await this.file.flush();
+    }
+}
+
+// Accounts - same pluggable shape as players, looked up by id or (case-insensitive) username
+class AccountStore {
+    async get(accountId) {
+        throw new Error(`${this.constructor.name}.get() not implemented`);
+    }
+
+    async findByUsername(username) {
+        throw new Error(`${this.constructor.name}.findByUsername() not implemented`);
+    }
+
+    async save(account) {
+        throw new Error(`${this.constructor.name}.save() not implemented`);
+    }
+
+    async flush() {}
+
+    async close() {
+        await this.flush();
+    }
+}
+
+class MemoryAccountStore extends AccountStore {
+    constructor() {
+        super();
+        this.records = new Map();
+    }
+
+    async get(accountId) {
+        return clone(this.records.get(accountId));
+    }
+
+    async findByUsername(username) {
+        const wanted = username.toLowerCase();
+        for (const account of this.records.values()) {
+            if (account.username.toLowerCase() === wanted) {
+                return clone(account);
+            }
+        }
+        return null;
+    }
+
+    async save(account) {
+        this.records.set(account.id, clone(account));
+    }
+}
+
+class JsonFileAccountStore extends MemoryAccountStore {
+    constructor(filePath, logger = console) {
+        super();
+        this.file = new JsonRecordFile(filePath, logger);
+        this.records = this.file.records;
+    }
+
+    async save(account) {
+        this.file.set(account.id, clone(account));
+    }
+
+    async flush() {
+        await this.file.flush();
+    }
+}
+
+function getStoreType() {
+    const type = process.env.PLAYER_STORE || 'file';
+    if (type !== 'file' && type !== 'memory') {
+        throw new Error(`Unknown PLAYER_STORE "${type}" (expected "file" or "memory")`);
+    }
+    return type;
+}
+
+// Pick a backend from the environment: PLAYER_STORE=file (default) or memory
+function createPlayerStore(logger = console) {
+    if (getStoreType() === 'memory') {
+        logger.info('💾 Using in-memory player store (nothing survives a restart)');
+        return new MemoryPlayerStore();
+    }
+
+    const filePath = process.env.PLAYER_DATA_FILE || path.join(DATA_DIR, 'players.json');
+    logger.info(`💾 Using JSON file player store: ${filePath}`);
+    return new JsonFilePlayerStore(filePath, logger);
+}
+
+function createAccountStore(logger = console) {
+    if (getStoreType() === 'memory') {
+        logger.info('💾 Using in-memory account store (nothing survives a restart)');
+        return new MemoryAccountStore();
+    }
+
+    const filePath = process.env.ACCOUNT_DATA_FILE || path.join(DATA_DIR, 'accounts.json');
+    logger.info(`💾 Using JSON file account store: ${filePath}`);
+    return new JsonFileAccountStore(filePath, logger);
+}
+
+module.exports = {
+    PlayerStore,
+    MemoryPlayerStore,
+    JsonFilePlayerStore,
+    AccountStore,
+    MemoryAccountStore,
+    JsonFileAccountStore,
+    createPlayerStore,
+    createAccountStore,
+    serializePlayer
+};
@@ -0,0 +1,32 @@
+// Server side of the shared terrain (shared/terrain.mjs). Mostly slopes matter here:
+// cells too steep to walk become obstacles on the WorldGrid, the same cells
+// GridManager.applyHeightmap blocks on the client. The heightmap is kept for
+// the few places the server picks a position itself.
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const content = require('./content');
+
+const TERRAIN_MODULE = path.join(__dirname, '../shared/terrain.mjs');
+
+let groundHeight = null; // (x, z) => height, once applyTerrain has run
+
+// The terrain module is ESM so the Vite client can import it too
+async function applyTerrain(grid, logger = console) {
+    const { createHeightmap, isAreaTooSteep, sampleHeight, SAMPLE_SPACING } = await import(pathToFileURL(TERRAIN_MODULE).href);
+    const heightmap = createHeightmap(grid.worldSize, SAMPLE_SPACING, content.world.pyramids); // Same pyramids, same ramps as the client
+    groundHeight = (x, z) => sampleHeight(heightmap, x, z);
+    const steepCells = grid.markSteepCells((minX, minZ, size) => isAreaTooSteep(heightmap, minX, minZ, size));
+    logger.info(`⛰️ Terrain loaded - ${steepCells} grid cells too steep to walk`);
+}
+
+// Ground height at (x, z) - the same surface the client renders and walks on
+function getGroundHeight(x, z) {
+    if (!groundHeight) throw new Error('Terrain not loaded - await applyTerrain() first');
+    return groundHeight(x, z);
+}
+
+module.exports = {
+    applyTerrain,
+    getGroundHeight
+};
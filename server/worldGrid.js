@@ -0,0 +1,166 @@
+// Server-side copy of the client's GridManager cell map (src/core/GridManager.js).
+// Same world size, cell size and cell states, so the server can judge walkability
+// without trusting the client. States are stored in a flat Uint8Array instead of
+// a Map of cell objects - 250k cells is a lot of objects to keep around on the server.
+
+const CELL_STATES = {
+    EMPTY: 'empty',
+    WALKABLE: 'walkable',
+    OBSTACLE: 'obstacle',
+    WATER: 'water',
+    BUILDING: 'building'
+};
+
+const STATE_LIST = Object.values(CELL_STATES);
+const STATE_CODES = Object.fromEntries(STATE_LIST.map((state, index) => [state, index]));
+
+class WorldGrid {
+    constructor(worldSize = 1000, gridSize = 2) {
+        this.worldSize = worldSize;
+        this.gridSize = gridSize;
+        this.cellsX = Math.ceil(worldSize / gridSize);
+        this.cellsZ = Math.ceil(worldSize / gridSize);
+        this.cellStates = CELL_STATES;
+        this.cells = new Uint8Array(this.cellsX * this.cellsZ).fill(STATE_CODES[CELL_STATES.WALKABLE]);
+
+        this.initializeCellStates();
+    }
+
+    // Mirrors GridManager.initializeCellStates - the world edge is solid
+    initializeCellStates() {
+        for (let x = 0; x < this.cellsX; x++) {
+            this.setCellState(x, 0, CELL_STATES.OBSTACLE);
+            this.setCellState(x, this.cellsZ - 1, CELL_STATES.OBSTACLE);
+        }
+        for (let z = 0; z < this.cellsZ; z++) {
+            this.setCellState(0, z, CELL_STATES.OBSTACLE);
+            this.setCellState(this.cellsX - 1, z, CELL_STATES.OBSTACLE);
+        }
+    }
+
+    worldToGrid(x, z) {
+        return {
+            x: Math.floor((x + this.worldSize / 2) / this.gridSize),
+            z: Math.floor((z + this.worldSize / 2) / this.gridSize)
+        };
+    }
+
+    gridToWorld(gridX, gridZ) {
+        return {
+            x: (gridX * this.gridSize) - (this.worldSize / 2) + (this.gridSize / 2),
+            z: (gridZ * this.gridSize) - (this.worldSize / 2) + (this.gridSize / 2)
+        };
+    }
+
+    isInBounds(gridX, gridZ) {
+        return gridX >= 0 && gridX < this.cellsX && gridZ >= 0 && gridZ < this.cellsZ;
+    }
+
+    getCellState(gridX, gridZ) {
+        if (!this.isInBounds(gridX, gridZ)) return CELL_STATES.OBSTACLE;
+        return STATE_LIST[this.cells[gridX * this.cellsZ + gridZ]];
+    }
+
+    setCellState(gridX, gridZ, state) {
+        if (!this.isInBounds(gridX, gridZ) || !(state in STATE_CODES)) return;
+        this.cells[gridX * this.cellsZ + gridZ] = STATE_CODES[state];
+    }
+
+    // Same rasterisation as GridManager.getFootprintCells: cells whose centre is inside the
+    // circle or (rotated) rectangle, plus the cell under the footprint's own position
+    getFootprintCells(footprint) {
+        const extent = footprint.shape === 'circle' ? footprint.radius : Math.hypot(footprint.width, footprint.depth) / 2;
+        const min = this.worldToGrid(footprint.x - extent, footprint.z - extent);
+        const max = this.worldToGrid(footprint.x + extent, footprint.z + extent);
+        const cos = Math.cos(footprint.rotation || 0);
+        const sin = Math.sin(footprint.rotation || 0);
+        const centre = this.worldToGrid(footprint.x, footprint.z);
+        const cells = [];
+
+        for (let x = min.x; x <= max.x; x++) {
+            for (let z = min.z; z <= max.z; z++) {
+                if (!this.isInBounds(x, z)) continue;
+
+                const world = this.gridToWorld(x, z);
+                const dx = world.x - footprint.x;
+                const dz = world.z - footprint.z;
+                let inside;
+                if (footprint.shape === 'circle') {
+                    inside = dx * dx + dz * dz <= footprint.radius * footprint.radius;
+                } else {
+                    const localX = dx * cos - dz * sin;
+                    const localZ = dx * sin + dz * cos;
+                    inside = Math.abs(localX) <= footprint.width / 2 && Math.abs(localZ) <= footprint.depth / 2;
+                }
+
+                if (inside || (x === centre.x && z === centre.z)) {
+                    cells.push({ gridX: x, gridZ: z });
+                }
+            }
+        }
+        return cells;
+    }
+
+    // Same rule as GridManager.applyHeightmap - isTooSteep(minX, minZ, size) gets each cell's world bounds
+    markSteepCells(isTooSteep) {
+        let steepCells = 0;
+        for (let x = 0; x < this.cellsX; x++) {
+            for (let z = 0; z < this.cellsZ; z++) {
+                const minX = x * this.gridSize - this.worldSize / 2;
+                const minZ = z * this.gridSize - this.worldSize / 2;
+                if (isTooSteep(minX, minZ, this.gridSize)) {
+                    this.setCellState(x, z, CELL_STATES.OBSTACLE);
+                    steepCells++;
+                }
+            }
+        }
+        return steepCells;
+    }
+
+    // Static world objects never move on the server, so there's no removal to track
+    addFootprint(footprint) {
+        const cells = this.getFootprintCells(footprint);
+        cells.forEach(cell => this.setCellState(cell.gridX, cell.gridZ, footprint.state || CELL_STATES.OBSTACLE));
+        return cells.length;
+    }
+
+    // Closest walkable cell centre, searching outwards ring by ring (null if none in range)
+    findNearestWalkable(x, z, maxRadius = 20) {
+        const origin = this.worldToGrid(x, z);
+        for (let radius = 0; radius <= maxRadius; radius++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    if (Math.abs(dx) !== radius && Math.abs(dz) !== radius) continue;
+                    if (this.getCellState(origin.x + dx, origin.z + dz) === CELL_STATES.WALKABLE) {
+                        return this.gridToWorld(origin.x + dx, origin.z + dz);
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    isWalkable(x, z) {
+        const grid = this.worldToGrid(x, z);
+        return this.getCellState(grid.x, grid.z) === CELL_STATES.WALKABLE;
+    }
+
+    // Sample the straight line between two points every half cell so nobody slips through a wall
+    isSegmentWalkable(from, to) {
+        const distance = Math.hypot(to.x - from.x, to.z - from.z);
+        const steps = Math.max(1, Math.ceil(distance / (this.gridSize / 2)));
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkable(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+module.exports = {
+    WorldGrid,
+    CELL_STATES
+};
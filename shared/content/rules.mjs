@@ -0,0 +1,125 @@
+// Formulas shared by the client and the server: the XP curve, what a crafter's skill puts into an item,
+// gathering odds, which tool gets used, equipment requirements, what wears and what a repair costs, how long fires burn
+// and bites take. Plain ESM with no imports, like
+// validate.mjs - the Vite client imports it and the Node server loads it with import() at startup,
+// so an offline prediction and the server's answer always come from the same numbers.
+
+export const DEFAULT_DURABILITY = 100; // For non-stackable items whose stats don't say
+export const QUALITY_SCALED_STATS = ['damage', 'defense', 'efficiency', 'power']; // The rest (speed, weight...) don't depend on the crafter
+export const MAX_QUALITY = 2.0;
+export const GATHER_LEVEL_BONUS = 0.02; // Success chance per level above the node's requirement
+export const TOOL_EFFICIENCY_BONUS = 0.03; // Success chance per point of tool efficiency above 1
+export const MAX_GATHER_CHANCE = 0.95;
+export const REPAIR_COST_RATE = 0.5; // Full repair costs half the item's value (or half its recipe's materials)
+// Durability an item instance loses each time it's used. Only tools wear: weapons and armor have durability,
+// but with no combat nothing uses them yet - their wear is left for when combat exists.
+export const WEAR_PER_USE = { tool: 1 };
+export const FIRE_DURATION = 60000; // ms a lit fire burns before it goes out
+export const FIRE_SPACING = 2; // Fires can't be lit closer together than one grid cell
+export const EAT_DELAY = 1800; // ms between bites
+
+// OSRS experience curve, built once per level cap. table[level] is the total XP needed to reach that level.
+const experienceTables = new Map();
+
+function getExperienceTable(maxLevel) {
+    if (!experienceTables.has(maxLevel)) {
+        const table = [0, 0];
+        let points = 0;
+        for (let level = 1; level < maxLevel; level++) {
+            points += Math.floor(level + 300 * Math.pow(2, level / 7));
+            table.push(Math.floor(points / 4));
+        }
+        experienceTables.set(maxLevel, table);
+    }
+    return experienceTables.get(maxLevel);
+}
+
+export function getExperienceForLevel(level, maxLevel) {
+    return getExperienceTable(maxLevel)[Math.min(Math.max(level, 1), maxLevel)];
+}
+
+export function getLevelForExperience(experience, maxLevel) {
+    const table = getExperienceTable(maxLevel);
+    let level = 1;
+    while (level < maxLevel && experience >= table[level + 1]) {
+        level++;
+    }
+    return level;
+}
+
+// 1.0 at level 1 and 0.1 more per level, up to 2.0
+export function getCraftQuality(skillLevel) {
+    return Math.round(Math.min(1.0 + (skillLevel - 1) * 0.1, MAX_QUALITY) * 100) / 100;
+}
+
+// What the crafter's skill puts into an item: quality scales its durability and QUALITY_SCALED_STATS
+export function getCraftedProperties(itemData, skillLevel, crafterName) {
+    const { durability: baseDurability = DEFAULT_DURABILITY, ...stats } = itemData?.stats || {};
+    const quality = getCraftQuality(skillLevel);
+
+    QUALITY_SCALED_STATS.forEach(stat => {
+        if (stats[stat] !== undefined) stats[stat] = Math.round(stats[stat] * quality);
+    });
+
+    return {
+        quality,
+        maxDurability: Math.round(baseDurability * quality),
+        stats,
+        crafterName
+    };
+}
+
+// Chance a craft comes out at all (smelting iron can fail) - grows with every level above the recipe's
+export function getCraftSuccessChance(recipe, skillLevel) {
+    if (!recipe.successChance) return 1;
+    const levelsAbove = skillLevel - recipe.level;
+    return Math.min(1, recipe.successChance.base + levelsAbove * recipe.successChance.perLevel);
+}
+
+// A crafted tool carries its own efficiency, a plain one uses the item's
+export function getToolEfficiency(entry, itemData) {
+    return entry.stats?.efficiency ?? itemData?.stats?.efficiency ?? 1;
+}
+
+// The working tool out of toolIds with the highest efficiency (crafted quality counts), or null.
+// getItem looks up an item's definition and isBroken tells worn-out instances apart - each side has its own.
+export function findBestTool(inventory, toolIds, { getItem, isBroken }) {
+    const efficiency = entry => getToolEfficiency(entry, getItem(entry.id));
+    return inventory
+        .filter(entry => entry && toolIds.includes(entry.id) && !isBroken(entry))
+        .reduce((best, entry) => (!best || efficiency(entry) > efficiency(best) ? entry : best), null);
+}
+
+// Every level above the node's requirement adds 2%, every point of tool efficiency above 1 adds 3%, capped at 95%.
+// toolEfficiency is 1 when no tool is used.
+export function getGatherChance(resource, skillLevel, toolEfficiency = 1) {
+    const levelBonus = (skillLevel - resource.level) * GATHER_LEVEL_BONUS;
+    const toolBonus = (toolEfficiency - 1) * TOOL_EFFICIENCY_BONUS;
+    return Math.min(MAX_GATHER_CHANCE, resource.baseChance + levelBonus + toolBonus);
+}
+
+// The first item requirement the player falls short of, as { requirement, level }, or null.
+// "level" is the combat level and any other key a skill. getSkillLevel returns null for skills the game
+// doesn't have yet (agility) - nothing can train them, so they don't lock the item.
+export function getUnmetRequirement(requirements = {}, combatLevel, getSkillLevel) {
+    const unmet = Object.entries(requirements).find(([requirement, level]) => {
+        const current = requirement === 'level' ? combatLevel : getSkillLevel(requirement);
+        return current !== null && current < level;
+    });
+    return unmet ? { requirement: unmet[0], level: unmet[1] } : null;
+}
+
+// Gold and (if the item has a recipe) materials for a full repair - either one pays for it
+export function getRepairCost(entry, itemData, recipe) {
+    const missing = (entry.maxDurability - entry.durability) / entry.maxDurability;
+
+    return {
+        gold: Math.max(1, Math.ceil(itemData.value * missing * REPAIR_COST_RATE)),
+        materials: recipe
+            ? recipe.materials.map(material => ({
+                id: material.id,
+                quantity: Math.max(1, Math.ceil(material.quantity * missing * REPAIR_COST_RATE))
+            }))
+            : null
+    };
+}
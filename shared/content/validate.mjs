@@ -0,0 +1,278 @@
+// Schema checks for the shared item, recipe, skill and world definitions.
+// Plain ESM with no imports so both the Vite client and the Node server (via import())
+// can run the same rules at startup - content that fails here never reaches players.
+
+export const ITEM_TYPES = ['material', 'weapon', 'armor', 'tool', 'potion', 'food', 'gem', 'light'];
+export const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+export const EQUIPMENT_SLOTS = ['head', 'chest', 'legs', 'feet', 'weapon', 'offhand', 'accessory'];
+export const SKILL_CATEGORIES = ['combat', 'gathering', 'artisan'];
+export const FOOTPRINT_STATES = ['obstacle', 'water', 'building'];
+
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Every value in the object must be a finite number (stats, requirements)
+function checkNumberMap(errors, where, value) {
+    if (value === undefined) return;
+    if (!isObject(value)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+    Object.entries(value).forEach(([key, number]) => {
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            errors.push(`${where}.${key} must be a number`);
+        }
+    });
+}
+
+function checkItem(errors, id, item) {
+    const where = `items.${id}`;
+    if (!ID_PATTERN.test(id)) errors.push(`${where}: id must be lower_snake_case`);
+    if (!isObject(item)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+
+    if (typeof item.name !== 'string' || item.name.length === 0) errors.push(`${where}.name is required`);
+    if (!ITEM_TYPES.includes(item.type)) errors.push(`${where}.type must be one of ${ITEM_TYPES.join(', ')}`);
+    if (typeof item.description !== 'string') errors.push(`${where}.description is required`);
+    if (typeof item.stackable !== 'boolean') errors.push(`${where}.stackable must be true or false`);
+    if (item.stackable && !isPositiveInteger(item.maxStack)) errors.push(`${where}.maxStack must be a positive integer for stackable items`);
+    if (!isNonNegative(item.value)) errors.push(`${where}.value must be a number >= 0`);
+    if (!RARITIES.includes(item.rarity)) errors.push(`${where}.rarity must be one of ${RARITIES.join(', ')}`);
+    if (item.equipmentSlot !== undefined && !EQUIPMENT_SLOTS.includes(item.equipmentSlot)) {
+        errors.push(`${where}.equipmentSlot must be one of ${EQUIPMENT_SLOTS.join(', ')}`);
+    }
+    checkNumberMap(errors, `${where}.stats`, item.stats);
+    checkNumberMap(errors, `${where}.requirements`, item.requirements);
+}
+
+// Crafted items get the highest tier whose min their quality reaches, so the list must start at 0 and climb
+function checkQualityTiers(errors, tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        errors.push('qualityTiers must be a non-empty array');
+        return;
+    }
+    tiers.forEach((tier, index) => {
+        if (typeof tier?.name !== 'string' || tier.name.length === 0) errors.push(`qualityTiers[${index}].name is required`);
+        if (!isNonNegative(tier?.min)) errors.push(`qualityTiers[${index}].min must be a number >= 0`);
+        if (index === 0 && tier?.min !== 0) errors.push('qualityTiers[0].min must be 0');
+        if (index > 0 && !(tier?.min > tiers[index - 1]?.min)) errors.push(`qualityTiers[${index}].min must be above the tier before it`);
+    });
+}
+
+function checkSkill(errors, id, skill, maxLevel) {
+    const where = `skills.${id}`;
+    if (!ID_PATTERN.test(id)) errors.push(`${where}: id must be lower_snake_case`);
+    if (!isObject(skill)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+
+    if (typeof skill.name !== 'string' || skill.name.length === 0) errors.push(`${where}.name is required`);
+    if (typeof skill.icon !== 'string') errors.push(`${where}.icon is required`);
+    if (!SKILL_CATEGORIES.includes(skill.category)) errors.push(`${where}.category must be one of ${SKILL_CATEGORIES.join(', ')}`);
+    if (skill.startLevel !== undefined && (!Number.isInteger(skill.startLevel) || skill.startLevel < 1 || skill.startLevel > maxLevel)) {
+        errors.push(`${where}.startLevel must be an integer from 1 to ${maxLevel}`);
+    }
+}
+
+// Places recipes can require you to stand at (furnace...) - the world puts them on the map
+function checkStation(errors, id, station) {
+    const where = `stations.${id}`;
+    if (!ID_PATTERN.test(id)) errors.push(`${where}: id must be lower_snake_case`);
+    if (typeof station?.name !== 'string' || station.name.length === 0) errors.push(`${where}.name is required`);
+    if (typeof station?.icon !== 'string') errors.push(`${where}.icon is required`);
+}
+
+function checkRecipe(errors, id, recipe, items, skills, stations, maxLevel) {
+    const where = `recipes.${id}`;
+    if (!isObject(recipe)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+
+    // A recipe makes the item with the same id
+    const output = items[id];
+    if (!output) {
+        errors.push(`${where}: no item "${id}" for this recipe to produce`);
+    } else if (recipe.type !== output.type) {
+        errors.push(`${where}.type "${recipe.type}" doesn't match item type "${output.type}"`);
+    }
+
+    if (typeof recipe.name !== 'string' || recipe.name.length === 0) errors.push(`${where}.name is required`);
+    if (!skills[recipe.skill]) errors.push(`${where}.skill must be one of ${Object.keys(skills).join(', ')}`);
+    if (!Number.isInteger(recipe.level) || recipe.level < 1 || recipe.level > maxLevel) errors.push(`${where}.level must be an integer from 1 to ${maxLevel}`);
+    if (!isNonNegative(recipe.experience)) errors.push(`${where}.experience must be a number >= 0`);
+    if (!Number.isInteger(recipe.time) || recipe.time < 0) errors.push(`${where}.time must be a whole number of milliseconds`);
+
+    if (!Array.isArray(recipe.materials) || recipe.materials.length === 0) {
+        errors.push(`${where}.materials must be a non-empty array`);
+    } else {
+        recipe.materials.forEach((material, index) => {
+            if (!isObject(material) || !items[material.id]) {
+                errors.push(`${where}.materials[${index}] refers to unknown item "${material?.id}"`);
+            }
+            if (!isPositiveInteger(material?.quantity)) {
+                errors.push(`${where}.materials[${index}].quantity must be a positive integer`);
+            }
+        });
+    }
+
+    if (!Array.isArray(recipe.tools)) {
+        errors.push(`${where}.tools must be an array`);
+    } else {
+        recipe.tools.forEach(tool => {
+            if (items[tool]?.type !== 'tool') errors.push(`${where}.tools: "${tool}" is not a tool item`);
+        });
+    }
+
+    // One station, or a list of stations that all work (a fire or a range)
+    if (recipe.station !== undefined) {
+        const list = Array.isArray(recipe.station) ? recipe.station : [recipe.station];
+        if (list.length === 0 || list.some(station => !stations[station])) {
+            errors.push(`${where}.station must be one or a list of ${Object.keys(stations).join(', ')}`);
+        }
+    }
+
+    // Recipes that can fail: base chance at the recipe's level, plus perLevel for every level above it
+    if (recipe.successChance !== undefined) {
+        const chance = recipe.successChance;
+        if (!isObject(chance) || !(chance.base > 0 && chance.base <= 1)) errors.push(`${where}.successChance.base must be above 0 and at most 1`);
+        if (!isNonNegative(chance?.perLevel)) errors.push(`${where}.successChance.perLevel must be a number >= 0`);
+        if (chance?.failItem !== undefined && !items[chance.failItem]) errors.push(`${where}.successChance.failItem refers to unknown item "${chance.failItem}"`);
+    }
+}
+
+function checkPosition(errors, where, position) {
+    if (!isObject(position) || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+        errors.push(`${where} must have numeric x and z`);
+    }
+}
+
+// Cells a placed thing blocks - every kind the world places needs one
+function checkFootprint(errors, kind, footprint) {
+    const where = `world.footprints.${kind}`;
+    if (!isObject(footprint)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+    if (!FOOTPRINT_STATES.includes(footprint.state)) errors.push(`${where}.state must be one of ${FOOTPRINT_STATES.join(', ')}`);
+    if (footprint.shape === 'circle') {
+        if (!(footprint.radius > 0)) errors.push(`${where}.radius must be above 0`);
+    } else if (footprint.shape === 'rect') {
+        // Pyramids are sized per placement, so their width and depth come from the code
+        if (kind !== 'pyramid' && !(footprint.width > 0 && footprint.depth > 0)) errors.push(`${where}.width and depth must be above 0`);
+    } else {
+        errors.push(`${where}.shape must be circle or rect`);
+    }
+}
+
+// Where the landmarks, resource nodes and stations sit - the client draws them, the server blocks the same cells
+function checkWorld(errors, world, items, skills, stations) {
+    const footprints = world.footprints;
+    if (!isObject(footprints)) {
+        errors.push('world.json must contain a "footprints" object');
+        return;
+    }
+    Object.entries(footprints).forEach(([kind, footprint]) => checkFootprint(errors, kind, footprint));
+    const needFootprint = (where, kind) => {
+        if (!footprints[kind]) errors.push(`${where}: no footprint for "${kind}"`);
+    };
+
+    ['pyramids', 'temples', 'sphinxes', 'obelisks', 'palms'].forEach(group => {
+        if (!Array.isArray(world[group])) {
+            errors.push(`world.${group} must be an array`);
+            return;
+        }
+        world[group].forEach((position, index) => checkPosition(errors, `world.${group}[${index}]`, position));
+    });
+    (world.pyramids || []).forEach((pyramid, index) => {
+        if (!(pyramid?.size > 0)) errors.push(`world.pyramids[${index}].size must be above 0`);
+    });
+    checkPosition(errors, 'world.house', world.house);
+    ['pyramid', 'temple', 'sphinx', 'obelisk', 'palm', 'house', 'repair_bench'].forEach(kind => needFootprint('world', kind));
+
+    const ids = new Set();
+    const checkId = (where, id) => {
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) errors.push(`${where}.id must be lower_snake_case`);
+        if (ids.has(id)) errors.push(`${where}.id "${id}" is used twice`);
+        ids.add(id);
+    };
+
+    world.resourceNodes.forEach((node, index) => {
+        const where = `world.resourceNodes[${index}]`;
+        checkId(where, node?.id);
+        checkPosition(errors, `${where}.position`, node?.position);
+        if (!skills[node?.type]) errors.push(`${where}.type must be a skill`);
+        needFootprint(where, node?.type);
+        if (typeof node?.name !== 'string' || node.name.length === 0) errors.push(`${where}.name is required`);
+        if (!items[node?.item]) errors.push(`${where}.item refers to unknown item "${node?.item}"`);
+        if (!isPositiveInteger(node?.level)) errors.push(`${where}.level must be a positive integer`);
+        if (!isNonNegative(node?.experience)) errors.push(`${where}.experience must be a number >= 0`);
+        if (!(node?.baseChance > 0 && node.baseChance <= 1)) errors.push(`${where}.baseChance must be above 0 and at most 1`);
+        if (!isPositiveInteger(node?.charges)) errors.push(`${where}.charges must be a positive integer`);
+        if (!isPositiveInteger(node?.respawnTime)) errors.push(`${where}.respawnTime must be a whole number of milliseconds`);
+        (node?.tools || []).forEach(tool => {
+            if (items[tool]?.type !== 'tool') errors.push(`${where}.tools: "${tool}" is not a tool item`);
+        });
+    });
+    world.repairStations.forEach((station, index) => {
+        const where = `world.repairStations[${index}]`;
+        checkId(where, station?.id);
+        checkPosition(errors, `${where}.position`, station?.position);
+        if (typeof station?.name !== 'string' || station.name.length === 0) errors.push(`${where}.name is required`);
+    });
+    world.craftingStations.forEach((station, index) => {
+        const where = `world.craftingStations[${index}]`;
+        checkId(where, station?.id);
+        checkPosition(errors, `${where}.position`, station?.position);
+        if (!stations[station?.type]) errors.push(`${where}.type must be one of ${Object.keys(stations).join(', ')}`);
+        needFootprint(where, station?.type);
+        if (station?.approach !== undefined) checkPosition(errors, `${where}.approach`, station.approach);
+    });
+}
+
+// Returns a list of human-readable problems - empty when the content is valid
+export function validateContent(itemsFile, recipesFile, skillsFile, worldFile) {
+    const errors = [];
+    const items = itemsFile?.items;
+    const recipes = recipesFile?.recipes;
+    const skills = skillsFile?.skills;
+
+    if (!isObject(items)) errors.push('items.json must contain an "items" object');
+    if (!isObject(recipes)) errors.push('recipes.json must contain a "recipes" object');
+    if (!isObject(skills)) errors.push('skills.json must contain a "skills" object');
+    if (!isObject(worldFile)) errors.push('world.json must be an object');
+    ['resourceNodes', 'repairStations', 'craftingStations'].forEach(list => {
+        if (!Array.isArray(worldFile?.[list])) errors.push(`world.json must contain a "${list}" array`);
+    });
+    if (recipesFile?.stations !== undefined && !isObject(recipesFile.stations)) errors.push('recipes.json "stations" must be an object');
+    if (!isPositiveInteger(skillsFile?.maxLevel)) errors.push('skills.json maxLevel must be a positive integer');
+    if (errors.length > 0) return errors;
+
+    Object.entries(skills).forEach(([id, skill]) => checkSkill(errors, id, skill, skillsFile.maxLevel));
+
+    Object.entries(items).forEach(([id, item]) => checkItem(errors, id, item));
+    checkQualityTiers(errors, itemsFile.qualityTiers);
+    (itemsFile.startingInventory || []).forEach((entry, index) => {
+        if (!items[entry?.id]) errors.push(`startingInventory[${index}] refers to unknown item "${entry?.id}"`);
+        if (!isPositiveInteger(entry?.quantity)) errors.push(`startingInventory[${index}].quantity must be a positive integer`);
+    });
+    const stations = recipesFile.stations || {};
+    Object.entries(stations).forEach(([id, station]) => checkStation(errors, id, station));
+    Object.entries(recipes).forEach(([id, recipe]) => checkRecipe(errors, id, recipe, items, skills, stations, skillsFile.maxLevel));
+    checkWorld(errors, worldFile, items, skills, stations);
+    return errors;
+}
+
+// Throws with every problem listed, so one startup shows everything that needs fixing
+export function assertValidContent(itemsFile, recipesFile, skillsFile, worldFile) {
+    const errors = validateContent(itemsFile, recipesFile, skillsFile, worldFile);
+    if (errors.length > 0) {
+        throw new Error(`Invalid game content:\n  - ${errors.join('\n  - ')}`);
+    }
+}
@@ -0,0 +1,151 @@
+// Terrain heightmap shared by the client (terrain mesh, ground height, click picking)
+// and the server (slopes too steep to walk are obstacles on both grids).
+// Plain ESM with no imports, like content/validate.mjs, so Node can import() it too.
+
+export const TERRAIN_SIZE = 1000; // Same as the world and the walkability grid
+export const SAMPLE_SPACING = 2; // World units between height samples - one per grid cell corner
+export const MAX_WALKABLE_SLOPE = 0.7; // Rise over run (about 35 degrees) - anything steeper can't be walked on
+
+// The valley with the landmarks is level ground so buildings sit flat;
+// rolling hills fade in between these two distances from the centre
+const VALLEY_RADIUS = 240;
+const HILLS_RADIUS = 320;
+
+// Sand dunes - fixed so every client and the server agree on where they are.
+// Gentle enough to walk over: the steepest flank of a dune is height * PI / (2 * radius).
+export const DUNES = [
+    { x: -300, z: -250, radius: 24, height: 8 },
+    { x: 320, z: 180, radius: 20, height: 6 },
+    { x: -260, z: 320, radius: 28, height: 9 },
+    { x: 260, z: -320, radius: 22, height: 7 },
+    { x: 150, z: 150, radius: 14, height: 4 },
+    { x: -120, z: -220, radius: 16, height: 5 },
+    { x: 380, z: -60, radius: 26, height: 8 },
+    { x: -380, z: 60, radius: 24, height: 8 },
+    { x: 60, z: 380, radius: 20, height: 6 },
+    { x: -40, z: -380, radius: 18, height: 6 }
+];
+
+// Builders' ramps climbing to the south face of each pyramid (see WorldManager.createPyramids).
+// The sides drop off too steeply to walk, so you have to go up from the foot.
+const RAMP_LENGTH = 24;
+const RAMP_WIDTH = 6;
+const RAMP_HEIGHT = 4;
+const RAMP_SIDE = 1.5; // Horizontal run of the drop-off along each side
+
+// One ramp per pyramid in shared/content/world.json ({ x, z, size }) - passed in rather than imported
+// so this module stays free of imports, and a pyramid that moves takes its ramp with it
+export function getPyramidRamps(pyramids = []) {
+    return pyramids.map(pyramid => {
+        // Pyramids are turned so their faces line up with the grid - the south face is size / sqrt(2) out
+        const faceZ = pyramid.z + pyramid.size * Math.SQRT1_2;
+        return {
+            foot: { x: pyramid.x, z: faceZ + RAMP_LENGTH },
+            direction: { x: 0, z: -1 }, // Foot -> top
+            length: RAMP_LENGTH,
+            width: RAMP_WIDTH,
+            height: RAMP_HEIGHT
+        };
+    });
+}
+
+function smoothstep(edge0, edge1, value) {
+    const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+// Same waves the old hills overlay used, faded out inside the valley
+function hillsHeight(x, z) {
+    const fade = smoothstep(VALLEY_RADIUS, HILLS_RADIUS, Math.hypot(x, z));
+    if (fade === 0) return 0;
+
+    return fade * (Math.sin(x * 0.02) * Math.cos(z * 0.02) * 3 +
+        Math.sin(x * 0.05) * Math.cos(z * 0.05) * 1.5 +
+        Math.sin(x * 0.1) * Math.cos(z * 0.1) * 0.5);
+}
+
+// Cosine bump: full height in the middle, flat at the rim
+function duneHeight(dune, x, z) {
+    const distance = Math.hypot(x - dune.x, z - dune.z);
+    if (distance >= dune.radius) return 0;
+    return dune.height * (1 + Math.cos(Math.PI * distance / dune.radius)) / 2;
+}
+
+function rampHeight(ramp, x, z) {
+    const dx = x - ramp.foot.x;
+    const dz = z - ramp.foot.z;
+    const along = dx * ramp.direction.x + dz * ramp.direction.z;
+    if (along <= 0 || along > ramp.length + RAMP_SIDE) return 0; // The far end is hidden inside the pyramid
+
+    const across = Math.abs(dx * ramp.direction.z - dz * ramp.direction.x);
+    const side = 1 - Math.max(0, across - ramp.width / 2) / RAMP_SIDE;
+    if (side <= 0) return 0;
+
+    return ramp.height * Math.min(1, along / ramp.length) * side;
+}
+
+// The continuous terrain shape - sampled once into the heightmap
+export function getTerrainHeight(x, z, ramps = []) {
+    let height = hillsHeight(x, z);
+    DUNES.forEach(dune => { height += duneHeight(dune, x, z); });
+    ramps.forEach(ramp => { height = Math.max(height, rampHeight(ramp, x, z)); });
+    return height;
+}
+
+// Heights on a square lattice, row by row along x: heights[iz * samplesPerSide + ix]
+// is the ground at (ix * spacing - size / 2, iz * spacing - size / 2).
+// pyramids is world.json's list - each one gets a ramp.
+export function createHeightmap(size = TERRAIN_SIZE, spacing = SAMPLE_SPACING, pyramids = []) {
+    const ramps = getPyramidRamps(pyramids);
+    const segments = Math.round(size / spacing);
+    const samplesPerSide = segments + 1;
+    const heights = new Float32Array(samplesPerSide * samplesPerSide);
+
+    for (let iz = 0; iz < samplesPerSide; iz++) {
+        for (let ix = 0; ix < samplesPerSide; ix++) {
+            heights[iz * samplesPerSide + ix] = getTerrainHeight(ix * spacing - size / 2, iz * spacing - size / 2, ramps);
+        }
+    }
+
+    return { size, spacing, segments, samplesPerSide, heights };
+}
+
+// Ground height anywhere, interpolated across the same two triangles per square
+// that THREE.PlaneGeometry uses, so it matches the rendered terrain exactly.
+// Positions outside the map use the nearest edge.
+export function sampleHeight(heightmap, x, z) {
+    const { size, spacing, segments, samplesPerSide, heights } = heightmap;
+    const gx = Math.min(Math.max((x + size / 2) / spacing, 0), segments);
+    const gz = Math.min(Math.max((z + size / 2) / spacing, 0), segments);
+    const ix = Math.min(Math.floor(gx), segments - 1);
+    const iz = Math.min(Math.floor(gz), segments - 1);
+    const u = gx - ix;
+    const v = gz - iz;
+
+    const a = heights[iz * samplesPerSide + ix];
+    const b = heights[(iz + 1) * samplesPerSide + ix];
+    const c = heights[(iz + 1) * samplesPerSide + ix + 1];
+    const d = heights[iz * samplesPerSide + ix + 1];
+
+    if (u + v <= 1) {
+        return a + u * (d - a) + v * (b - a);
+    }
+    return c + (1 - u) * (b - c) + (1 - v) * (d - c);
+}
+
+// Steepest rise over run between the corners of a square area (edges and diagonals)
+export function getAreaSlope(heightmap, minX, minZ, size) {
+    const h00 = sampleHeight(heightmap, minX, minZ);
+    const h10 = sampleHeight(heightmap, minX + size, minZ);
+    const h01 = sampleHeight(heightmap, minX, minZ + size);
+    const h11 = sampleHeight(heightmap, minX + size, minZ + size);
+
+    const edge = Math.max(Math.abs(h10 - h00), Math.abs(h11 - h01), Math.abs(h01 - h00), Math.abs(h11 - h10)) / size;
+    const diagonal = Math.max(Math.abs(h11 - h00), Math.abs(h10 - h01)) / (size * Math.SQRT2);
+    return Math.max(edge, diagonal);
+}
+
+// Grid cells steeper than this are obstacles - used by GridManager and the server's WorldGrid
+export function isAreaTooSteep(heightmap, minX, minZ, size) {
+    return getAreaSlope(heightmap, minX, minZ, size) > MAX_WALKABLE_SLOPE;
+}
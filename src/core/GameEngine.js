@@ -3,8 +3,15 @@ import { Player } from '../entities/Player.js';
 import { WorldManager } from './WorldManager.js';
 import { GridManager } from './GridManager.js';
 import { InputManager } from './InputManager.js';
-import { CraftingSystem } from '../systems/CraftingSystem.js';
+import { CraftingSystem, STATION_RANGE } from '../systems/CraftingSystem.js';
+import { GatheringSystem, GATHER_RANGE } from '../systems/GatheringSystem.js';
 import { InventorySystem } from '../systems/InventorySystem.js';
+import { SkillsSystem } from '../systems/SkillsSystem.js';
+import { SnapshotBuffer } from '../network/SnapshotBuffer.js';
+import { FIRE_DURATION, FIRE_SPACING, EAT_DELAY, WEAR_PER_USE } from '../../shared/content/rules.mjs';
+
+// Other players' capsules are 2 units tall - lift them so they stand on the ground
+const REMOTE_PLAYER_HEIGHT = 1;
 
 export class GameEngine {
     constructor() {
@@ -16,6 +23,10 @@ export class GameEngine {
         this.gridManager = null;
         this.inputManager = null;
         this.craftingSystem = null;
+        this.gatheringSystem = null;
+        this.pendingGather = null; // Resource node we're walking up to - gathering starts when we arrive
+        this.pendingStation = null; // Crafting station we're walking up to - its recipes open when we arrive
+        this.lastEatAt = 0;
         this.inventorySystem = null;
         this.networkManager = null;
         this.audioManager = null;
@@ -25,7 +36,7 @@ export class GameEngine {
         this.physicsWorld = null; // Add physics world property
         
         // Camera orbital rotation properties
-        this.cameraOrbitAngle = 0; // Current orbit angle around player
+        this.cameraOrbitAngle = 0; // Current orbit angle around player (0 = camera south of the player, looking north)
         this.cameraOrbitSpeed = 0.02; // Speed of orbit rotation
         this.cameraOrbitDistance = 10; // Distance from player
         this.cameraOrbitHeight = 5; // Height above player
@@ -81,19 +92,32 @@ export class GameEngine {
         this.worldManager = new WorldManager(this.scene);
         this.gridManager = new GridManager(this.scene, 1000, 2); // 1000x1000 world, 2x2 grid cells (player-sized)
         this.inputManager = new InputManager();
-        this.craftingSystem = new CraftingSystem();
-        this.inventorySystem = new InventorySystem();
+        this.skillsSystem = new SkillsSystem();
+        this.inventorySystem = new InventorySystem(this.skillsSystem);
+        this.craftingSystem = new CraftingSystem(this.inventorySystem, this.skillsSystem);
+        this.craftingSystem.setCrafterName(this.characterName || null);
+        this.craftingSystem.findNearbyStation = (stationType) =>
+            this.player ? this.worldManager.getNearbyCraftingStation(stationType, this.player.getPosition(), STATION_RANGE) : null;
+        this.gatheringSystem = new GatheringSystem(this.inventorySystem, this.skillsSystem, this.worldManager);
         
         // Initialize InputManager
         this.inputManager.init();
         
+        // Initialize skills before anything that reads levels
+        await this.skillsSystem.init();
+        
         // Initialize inventory system
         await this.inventorySystem.init();
         
+        // Initialize crafting system (recipes)
+        await this.craftingSystem.init();
+        await this.gatheringSystem.init();
+        
         // Initialize grid manager
         this.gridManager.init();
         
-        // Initialize world
+        // Initialize world - structures mark their footprints on the grid
+        this.worldManager.setGridManager(this.gridManager);
         await this.worldManager.init();
         
         // Setup camera first
@@ -102,6 +126,7 @@ export class GameEngine {
         // Create player
         this.player = new Player(this.scene, this.physicsWorld);
         await this.player.init();
+        this.bindSkillsSystem();
         
         // Set player name if we have one from character creator
         if (this.pendingPlayerName) {
@@ -258,10 +283,13 @@ export class GameEngine {
             this.player.setCamera(this.camera);
         }
         
-        // Store grid manager in scene for player access
+        // Store grid manager and ground heights in scene for player access
         if (this.scene && this.gridManager) {
             this.scene.userData.gridManager = this.gridManager;
         }
+        if (this.scene && this.worldManager?.heightmap) {
+            this.scene.userData.heightmap = this.worldManager.heightmap;
+        }
     }
 
     setupLighting() {
@@ -290,6 +318,18 @@ export class GameEngine {
     handleMouseClick(mouseCoords) {
         console.log('🎯 Processing mouse click:', mouseCoords);
         
+        // Clicking a resource node or crafting station uses it instead of walking onto it
+        const object = this.getInteractiveObjectFromMouse(mouseCoords);
+        if (object) {
+            this.handleObjectInteraction(object);
+            return;
+        }
+        
+        // Clicking anywhere else stops whatever we were gathering or heading to
+        this.pendingGather = null;
+        this.pendingStation = null;
+        this.gatheringSystem?.cancelGathering(null);
+        
         // Convert mouse coordinates to world position
         const worldPosition = this.getWorldPositionFromMouse(mouseCoords);
         
@@ -299,21 +339,28 @@ export class GameEngine {
             // Show visual debug indicator
             this.showClickIndicator(worldPosition);
             
-            // Check if position is walkable
-            if (this.gridManager && this.gridManager.isWalkable(worldPosition)) {
-                console.log('✅ Position is walkable, moving player');
-                this.player.moveToPosition(worldPosition);
-            } else {
-                console.log('❌ Position is not walkable, finding nearest walkable cell');
-                // Find nearest walkable position
-                const walkablePosition = this.gridManager.findNearestWalkable(worldPosition);
-                this.player.moveToPosition(walkablePosition);
-            }
+            this.walkTo(worldPosition);
         } else {
             console.log('❌ Could not convert mouse to world position');
         }
     }
 
+    // Click-to-move target from the world, the map or the minimap
+    walkTo(worldPosition) {
+        if (!this.player) return;
+        
+        // Check if position is walkable
+        if (this.gridManager && this.gridManager.isWalkable(worldPosition)) {
+            console.log('✅ Position is walkable, moving player');
+            this.player.moveToPosition(worldPosition);
+        } else if (this.gridManager) {
+            console.log('❌ Position is not walkable, finding nearest walkable cell');
+            // Find nearest walkable position
+            const walkablePosition = this.gridManager.findNearestWalkable(worldPosition);
+            this.player.moveToPosition(walkablePosition);
+        }
+    }
+
     showClickIndicator(position) {
         // Remove previous indicator
         if (this.clickIndicator) {
@@ -330,7 +377,7 @@ export class GameEngine {
         
         this.clickIndicator = new THREE.Mesh(geometry, material);
         this.clickIndicator.position.copy(position);
-        this.clickIndicator.position.y = 0.5; // Raise it slightly above ground
+        this.clickIndicator.position.y = this.getHeightAt(position.x, position.z) + 0.5; // Raise it slightly above ground
         
         this.scene.add(this.clickIndicator);
         
@@ -348,13 +395,11 @@ export class GameEngine {
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(mouseCoords, this.camera);
         
-        // Create a ground plane at y=0 for intersection
-        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        const intersectionPoint = new THREE.Vector3();
-        
-        if (raycaster.ray.intersectPlane(groundPlane, intersectionPoint)) {
-            console.log('🎯 Ground intersection found:', intersectionPoint);
-            return intersectionPoint;
+        // March the ray over the heightmap - the terrain mesh is built from it, so this is what you see
+        const groundPoint = this.worldManager?.heightmap?.raycast(raycaster.ray);
+        if (groundPoint) {
+            console.log('🎯 Ground intersection found:', groundPoint);
+            return groundPoint;
         }
         
         // Fallback: try to intersect with scene objects
@@ -368,15 +413,35 @@ export class GameEngine {
         return null;
     }
 
+    // The resource node or crafting station under the mouse, if any - checked before the ground so the click isn't a walk
+    getInteractiveObjectFromMouse(mouseCoords) {
+        const objects = [
+            ...(this.worldManager?.getResourceNodes().filter(Boolean) || []),
+            ...(this.worldManager?.getCraftingStations() || [])
+        ];
+        if (objects.length === 0) return null;
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(mouseCoords, this.camera);
+        const hit = raycaster.intersectObjects(objects, true)[0];
+        
+        // Whatever was hit, the object is the ancestor carrying the interaction type
+        let object = hit?.object || null;
+        while (object && !object.userData.type) {
+            object = object.parent;
+        }
+        return object;
+    }
+
     handleObjectInteraction(object) {
         // Check if it's a crafting station
         if (object.userData.type === 'crafting_station') {
-            this.uiManager.showCraftingPanel();
+            this.useCraftingStation(object);
         }
         
         // Check if it's a resource node
         if (object.userData.type === 'resource_node') {
-            this.player.startGathering(object);
+            this.gatherFrom(object);
         }
         
         // Check if it's an NPC
@@ -385,6 +450,104 @@ export class GameEngine {
         }
     }
 
+    // Walk up to the side of a resource node facing us and start gathering there
+    gatherFrom(node) {
+        if (!this.player || !this.gatheringSystem) return;
+        
+        // Say why straight away rather than after the walk
+        const error = this.gatheringSystem.getGatheringError(node.userData);
+        if (error) {
+            this.uiManager?.showNotification(error, 'info');
+            return;
+        }
+        
+        this.gatheringSystem.cancelGathering(null);
+        this.pendingStation = null;
+        this.pendingGather = node;
+        if (!this.isInGatherRange(node)) {
+            this.walkTo(this.getApproachPosition(node, GATHER_RANGE));
+        }
+    }
+
+    // Walk up to a crafting station, then open the crafting panel with just the recipes made there
+    useCraftingStation(station) {
+        if (!this.player) return;
+        
+        this.pendingGather = null;
+        this.gatheringSystem?.cancelGathering(null);
+        this.pendingStation = station;
+        if (!this.isWithin(station, STATION_RANGE)) {
+            this.walkTo(this.getApproachPosition(station, STATION_RANGE));
+        }
+    }
+
+    // Just outside the object's footprint on our side of it, or its fixed approach spot (the range indoors) -
+    // walkTo finds the nearest open cell if that's blocked
+    getApproachPosition(object, range) {
+        const approach = object.userData.approach;
+        if (approach) {
+            return new THREE.Vector3(approach.x, 0, approach.z);
+        }
+        
+        const position = this.player.getPosition();
+        const dx = position.x - object.position.x;
+        const dz = position.z - object.position.z;
+        const distance = Math.hypot(dx, dz) || 1;
+        const footprint = object.userData.footprint;
+        const size = footprint ? (footprint.radius ?? Math.max(footprint.width, footprint.depth) / 2) : 0;
+        const reach = Math.min(range - 1, size + (this.gridManager?.gridSize || 2));
+        return new THREE.Vector3(object.position.x + dx / distance * reach, 0, object.position.z + dz / distance * reach);
+    }
+
+    isWithin(object, range) {
+        const position = this.player.getPosition();
+        return Math.hypot(position.x - object.position.x, position.z - object.position.z) <= range;
+    }
+
+    isInGatherRange(node) {
+        return this.isWithin(node, GATHER_RANGE);
+    }
+
+    // Open the station's recipes once we've stopped walking next to it
+    updatePendingStation() {
+        if (!this.pendingStation || this.player?.isMoving) return;
+        
+        const station = this.pendingStation;
+        this.pendingStation = null;
+        
+        if (!this.isWithin(station, STATION_RANGE)) {
+            this.uiManager?.showNotification(`You can't reach the ${station.userData.name}`, 'info');
+            return;
+        }
+        
+        this.player.faceTowards(station.position);
+        this.uiManager?.showCraftingPanel(station.userData.stationType);
+    }
+
+    // Start a pending gather once we've stopped walking; walking off interrupts one in progress
+    updateGathering(deltaTime) {
+        if (this.player?.isMoving) {
+            if (this.gatheringSystem.isGathering()) {
+                this.gatheringSystem.cancelGathering('You moved');
+            }
+        } else if (this.pendingGather) {
+            const node = this.pendingGather;
+            this.pendingGather = null;
+            
+            if (!this.isInGatherRange(node)) {
+                this.uiManager?.showNotification(`You can't reach the ${node.userData.name}`, 'info');
+            } else {
+                this.player.faceTowards(node.position);
+                const result = this.gatheringSystem.startGathering(node.userData);
+                if (!result.success) {
+                    this.uiManager?.showNotification(result.reason, 'info');
+                }
+            }
+        }
+        
+        this.gatheringSystem.update(deltaTime);
+    }
+
     start() {
         if (this.isRunning) {
             console.warn('⚠️ Game loop already running, skipping start...');
@@ -1178,6 +1341,7 @@ export class GameEngine {
             const newAngle = angle + this.cameraOrbitSpeed;
             this.cameraOffsetX = Math.sin(newAngle) * this.cameraOrbitDistance;
             this.cameraOffsetZ = Math.cos(newAngle) * this.cameraOrbitDistance;
+            this.cameraOrbitAngle = newAngle;
             console.log('📷 Camera rotating left - New offsets:', this.cameraOffsetX.toFixed(2), this.cameraOffsetZ.toFixed(2));
         }
         if (this.inputManager.isKeyPressed('ArrowRight')) {
@@ -1186,6 +1350,7 @@ export class GameEngine {
             const newAngle = angle - this.cameraOrbitSpeed;
             this.cameraOffsetX = Math.sin(newAngle) * this.cameraOrbitDistance;
             this.cameraOffsetZ = Math.cos(newAngle) * this.cameraOrbitDistance;
+            this.cameraOrbitAngle = newAngle;
             console.log('📷 Camera rotating right - New offsets:', this.cameraOffsetX.toFixed(2), this.cameraOffsetZ.toFixed(2));
         }
         
@@ -1323,11 +1488,20 @@ export class GameEngine {
                 this.inputManager.update(deltaTime);
             }
             
-            // Update crafting system
+            // Update crafting system - walking off interrupts a timed craft
             if (this.craftingSystem && typeof this.craftingSystem.update === 'function') {
+                if (this.player?.isMoving && this.craftingSystem.isCrafting()) {
+                    this.craftingSystem.cancelCrafting('You moved');
+                }
                 this.craftingSystem.update(deltaTime);
             }
             
+            // Update gathering - starts when we reach the node, stops when we walk away
+            if (this.gatheringSystem) {
+                this.updateGathering(deltaTime);
+            }
+            this.updatePendingStation();
+            
             // Update inventory system
             if (this.inventorySystem && typeof this.inventorySystem.update === 'function') {
                 this.inventorySystem.update(deltaTime);
@@ -1565,7 +1739,6 @@ export class GameEngine {
         
         // Handle other players moving
         this.networkManager.onPlayerMove = (data) => {
-            console.log(`👥 Player moved: ${data.playerId}`, data);
             this.updateOtherPlayer(data);
         };
         
@@ -1581,6 +1754,76 @@ export class GameEngine {
             this.handleTimeUpdate(timeData);
         };
         
+        // Handle the server's answer to our own join
+        this.networkManager.onPlayerJoined = (data) => {
+            this.handlePlayerJoined(data);
+        };
+        
+        // Snap back when the server rejects our movement
+        this.networkManager.onPositionCorrection = (data) => {
+            this.handlePositionCorrection(data);
+        };
+        
+        // Server verdicts on crafting, gathering and building
+        this.networkManager.onCraftResult = (data) => {
+            this.craftingSystem?.handleServerCraftResult(data);
+        };
+        
+        this.networkManager.onCraftCancelled = (data) => {
+            this.craftingSystem?.handleServerCraftCancelled(data);
+        };
+        
+        this.networkManager.onGatheringResult = (data) => {
+            this.gatheringSystem?.handleServerGatheringResult(data);
+        };
+        
+        this.networkManager.onResourceUpdate = (data) => {
+            this.handleResourceUpdate(data);
+        };
+        
+        this.networkManager.onBuildingResult = (data) => {
+            if (!data.success) this.uiManager?.showNotification(`❌ ${data.error}`, 'error');
+            if (Array.isArray(data.inventory)) this.inventorySystem?.setFromServer(data.inventory);
+        };
+        
+        // Ours arrives here too, like everyone else's
+        this.networkManager.onBuildingPlaced = (building) => {
+            this.worldManager?.addBuilding(building);
+        };
+        
+        this.networkManager.onRepairResult = (data) => {
+            this.handleRepairResult(data);
+        };
+        
+        this.networkManager.onEquipResult = (data) => {
+            this.handleEquipResult(data);
+        };
+        
+        this.networkManager.onSkillsUpdate = (data) => {
+            this.skillsSystem?.applyServerUpdate(data);
+        };
+        
+        this.networkManager.onSkillLevelUp = (data) => {
+            this.skillsSystem?.applyServerLevelUp(data);
+        };
+        
+        // Fires anyone lit, and the answers to our own fire lighting and eating
+        this.networkManager.onFireLit = (fire) => {
+            this.worldManager?.addFire(fire);
+        };
+        
+        this.networkManager.onFireOut = (data) => {
+            this.worldManager?.removeFire(data.id);
+        };
+        
+        this.networkManager.onFireResult = (data) => {
+            this.handleFireResult(data);
+        };
+        
+        this.networkManager.onEatResult = (data) => {
+            this.handleEatResult(data);
+        };
+        
         console.log('✅ Multiplayer callbacks set up successfully');
         this.multiplayerCallbacksSetup = true; // Mark callbacks as set up
         
@@ -1629,8 +1872,9 @@ export class GameEngine {
             console.log('✅ Network already connected, proceeding to join world...');
         }
         
-        // Prepare player data for joining
+        // Prepare player data for joining - the server loads the rest of the character itself
         const playerData = {
+            characterId: this.characterData?.id,
             name: this.player?.name || this.characterName || `Player_${Math.floor(Math.random() * 1000)}`,
             position: this.player?.position || { x: 0, y: 0, z: 0 },
             rotation: this.player?.rotation || { x: 0, y: 0, z: 0 },
@@ -1645,6 +1889,235 @@ export class GameEngine {
         this.worldJoined = true; // Mark as joined
     }
 
+    // Apply the saved character the server sent back when we joined
+    handlePlayerJoined(data) {
+        if (!data.success) {
+            // Character was deleted or belongs to another account - pick again
+            console.warn('🚫 Server refused to load character:', data.message);
+            alert(data.message || 'Could not load your character');
+            localStorage.removeItem('egyptMMO_character');
+            window.location.reload();
+            return;
+        }
+        
+        if (this.player && data.player) {
+            this.player.teleportTo(data.player.position);
+            this.player.setAppearance(data.player.appearance);
+            this.setPlayerName(data.player.name);
+        }
+        
+        // Online, the server's inventory and skills replace the local starting ones
+        if (Array.isArray(data.player?.inventory)) {
+            this.inventorySystem?.setEquipmentFromServer(data.player.equipment);
+            this.inventorySystem?.setFromServer(data.player.inventory);
+            this.inventorySystem?.setGold(data.player.gold);
+            this.syncPlayerEquipment();
+        }
+        if (data.player?.skills) {
+            this.skillsSystem?.setFromServer(data.player.skills);
+        }
+    }
+
+    // Level-up notifications, and max health following hitpoints (10 per level)
+    bindSkillsSystem() {
+        this.skillsSystem.onLevelUp = (skill, level) => {
+            this.uiManager?.showNotification(`🎉 ${this.skillsSystem.getSkillName(skill)} level ${level}!`, 'success');
+        };
+        this.skillsSystem.onSkillsChanged = () => {
+            this.player?.setMaxHealth(this.skillsSystem.getLevel('hitpoints') * 10);
+            if (this.uiManager?.activePanel === 'skills') {
+                this.uiManager.updateSkillsDisplay();
+            }
+        };
+        this.skillsSystem.onSkillsChanged();
+    }
+
+    // Repairs happen at a repair station - the server checks that online, we check it ourselves offline
+    repairItem(uid, payment) {
+        if (!this.inventorySystem) return;
+        
+        if (this.networkManager && this.networkManager.isConnected) {
+            this.networkManager.sendItemRepair(uid, payment);
+            return;
+        }
+        
+        if (!this.player || !this.worldManager?.getNearbyRepairStation(this.player.position)) {
+            this.handleRepairResult({ success: false, uid, error: 'You need to be at a repair station' });
+            return;
+        }
+        
+        const result = this.inventorySystem.repairItem(uid, payment);
+        this.handleRepairResult({ success: result.success, uid, error: result.reason });
+    }
+
+    handleRepairResult(data) {
+        if (Array.isArray(data.inventory)) {
+            this.inventorySystem?.setFromServer(data.inventory);
+            this.inventorySystem?.setGold(data.gold);
+        }
+        
+        if (!data.success) {
+            this.uiManager?.showNotification(`❌ Can't repair: ${data.error}`, 'error');
+            return;
+        }
+        
+        const item = this.inventorySystem?.findInstance(data.uid);
+        const name = item ? this.inventorySystem.getItemData(item.id)?.name : 'Item';
+        this.uiManager?.showNotification(`🔧 ${name} repaired`, 'success');
+        if (this.uiManager?.activePanel === 'inventory') {
+            this.uiManager.updateInventoryDisplayFromSystem();
+        }
+    }
+
+    // The server has the final say on what we wear - we equipped locally already, so this only
+    // changes anything if it refused (or another session of ours changed it)
+    handleEquipResult(data) {
+        if (data.equipment) {
+            this.inventorySystem?.setEquipmentFromServer(data.equipment);
+        }
+        if (Array.isArray(data.inventory)) {
+            this.inventorySystem?.setFromServer(data.inventory);
+        }
+        this.syncPlayerEquipment();
+        
+        if (!data.success) {
+            this.uiManager?.showNotification(`❌ ${data.error}`, 'error');
+        }
+        if (this.uiManager?.activePanel === 'inventory') {
+            this.uiManager.updateInventoryDisplayFromSystem();
+        }
+    }
+
+    // Make the character model wear what InventorySystem says we're wearing (the torch light, mostly)
+    syncPlayerEquipment() {
+        if (!this.player || !this.inventorySystem) return;
+        
+        Object.entries(this.inventorySystem.getEquipment()).forEach(([slot, item]) => {
+            if ((item?.id || null) === this.player.equipment[slot]) return;
+            if (item) {
+                this.player.equipItem(item.id, slot);
+            } else {
+                this.player.unequipItem(slot);
+            }
+        });
+    }
+
+    // Burn a piece of wood where we stand with the tinderbox - the fire is a cooking station until it goes out
+    lightFire() {
+        if (!this.inventorySystem || !this.player) return;
+        
+        if (this.networkManager && this.networkManager.isConnected) {
+            this.networkManager.sendLightFire();
+            return;
+        }
+        
+        // Offline - same checks as getLightFireError in server/gameplay.js
+        const tinderbox = this.inventorySystem.findUsableItem('tinderbox');
+        const position = this.player.getPosition();
+        let error = null;
+        if (!tinderbox) {
+            error = this.inventorySystem.hasItem('tinderbox') ? 'Your Tinderbox is broken' : 'Requires Tinderbox';
+        } else if (!this.inventorySystem.hasItem('wood')) {
+            error = 'You need some wood';
+        } else if (this.worldManager.getCraftingStations().some(station =>
+            station.userData.stationType === 'fire' &&
+            Math.hypot(station.position.x - position.x, station.position.z - position.z) < FIRE_SPACING)) {
+            error = 'There is already a fire here';
+        }
+        if (error) {
+            this.handleFireResult({ success: false, error });
+            return;
+        }
+        
+        this.inventorySystem.removeItemById('wood', 1);
+        const brokenTools = this.inventorySystem.wearItem(tinderbox, WEAR_PER_USE.tool) ? [this.inventorySystem.getItemData('tinderbox').name] : [];
+        const fire = { id: `fire_${Date.now()}`, type: 'fire', position: { x: position.x, y: 0, z: position.z } };
+        this.worldManager.addFire(fire);
+        setTimeout(() => this.worldManager?.removeFire(fire.id), FIRE_DURATION);
+        this.handleFireResult({ success: true, fire, brokenTools });
+    }
+
+    handleFireResult(data) {
+        if (Array.isArray(data.inventory)) {
+            this.inventorySystem?.setFromServer(data.inventory);
+        }
+        
+        if (!data.success) {
+            this.uiManager?.showNotification(`❌ ${data.error}`, 'error');
+            return;
+        }
+        
+        // Online the fire itself arrives in fire_lit, like everyone else's
+        this.uiManager?.showNotification('🔥 The fire catches - cook on it before it burns out', 'success');
+        this.uiManager?.notifyBrokenTools(data.brokenTools);
+        if (this.uiManager?.activePanel === 'inventory') {
+            this.uiManager.updateInventoryDisplayFromSystem();
+        }
+    }
+
+    // Eating food puts its heals back on Player.stats.health, one bite every EAT_DELAY
+    eatItem(itemId) {
+        if (!this.inventorySystem || !this.player) return;
+        
+        if (this.networkManager && this.networkManager.isConnected) {
+            this.networkManager.sendItemEat(itemId);
+            return;
+        }
+        
+        // Offline - same checks as getEatError in server/gameplay.js
+        const itemData = this.inventorySystem.getItemData(itemId);
+        let error = null;
+        if (!itemData || !this.inventorySystem.hasItem(itemId)) {
+            error = 'You have none to eat';
+        } else if (!itemData.stats?.heals) {
+            error = `You can't eat the ${itemData.name}`;
+        } else if (Date.now() - this.lastEatAt < EAT_DELAY) {
+            error = 'You are still eating';
+        }
+        if (error) {
+            this.handleEatResult({ success: false, itemId, error });
+            return;
+        }
+        
+        this.inventorySystem.removeItemById(itemId, 1);
+        this.lastEatAt = Date.now();
+        this.handleEatResult({ success: true, itemId, heals: itemData.stats.heals });
+    }
+
+    handleEatResult(data) {
+        if (Array.isArray(data.inventory)) {
+            this.inventorySystem?.setFromServer(data.inventory);
+        }
+        
+        if (!data.success) {
+            this.uiManager?.showNotification(`❌ ${data.error}`, 'error');
+            return;
+        }
+        
+        // The server only checks the food - health itself lives here
+        const health = this.player.heal(data.heals);
+        const name = this.inventorySystem?.getItemData(data.itemId)?.name || 'food';
+        this.uiManager?.showNotification(`🍽️ You eat the ${name} (${health}/${this.player.stats.maxHealth} health)`, 'success');
+        if (this.uiManager?.activePanel === 'inventory') {
+            this.uiManager.updateInventoryDisplayFromSystem();
+        }
+    }
+
+    // Server is authoritative over our position. The network manager has already replayed
+    // our unacked moves, so we only shift by the difference and keep walking unless a move was rejected.
+    handlePositionCorrection(data) {
+        if (!this.player) return;
+        
+        if (data.rejected) {
+            console.warn(`📍 Move rejected by server (${data.reason})`);
+        }
+        this.player.applyServerCorrection(data.offset, data.rejected);
+        
+        if (data.rejected) {
+            this.gridManager?.clearHighlight();
+        }
+    }
+
     // Logout and cleanup
     logout() {
         console.log('🚪 GameEngine logout initiated...');
@@ -1667,7 +2140,8 @@ export class GameEngine {
             console.error('❌ Error during logout:', error);
         }
         
-        localStorage.removeItem('egypt_mmo_session_id');
+        // Drop the session token so the next visit goes back to the login screen
+        this.networkManager?.authClient.logout();
     }
 
     // Get player reference
@@ -1701,6 +2175,29 @@ export class GameEngine {
                 }
             });
         }
+        
+        // Nodes other players have already gathered dry
+        if (worldData.resources) {
+            worldData.resources.forEach(resource => this.handleResourceUpdate(resource));
+        }
+        
+        // Buildings players have placed - they block movement like everything else in the world
+        if (worldData.buildings) {
+            worldData.buildings.forEach(building => this.worldManager?.addBuilding(building));
+        }
+        
+        // Fires that are still burning
+        if (worldData.fires) {
+            this.worldManager?.setFires(worldData.fires);
+        }
+    }
+    
+    // A resource node's charges changed - the server sends these to everyone
+    handleResourceUpdate(state) {
+        this.worldManager?.setResourceState(state);
+        if (state.available === false) {
+            this.gatheringSystem?.handleResourceDepleted(state.id);
+        }
     }
     
     // Handle time update from server
@@ -1816,26 +2313,36 @@ export class GameEngine {
             // Create a simple player representation
             const playerMesh = new THREE.Mesh(
                 new THREE.CapsuleGeometry(0.5, 1, 4, 8),
-                new THREE.MeshLambertMaterial({ color: 0x00ff00 })
+                new THREE.MeshLambertMaterial({ color: playerData.appearance?.color || 0x00ff00 })
             );
             
-            playerMesh.position.set(playerData.position.x, playerData.position.y, playerData.position.z);
+            playerMesh.position.set(
+                playerData.position.x,
+                this.getHeightAt(playerData.position.x, playerData.position.z) + REMOTE_PLAYER_HEIGHT,
+                playerData.position.z
+            );
             playerMesh.userData = { 
                 playerId: playerData.id, 
                 playerName: playerData.name,
                 isOtherPlayer: true,
-                createdAt: Date.now() // Track when created for debugging
+                createdAt: Date.now(), // Track when created for debugging
+                snapshots: new SnapshotBuffer() // Server positions, rendered ~100ms in the past
             };
+            playerMesh.userData.snapshots.push(
+                playerData.lastMove || 0,
+                playerData.position,
+                playerData.rotation?.y,
+                false
+            );
             
             // Add name tag
             const nameTag = this.createNameTag(playerData.name);
             nameTag.position.set(0, 2, 0);
             playerMesh.add(nameTag);
             
-            // Add a safe update method that does nothing (prevents crashes)
-            playerMesh.update = function(deltaTime) {
-                // Other players don't need complex updates, just keep the method safe
-                return;
+            // Position, facing and walk/idle all come from the snapshot buffer
+            playerMesh.update = (deltaTime) => {
+                this.updateRemotePlayerMesh(playerMesh);
             };
             
             this.scene.add(playerMesh);
@@ -1882,11 +2389,13 @@ export class GameEngine {
                 }
             }
             
-            playerMesh.position.set(data.position.x, data.position.y, data.position.z);
-            if (data.rotation) {
-                playerMesh.rotation.set(data.rotation.x, data.rotation.y, data.rotation.z);
-            }
-            console.log(`👥 Updated player ${data.playerId} position: (${data.position.x.toFixed(1)}, ${data.position.y.toFixed(1)}, ${data.position.z.toFixed(1)})`);
+            // Don't move the mesh here - buffer the snapshot and let update() interpolate
+            playerMesh.userData.snapshots.push(
+                data.timestamp,
+                data.position,
+                data.rotation?.y,
+                data.moving !== false
+            );
         } else {
             console.warn(`⚠️ Received movement update for unknown player: ${data.playerId}`);
             console.log(`🔍 Available players:`, Array.from(this.players.keys()));
@@ -1914,6 +2423,20 @@ export class GameEngine {
         }
     }
     
+    // Draw a remote player where the snapshot buffer says they were ~100ms ago
+    updateRemotePlayerMesh(playerMesh) {
+        const serverTime = this.networkManager ? this.networkManager.getServerTime() : Date.now();
+        const state = playerMesh.userData.snapshots.sample(serverTime);
+        if (!state) return;
+        
+        // Same bounce as the local player's walk animation
+        const bounce = state.moving ? Math.sin(performance.now() * 0.001 * 8) * 0.1 : 0;
+        
+        playerMesh.position.set(state.x, this.getHeightAt(state.x, state.z) + REMOTE_PLAYER_HEIGHT + bounce, state.z);
+        playerMesh.rotation.y = state.rotationY;
+        playerMesh.userData.isWalking = state.moving;
+    }
+    
     // Create name tag for other players
     createNameTag(name) {
         const canvas = document.createElement('canvas');
@@ -2081,11 +2604,16 @@ export class GameEngine {
         // Give UIManager access to GameEngine for player reference
         if (uiManager) {
             uiManager.gameEngine = this;
+            uiManager.bindCraftingSystem(this.craftingSystem);
+            uiManager.bindGatheringSystem(this.gatheringSystem);
         }
     }
 
     setNetworkManager(networkManager) {
         this.networkManager = networkManager;
+        this.craftingSystem?.setNetworkManager(networkManager);
+        this.gatheringSystem?.setNetworkManager(networkManager);
+        this.inventorySystem?.setNetworkManager(networkManager);
         this.setupMultiplayerCallbacks(); // Setup callbacks for network manager
     }
     
@@ -2152,14 +2680,36 @@ export class GameEngine {
         return this.gridManager;
     }
 
+    // Terrain height at a world position - players, remote players and markers stand on this
+    getHeightAt(x, z) {
+        return this.worldManager ? this.worldManager.getHeightAt(x, z) : 0;
+    }
+
+    getWorldManager() {
+        return this.worldManager;
+    }
+
+    // Meshes of the other players we can see
+    getOtherPlayers() {
+        return Array.from(this.players.values()).filter(Boolean);
+    }
+
     getCraftingSystem() {
         return this.craftingSystem;
     }
 
+    getGatheringSystem() {
+        return this.gatheringSystem;
+    }
+
     getInventorySystem() {
         return this.inventorySystem;
     }
 
+    getSkillsSystem() {
+        return this.skillsSystem;
+    }
+
     handleKeyDown(key) {
         console.log('⌨️ Key pressed:', key);
         
@@ -2250,6 +2800,17 @@ export class GameEngine {
         // Handle key release events if needed
     }
 
+    // Set the selected character (id, name, appearance) from the character select screen
+    setCharacterData(characterData) {
+        this.characterData = characterData;
+        if (characterData?.name) {
+            this.setPlayerName(characterData.name);
+        }
+        if (this.player && characterData?.appearance) {
+            this.player.setAppearance(characterData.appearance);
+        }
+    }
+
     // Set player name from character data
     setPlayerName(name) {
         if (name && typeof name === 'string') {
@@ -2257,6 +2818,9 @@ export class GameEngine {
             if (this.player) {
                 this.player.name = name;
             }
+            if (this.craftingSystem) {
+                this.craftingSystem.setCrafterName(name);
+            }
             console.log(`👤 Character name set to: ${name}`);
         }
     }
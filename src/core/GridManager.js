@@ -1,5 +1,57 @@
 import * as THREE from 'three';
 
+const MAX_PATH_SEARCH = 40000; // Cells A* may expand before settling for the closest one it reached
+const NEIGHBOURS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1], // Straight steps cost 1
+    [1, 1], [1, -1], [-1, 1], [-1, -1] // Diagonal steps cost sqrt(2)
+];
+
+// Binary min-heap of cell indices ordered by f-score - the A* open set.
+// Cells can be pushed more than once; stale entries are skipped once the cell is closed.
+class OpenSet {
+    constructor(scores) {
+        this.scores = scores;
+        this.heap = [];
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(index) {
+        const heap = this.heap;
+        heap.push(index);
+        let child = heap.length - 1;
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (this.scores[heap[parent]] <= this.scores[heap[child]]) break;
+            [heap[parent], heap[child]] = [heap[child], heap[parent]];
+            child = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let parent = 0;
+            for (;;) {
+                const left = parent * 2 + 1;
+                const right = left + 1;
+                let smallest = parent;
+                if (left < heap.length && this.scores[heap[left]] < this.scores[heap[smallest]]) smallest = left;
+                if (right < heap.length && this.scores[heap[right]] < this.scores[heap[smallest]]) smallest = right;
+                if (smallest === parent) break;
+                [heap[parent], heap[smallest]] = [heap[smallest], heap[parent]];
+                parent = smallest;
+            }
+        }
+        return top;
+    }
+}
+
 export class GridManager {
     constructor(scene, worldSize = 1000, gridSize = 2) { // Changed from 10 to 2 for player-sized cells
         this.scene = scene;
@@ -8,7 +60,9 @@ export class GridManager {
         this.gridCells = new Map(); // Store grid cell data
         this.visibleCells = new Set(); // Track visible grid cells
         this.highlightedCell = null; // Currently highlighted cell
+        this.footprints = new Map(); // Object id -> grid cells it covers
         this.gridMesh = null; // Grid visualization mesh
+        this.pathScratch = null; // A* bookkeeping, allocated on the first search and reused - see getPathScratch
         
         // Grid properties
         this.cellsX = Math.ceil(worldSize / gridSize);
@@ -79,6 +133,9 @@ export class GridManager {
             if (distanceFromCenter < 20) {
                 cell.state = this.cellStates.WALKABLE;
             }
+            
+            // What the cell goes back to once every object on it is removed
+            cell.baseState = cell.state;
         });
     }
 
@@ -193,6 +250,91 @@ export class GridManager {
         return worldPosition.clone();
     }
 
+    // Ground height for every cell, and slopes too steep to climb become permanent obstacles
+    // (the server's WorldGrid marks the same cells). Returns how many cells were too steep.
+    applyHeightmap(heightmap) {
+        const half = this.gridSize / 2;
+        let steepCells = 0;
+
+        this.gridCells.forEach(cell => {
+            cell.height = heightmap.getHeightAt(cell.worldX, cell.worldZ);
+            if (!heightmap.isTooSteep(cell.worldX - half, cell.worldZ - half, this.gridSize)) return;
+
+            cell.baseState = this.cellStates.OBSTACLE;
+            if (cell.objects.length === 0) {
+                cell.state = this.cellStates.OBSTACLE;
+            }
+            steepCells++;
+        });
+
+        return steepCells;
+    }
+
+    // Cells an object's footprint covers: every cell whose centre is inside the shape,
+    // plus the cell under the object itself so thin things like palm trunks still block.
+    // footprint: { x, z, shape: 'circle', radius } or { x, z, shape: 'rect', width, depth, rotation }
+    getFootprintCells(footprint) {
+        const extent = footprint.shape === 'circle' ? footprint.radius : Math.hypot(footprint.width, footprint.depth) / 2;
+        const min = this.worldToGrid({ x: footprint.x - extent, z: footprint.z - extent });
+        const max = this.worldToGrid({ x: footprint.x + extent, z: footprint.z + extent });
+        const cos = Math.cos(footprint.rotation || 0);
+        const sin = Math.sin(footprint.rotation || 0);
+        const centre = this.worldToGrid(footprint);
+        const cells = [];
+
+        for (let x = min.x; x <= max.x; x++) {
+            for (let z = min.z; z <= max.z; z++) {
+                const cell = this.getCellAtGrid(x, z);
+                if (!cell) continue;
+
+                const dx = cell.worldX - footprint.x;
+                const dz = cell.worldZ - footprint.z;
+                let inside;
+                if (footprint.shape === 'circle') {
+                    inside = dx * dx + dz * dz <= footprint.radius * footprint.radius;
+                } else {
+                    // Into the rectangle's own axes (inverse of a rotation.y turn)
+                    const localX = dx * cos - dz * sin;
+                    const localZ = dx * sin + dz * cos;
+                    inside = Math.abs(localX) <= footprint.width / 2 && Math.abs(localZ) <= footprint.depth / 2;
+                }
+
+                if (inside || (x === centre.x && z === centre.z)) {
+                    cells.push(cell);
+                }
+            }
+        }
+        return cells;
+    }
+
+    // Block the cells under a world object. state is OBSTACLE, BUILDING or WATER;
+    // re-adding the same id moves the footprint.
+    addFootprint(id, footprint, state = this.cellStates.OBSTACLE) {
+        this.removeFootprint(id);
+
+        const cells = this.getFootprintCells(footprint);
+        cells.forEach(cell => {
+            cell.objects.push({ id, state });
+            cell.state = state;
+        });
+        this.footprints.set(id, cells);
+        return cells.length;
+    }
+
+    // Give the cells back - overlapping objects keep theirs blocked
+    removeFootprint(id) {
+        const cells = this.footprints.get(id);
+        if (!cells) return false;
+
+        cells.forEach(cell => {
+            cell.objects = cell.objects.filter(object => object.id !== id);
+            const top = cell.objects[cell.objects.length - 1];
+            cell.state = top ? top.state : cell.baseState;
+        });
+        this.footprints.delete(id);
+        return true;
+    }
+
     // Highlight a grid cell
     highlightCell(worldPosition) {
         // Remove previous highlight
@@ -215,7 +357,7 @@ export class GridManager {
         this.highlightedCell = new THREE.Mesh(highlightGeometry, highlightMaterial);
         this.highlightedCell.rotation.x = -Math.PI / 2;
         this.highlightedCell.position.copy(cell.center);
-        this.highlightedCell.position.y = 0.1;
+        this.highlightedCell.position.y = cell.height + 0.1;
         
         this.scene.add(this.highlightedCell);
         
@@ -230,14 +372,207 @@ export class GridManager {
         }
     }
 
-    // Get path to target (simplified to prevent backtracking)
+    // Can the player stand in this grid cell?
+    isCellWalkable(gridX, gridZ) {
+        const cell = this.getCellAtGrid(gridX, gridZ);
+        return !!cell && cell.state === this.cellStates.WALKABLE && !cell.occupied;
+    }
+
+    // Walking route from startPos to targetPos as world-space waypoints (start excluded).
+    // If the target can't be reached the route ends at the closest cell we could get to;
+    // an empty array means there's nowhere better to go.
     getPathToTarget(startPos, targetPos) {
         const startCell = this.worldToGrid(startPos);
-        const targetCell = this.worldToGrid(startPos);
-        
-        // For now, just return the target position directly
-        // This prevents the backtracking issue by eliminating intermediate waypoints
-        return [targetPos.clone()];
+        const targetCell = this.worldToGrid(targetPos);
+        if (!this.getCellAtGrid(startCell.x, startCell.z) || !this.getCellAtGrid(targetCell.x, targetCell.z)) {
+            return [];
+        }
+
+        const cells = this.findPath(startCell, targetCell);
+        const last = cells[cells.length - 1];
+        const reachedTarget = last.x === targetCell.x && last.z === targetCell.z;
+        if (cells.length === 1 && !reachedTarget) {
+            return [];
+        }
+
+        // Cell centres in between, but start and end on the exact positions
+        const points = cells.map(cell => this.gridToWorld(cell.x, cell.z));
+        points[0] = new THREE.Vector3(startPos.x, 0, startPos.z);
+        if (reachedTarget) {
+            points[points.length - 1] = new THREE.Vector3(targetPos.x, 0, targetPos.z);
+        }
+
+        return this.smoothPath(points);
+    }
+
+    // Per-cell arrays for findPath, one entry per grid cell. Rather than clearing them for every search,
+    // each search gets a new id: a cell's gScore and cameFrom only count if seen[cell] is that id,
+    // and it's closed only if closed[cell] is.
+    getPathScratch() {
+        const total = this.cellsX * this.cellsZ;
+        if (!this.pathScratch || this.pathScratch.total !== total) {
+            this.pathScratch = {
+                total,
+                search: 0,
+                gScore: new Float64Array(total),
+                fScore: new Float64Array(total),
+                cameFrom: new Int32Array(total),
+                seen: new Uint32Array(total),
+                closed: new Uint32Array(total)
+            };
+        }
+
+        const scratch = this.pathScratch;
+        scratch.search++;
+        if (scratch.search === 0xFFFFFFFF) { // Ids ran out - start over from clean arrays
+            scratch.seen.fill(0);
+            scratch.closed.fill(0);
+            scratch.search = 1;
+        }
+        return scratch;
+    }
+
+    // A* over the cell grid with 8-way movement. Diagonal steps may not cut a corner:
+    // both cells beside the diagonal have to be walkable too.
+    // Returns grid cells from start to goal, or to the closest cell reached if the goal is cut off.
+    findPath(start, goal) {
+        const indexOf = (x, z) => x * this.cellsZ + z;
+        const heuristic = (x, z) => { // Octile distance
+            const dx = Math.abs(x - goal.x);
+            const dz = Math.abs(z - goal.z);
+            return dx + dz + (Math.SQRT2 - 2) * Math.min(dx, dz);
+        };
+
+        const { search, gScore, fScore, cameFrom, seen, closed } = this.getPathScratch();
+        const openSet = new OpenSet(fScore);
+
+        const startIndex = indexOf(start.x, start.z);
+        const goalIndex = indexOf(goal.x, goal.z);
+        seen[startIndex] = search;
+        gScore[startIndex] = 0;
+        fScore[startIndex] = heuristic(start.x, start.z);
+        cameFrom[startIndex] = -1;
+        openSet.push(startIndex);
+
+        let closestIndex = startIndex;
+        let closestDistance = fScore[startIndex];
+        let expanded = 0;
+
+        while (openSet.size > 0 && expanded < MAX_PATH_SEARCH) {
+            const current = openSet.pop();
+            if (closed[current] === search) continue;
+            closed[current] = search;
+            expanded++;
+
+            if (current === goalIndex) {
+                closestIndex = current;
+                break;
+            }
+
+            const x = Math.floor(current / this.cellsZ);
+            const z = current % this.cellsZ;
+            const distance = heuristic(x, z);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestIndex = current;
+            }
+
+            NEIGHBOURS.forEach(([dx, dz]) => {
+                const nx = x + dx;
+                const nz = z + dz;
+                if (!this.isCellWalkable(nx, nz)) return;
+
+                const diagonal = dx !== 0 && dz !== 0;
+                if (diagonal && (!this.isCellWalkable(x + dx, z) || !this.isCellWalkable(x, z + dz))) return;
+
+                const neighbour = indexOf(nx, nz);
+                if (closed[neighbour] === search) return;
+
+                const tentative = gScore[current] + (diagonal ? Math.SQRT2 : 1);
+                if (seen[neighbour] !== search || tentative < gScore[neighbour]) {
+                    seen[neighbour] = search;
+                    gScore[neighbour] = tentative;
+                    fScore[neighbour] = tentative + heuristic(nx, nz);
+                    cameFrom[neighbour] = current;
+                    openSet.push(neighbour);
+                }
+            });
+        }
+
+        if (expanded >= MAX_PATH_SEARCH && closestIndex !== goalIndex) {
+            console.warn(`⚠️ Pathfinding gave up after ${expanded} cells, walking to the closest point found`);
+        }
+
+        const path = [];
+        for (let index = closestIndex; index !== -1; index = cameFrom[index]) {
+            path.push({ x: Math.floor(index / this.cellsZ), z: index % this.cellsZ });
+        }
+        return path.reverse();
+    }
+
+    // String-pulling: from each waypoint jump straight to the furthest later one in plain sight,
+    // so grid paths become a few straight legs instead of a staircase of cell centres
+    smoothPath(points) {
+        const smoothed = [];
+        let anchor = points[0];
+        let next = 1;
+
+        while (next < points.length) {
+            let furthest = next;
+            while (furthest + 1 < points.length && this.hasLineOfSight(anchor, points[furthest + 1])) {
+                furthest++;
+            }
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            next = furthest + 1;
+        }
+
+        return smoothed;
+    }
+
+    // Does the straight line between two world positions only cross walkable cells?
+    // Walks every cell the segment touches; passing exactly through a corner needs both side cells open,
+    // the same no-corner-cutting rule A* uses.
+    hasLineOfSight(from, to) {
+        const half = this.worldSize / 2;
+        const startCell = this.worldToGrid(from);
+        const endCell = this.worldToGrid(to);
+        let x = startCell.x;
+        let z = startCell.z;
+        if (!this.isCellWalkable(x, z)) return false;
+
+        const dirX = to.x - from.x;
+        const dirZ = to.z - from.z;
+        const stepX = Math.sign(dirX);
+        const stepZ = Math.sign(dirZ);
+
+        // Fraction of the segment (0-1) at which we cross the next cell boundary on each axis
+        const tDeltaX = stepX !== 0 ? this.gridSize / Math.abs(dirX) : Infinity;
+        const tDeltaZ = stepZ !== 0 ? this.gridSize / Math.abs(dirZ) : Infinity;
+        let tMaxX = stepX !== 0 ? (((x + (stepX > 0 ? 1 : 0)) * this.gridSize - half) - from.x) / dirX : Infinity;
+        let tMaxZ = stepZ !== 0 ? (((z + (stepZ > 0 ? 1 : 0)) * this.gridSize - half) - from.z) / dirZ : Infinity;
+
+        // Float error can't make us wander forever
+        let steps = Math.abs(endCell.x - x) + Math.abs(endCell.z - z);
+        while ((x !== endCell.x || z !== endCell.z) && steps-- > 0) {
+            if (Math.abs(tMaxX - tMaxZ) < 1e-9) {
+                if (!this.isCellWalkable(x + stepX, z) || !this.isCellWalkable(x, z + stepZ)) return false;
+                x += stepX;
+                z += stepZ;
+                tMaxX += tDeltaX;
+                tMaxZ += tDeltaZ;
+            } else if (tMaxX < tMaxZ) {
+                x += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                z += stepZ;
+                tMaxZ += tDeltaZ;
+            }
+
+            if (!this.isCellWalkable(x, z)) return false;
+        }
+
+        return true;
     }
 
     // Toggle grid visibility
@@ -273,5 +608,6 @@ export class GridManager {
         
         this.gridCells.clear();
         this.visibleCells.clear();
+        this.footprints.clear();
     }
 }
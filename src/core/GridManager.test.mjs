@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { GridManager } from './GridManager.js';
+
+// 10x10 cells of 2 units, all open - tests block what they need with block()
+function createGrid() {
+    const grid = new GridManager(null, 20, 2);
+    grid.createGrid();
+    return grid;
+}
+
+function block(grid, cells) {
+    cells.forEach(([x, z]) => { grid.getCellAtGrid(x, z).state = grid.cellStates.OBSTACLE; });
+}
+
+const key = cell => `${cell.x},${cell.z}`;
+
+test('a path around a wall only steps through walkable cells', () => {
+    const grid = createGrid();
+    block(grid, [[5, 0], [5, 1], [5, 2], [5, 3], [5, 4], [5, 5], [5, 6], [5, 7]]);
+
+    const path = grid.findPath({ x: 2, z: 2 }, { x: 8, z: 2 });
+    assert.deepStrictEqual(path[0], { x: 2, z: 2 });
+    assert.deepStrictEqual(path[path.length - 1], { x: 8, z: 2 });
+    assert.ok(path.every(cell => grid.isCellWalkable(cell.x, cell.z)));
+    assert.ok(path.some(cell => cell.x === 5 && cell.z >= 8), 'expected the path to go round the end of the wall');
+});
+
+test('a walled-in target ends the path at the closest reachable cell', () => {
+    const grid = createGrid();
+    block(grid, [[6, 4], [6, 5], [6, 6], [7, 4], [7, 6], [8, 4], [8, 5], [8, 6]]); // Ring around 7,5
+
+    const path = grid.findPath({ x: 1, z: 5 }, { x: 7, z: 5 });
+    const last = path[path.length - 1];
+    assert.notDeepStrictEqual(last, { x: 7, z: 5 });
+    assert.ok(grid.isCellWalkable(last.x, last.z));
+    assert.strictEqual(Math.max(Math.abs(last.x - 7), Math.abs(last.z - 5)), 2, `stopped at ${key(last)}`);
+
+    // No cell closer to the goal can be reached, so getPathToTarget still walks there
+    assert.ok(grid.getPathToTarget({ x: -7, z: 1 }, { x: 5, z: 1 }).length > 0);
+});
+
+test('diagonal steps never cut a blocked corner', () => {
+    const grid = createGrid();
+    block(grid, [[5, 4], [4, 5]]); // The two cells beside the 4,4 -> 5,5 diagonal
+
+    const path = grid.findPath({ x: 4, z: 4 }, { x: 5, z: 5 });
+    assert.ok(path.length > 2, `cut the corner: ${path.map(key).join(' ')}`);
+    for (let i = 1; i < path.length; i++) {
+        const from = path[i - 1];
+        const to = path[i];
+        if (from.x !== to.x && from.z !== to.z) {
+            assert.ok(grid.isCellWalkable(to.x, from.z) && grid.isCellWalkable(from.x, to.z), `${key(from)} -> ${key(to)} cuts a corner`);
+        }
+    }
+});
+
+test('line of sight stops at obstacles and at blocked corners', () => {
+    const grid = createGrid();
+    block(grid, [[5, 5]]);
+    assert.strictEqual(grid.hasLineOfSight({ x: -9, z: 1 }, { x: 9, z: 1 }), false); // Straight through 5,5
+    assert.strictEqual(grid.hasLineOfSight({ x: -9, z: -3 }, { x: 9, z: -3 }), true);
+
+    // Exactly through the corner between 4,4 and 5,5 with 5,4 blocked
+    const corner = createGrid();
+    block(corner, [[5, 4]]);
+    assert.strictEqual(corner.hasLineOfSight({ x: -1, z: -1 }, { x: 1, z: 1 }), false);
+});
+
+test('smoothing turns a staircase into straight legs that stay clear of obstacles', () => {
+    const grid = createGrid();
+    const open = grid.getPathToTarget({ x: -9, z: -9 }, { x: 9, z: 7 });
+    assert.strictEqual(open.length, 1, 'an open field is one straight leg');
+    assert.deepStrictEqual([open[0].x, open[0].z], [9, 7]);
+
+    block(grid, [[4, 3], [4, 4], [4, 5], [4, 6], [4, 7], [4, 8], [5, 3], [5, 4], [5, 5], [5, 6], [5, 7], [5, 8]]);
+    const start = { x: -3, z: 1 };
+    const target = { x: 7, z: 1 };
+    const raw = grid.findPath(grid.worldToGrid(start), grid.worldToGrid(target));
+    const smoothed = grid.getPathToTarget(start, target);
+    assert.ok(smoothed.length < raw.length - 1, `${smoothed.length} waypoints from ${raw.length} cells`);
+
+    let from = start;
+    smoothed.forEach(point => {
+        assert.ok(grid.hasLineOfSight(from, point), `no line of sight from ${from.x},${from.z} to ${point.x},${point.z}`);
+        from = point;
+    });
+    assert.deepStrictEqual([from.x, from.z], [target.x, target.z]);
+});
+
+test('searches reuse the scratch buffers without seeing each other\'s cells', () => {
+    const grid = createGrid();
+    const first = grid.findPath({ x: 1, z: 1 }, { x: 8, z: 8 });
+    const buffers = grid.pathScratch.gScore;
+
+    block(grid, [[4, 4], [5, 5], [3, 3], [6, 6]]);
+    const second = grid.findPath({ x: 1, z: 1 }, { x: 8, z: 8 });
+    assert.strictEqual(grid.pathScratch.gScore, buffers);
+    assert.ok(second.every(cell => grid.isCellWalkable(cell.x, cell.z)));
+    assert.notDeepStrictEqual(second, first);
+    assert.deepStrictEqual(grid.findPath({ x: 1, z: 1 }, { x: 8, z: 8 }), second);
+});
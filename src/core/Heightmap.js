@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { createHeightmap, sampleHeight, getAreaSlope, isAreaTooSteep } from '../../shared/terrain.mjs';
+
+const RAY_STEP = 1; // World units per step when marching a ray over the terrain
+const RAY_MAX_DISTANCE = 2000;
+const RAY_REFINE_STEPS = 12; // Bisection steps once the ray has gone underground
+
+// The sampled ground (shared/terrain.mjs) - the terrain mesh is built from it and
+// everything that needs the ground height (player, remote players, grid, clicks) asks it.
+export class Heightmap {
+    // pyramids from world.json - each gets its ramp
+    constructor(size, pyramids, spacing) {
+        this.data = createHeightmap(size, spacing, pyramids);
+        this.size = this.data.size;
+        this.spacing = this.data.spacing;
+    }
+
+    getHeightAt(x, z) {
+        return sampleHeight(this.data, x, z);
+    }
+
+    getSlope(minX, minZ, size) {
+        return getAreaSlope(this.data, minX, minZ, size);
+    }
+
+    isTooSteep(minX, minZ, size) {
+        return isAreaTooSteep(this.data, minX, minZ, size);
+    }
+
+    // One vertex per sample. Lay it flat with rotation.x = -PI / 2: plane y runs to -z in the world,
+    // so vertex rows line up with heightmap rows and local z becomes the world height.
+    createGeometry() {
+        const geometry = new THREE.PlaneGeometry(this.size, this.size, this.data.segments, this.data.segments);
+        const positions = geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            positions.setZ(i, this.data.heights[i]);
+        }
+        positions.needsUpdate = true;
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    // Where a ray first hits the ground, or null if it never does.
+    // Marches in small steps until it dips below the surface, then bisects that step.
+    raycast(ray) {
+        const point = new THREE.Vector3();
+        let previous = 0;
+
+        for (let distance = 0; distance <= RAY_MAX_DISTANCE; distance += RAY_STEP) {
+            ray.at(distance, point);
+            if (point.y > this.getHeightAt(point.x, point.z)) {
+                previous = distance;
+                continue;
+            }
+            if (distance === 0) return null; // Starting underground
+
+            let above = previous;
+            let below = distance;
+            for (let i = 0; i < RAY_REFINE_STEPS; i++) {
+                const middle = (above + below) / 2;
+                ray.at(middle, point);
+                if (point.y > this.getHeightAt(point.x, point.z)) {
+                    above = middle;
+                } else {
+                    below = middle;
+                }
+            }
+            ray.at(below, point);
+            point.y = this.getHeightAt(point.x, point.z);
+            return point;
+        }
+
+        return null;
+    }
+}
@@ -1,16 +1,24 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { SKILLS, STATIONS, WORLD } from '../systems/GameContent.js';
+import { Heightmap } from './Heightmap.js';
+
+const LANDMARK_ICONS = { Pyramid: '🔺', Temple: '🏛️', Sphinx: '🦁', Obelisk: '🗿' }; // By the first word of the landmark's name
 
 export class WorldManager {
     constructor(scene) {
         this.scene = scene;
         this.worldSize = 1000;
         this.terrain = null;
+        this.heightmap = null;
         this.pyramids = [];
         this.temples = [];
         this.sphinxes = [];
         this.obelisks = [];
         this.resourceNodes = [];
+        this.repairStations = [];
+        this.craftingStations = [];
+        this.buildings = []; // Placed by players (building_placed)
         this.decorations = [];
         this.camera = null;
         this.frameCount = 0;
@@ -23,6 +31,9 @@ export class WorldManager {
         // UI reference
         this.uiManager = null;
         
+        // Walkability grid - structures block the cells under them
+        this.gridManager = null;
+        
         this.isInitialized = false; // Add initialization guard
     }
 
@@ -38,6 +49,8 @@ export class WorldManager {
         this.createTerrain();
         this.createEgyptianStructures();
         this.createResourceNodes();
+        this.createRepairStations();
+        this.createCraftingStations();
         this.createDecorations();
         this.createLighting();
         
@@ -121,6 +134,9 @@ export class WorldManager {
                 return false;
             }
             
+            // Free the grid cells it was blocking
+            this.unregisterFootprint(object);
+            
             // Remove from parent
             if (object.parent) {
                 object.parent.remove(object);
@@ -154,14 +170,14 @@ export class WorldManager {
     }
 
     createTerrain() {
-        // Create ground plane with minimal detail for maximum performance
-        const groundGeometry = new THREE.PlaneGeometry(this.worldSize, this.worldSize, 8, 8);
+        // One mesh straight from the shared heightmap - dunes, hills and pyramid ramps included
+        this.heightmap = new Heightmap(this.worldSize, WORLD.pyramids);
         const groundMaterial = new THREE.MeshLambertMaterial({ 
             color: 0x8B4513, // Sandy brown for desert
             side: THREE.DoubleSide
         });
         
-        this.terrain = new THREE.Mesh(groundGeometry, groundMaterial);
+        this.terrain = new THREE.Mesh(this.heightmap.createGeometry(), groundMaterial);
         this.terrain.rotation.x = -Math.PI / 2;
         this.terrain.receiveShadow = true;
         this.terrain.castShadow = false; // Ground doesn't cast shadows
@@ -169,40 +185,16 @@ export class WorldManager {
         
         this.scene.add(this.terrain);
         
-        // Add minimal terrain variation
-        this.addTerrainVariation();
+        // Slopes too steep to climb become obstacles before anything is built on top
+        if (this.gridManager) {
+            const steepCells = this.gridManager.applyHeightmap(this.heightmap);
+            console.log(`⛰️ Terrain built - ${steepCells} grid cells too steep to walk`);
+        }
     }
 
-    addTerrainVariation() {
-        // Add minimal hills and valleys for performance
-        const hillsGeometry = new THREE.PlaneGeometry(this.worldSize, this.worldSize, 6, 6);
-        const hillsMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0xA0522D, // Sienna for hills
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.7
-        });
-        
-        const hills = new THREE.Mesh(hillsGeometry, hillsMaterial);
-        hills.rotation.x = -Math.PI / 2;
-        hills.position.y = 0.1;
-        hills.receiveShadow = true;
-        hills.castShadow = false; // Hills don't cast shadows
-        
-        // Add realistic height variation for natural shadow casting
-        const vertices = hills.geometry.attributes.position.array;
-        for (let i = 0; i < vertices.length; i += 3) {
-            // More natural terrain variation - not perfectly smooth
-            const x = vertices[i];
-            const z = vertices[i + 2];
-            const height = Math.sin(x * 0.02) * Math.cos(z * 0.02) * 3 + 
-                          Math.sin(x * 0.05) * Math.cos(z * 0.05) * 1.5 + // Secondary variation
-                          Math.sin(x * 0.1) * Math.cos(z * 0.1) * 0.5;   // Fine detail
-            vertices[i + 1] = height;
-        }
-        hills.geometry.attributes.position.needsUpdate = true;
-        
-        this.scene.add(hills);
+    // Ground height at a world position (0 before the terrain exists)
+    getHeightAt(x, z) {
+        return this.heightmap ? this.heightmap.getHeightAt(x, z) : 0;
     }
 
     createEgyptianStructures() {
@@ -220,17 +212,13 @@ export class WorldManager {
     }
 
     createPyramids() {
-        const pyramidPositions = [
-            { x: -100, z: -100, size: 20 },
-            { x: 100, z: -150, size: 15 },
-            { x: -150, z: 100, size: 25 }
-        ];
-        
-        pyramidPositions.forEach((pos, index) => {
+        WORLD.pyramids.forEach((pos, index) => {
             const pyramid = this.createPyramid(pos.size);
             pyramid.position.set(pos.x, 0, pos.z);
+            pyramid.rotation.y = Math.PI / 4; // Square the faces to the world so the ramps (shared/terrain.mjs) meet one head on
             pyramid.userData.type = 'landmark';
             pyramid.userData.name = `Pyramid ${index + 1}`;
+            this.registerWorldFootprint(pyramid, 'pyramid', { width: pos.size * Math.SQRT2, depth: pos.size * Math.SQRT2 }); // Same size as WORLD_FOOTPRINTS in server/gameplay.js
             
             this.scene.add(pyramid);
             this.pyramids.push(pyramid);
@@ -266,17 +254,12 @@ export class WorldManager {
     }
 
     createTemples() {
-        const templePositions = [
-            { x: 50, z: 50 },
-            { x: -80, z: 80 },
-            { x: 120, z: -80 }
-        ];
-        
-        templePositions.forEach((pos, index) => {
+        WORLD.temples.forEach((pos, index) => {
             const temple = this.createTemple();
             temple.position.set(pos.x, 0, pos.z);
             temple.userData.type = 'landmark';
             temple.userData.name = `Temple ${index + 1}`;
+            this.registerWorldFootprint(temple, 'temple'); // Base plus the columns around it
             
             this.scene.add(temple);
             this.temples.push(temple);
@@ -335,17 +318,12 @@ export class WorldManager {
     }
 
     createSphinxes() {
-        const sphinxPositions = [
-            { x: 0, z: -200 },
-            { x: 200, z: 0 },
-            { x: -200, z: 0 }
-        ];
-        
-        sphinxPositions.forEach((pos, index) => {
+        WORLD.sphinxes.forEach((pos, index) => {
             const sphinx = this.createSphinx();
             sphinx.position.set(pos.x, 0, pos.z);
             sphinx.userData.type = 'landmark';
             sphinx.userData.name = `Sphinx ${index + 1}`;
+            this.registerWorldFootprint(sphinx, 'sphinx');
             
             this.scene.add(sphinx);
             this.sphinxes.push(sphinx);
@@ -389,18 +367,12 @@ export class WorldManager {
     }
 
     createObelisks() {
-        const obeliskPositions = [
-            { x: 30, z: 30 },
-            { x: -30, z: -30 },
-            { x: 30, z: -30 },
-            { x: -30, z: 30 }
-        ];
-        
-        obeliskPositions.forEach((pos, index) => {
+        WORLD.obelisks.forEach((pos, index) => {
             const obelisk = this.createObelisk();
             obelisk.position.set(pos.x, 0, pos.z);
             obelisk.userData.type = 'landmark';
             obelisk.userData.name = `Obelisk ${index + 1}`;
+            this.registerWorldFootprint(obelisk, 'obelisk');
             
             this.scene.add(obelisk);
             this.obelisks.push(obelisk);
@@ -441,27 +413,257 @@ export class WorldManager {
     }
 
     createResourceNodes() {
-        // Create various resource nodes around the world
-        const resourceTypes = [
-            { type: 'mining', name: 'Copper Mine', color: 0xCD7F32, position: { x: -50, z: -50 } },
-            { type: 'mining', name: 'Iron Mine', color: 0x696969, position: { x: 50, z: -50 } },
-            { type: 'woodcutting', name: 'Palm Grove', color: 0x228B22, position: { x: -50, z: 50 } },
-            { type: 'herbalism', name: 'Herb Garden', color: 0x32CD32, position: { x: 50, z: 50 } },
-            { type: 'fishing', name: 'Oasis', color: 0x00CED1, position: { x: 0, z: -100 } }
-        ];
-        
-        resourceTypes.forEach((resource, index) => {
+        // Ids, items, levels, XP, chances, tools, charges and respawn times are the server's too (shared/content/world.json)
+        WORLD.resourceNodes.forEach((resource, index) => {
             const node = this.createResourceNode(resource);
             node.position.set(resource.position.x, 0, resource.position.z);
             node.userData.type = 'resource_node';
             node.userData.resourceType = resource.type;
+            node.userData.resourceId = resource.id;
             node.userData.name = resource.name;
+            node.userData.item = resource.item;
+            node.userData.level = resource.level;
+            node.userData.experience = resource.experience;
+            node.userData.baseChance = resource.baseChance;
+            node.userData.tools = resource.tools || null;
+            node.userData.available = true;
+            node.userData.charges = resource.charges;
+            node.userData.maxCharges = resource.charges;
+            node.userData.respawnTime = resource.respawnTime;
+            node.userData.respawnAt = null;
+            // Fishing spots are water, everything else is solid - either way you gather from the edge
+            this.registerWorldFootprint(node, resource.type);
             
             this.scene.add(node);
             this.resourceNodes[index] = node;
         });
     }
 
+    // Where worn items get repaired - the server checks players stand by the same ones
+    createRepairStations() {
+        WORLD.repairStations.forEach(station => {
+            const bench = new THREE.Group();
+            
+            // Workbench with an anvil on top
+            const table = new THREE.Mesh(
+                new THREE.BoxGeometry(3, 1, 1.5),
+                new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+            );
+            table.position.y = 0.5;
+            bench.add(table);
+            
+            const anvil = new THREE.Mesh(
+                new THREE.BoxGeometry(1.2, 0.6, 0.6),
+                new THREE.MeshLambertMaterial({ color: 0x2F4F4F })
+            );
+            anvil.position.y = 1.3;
+            bench.add(anvil);
+            
+            bench.children.forEach(part => {
+                part.castShadow = true;
+                part.receiveShadow = true;
+            });
+            
+            bench.position.set(station.position.x, 0, station.position.z);
+            bench.userData.type = 'repair_station';
+            bench.userData.id = station.id;
+            bench.userData.name = station.name;
+            this.registerWorldFootprint(bench, 'repair_bench');
+            
+            this.scene.add(bench);
+            this.repairStations.push(bench);
+        });
+    }
+
+    // Where recipes with a station get made - the server checks players stand by the same ones
+    createCraftingStations() {
+        WORLD.craftingStations.forEach(station => {
+            const mesh = this.createStationMesh(station.type);
+            mesh.children.forEach(part => {
+                part.castShadow = true;
+                part.receiveShadow = true;
+            });
+            
+            mesh.position.set(station.position.x, 0, station.position.z);
+            mesh.userData.type = 'crafting_station';
+            mesh.userData.id = station.id;
+            mesh.userData.stationType = station.type;
+            mesh.userData.name = STATIONS[station.type].name;
+            mesh.userData.approach = station.approach || null; // Where to stand when the station can't be walked up to from every side
+            this.registerWorldFootprint(mesh, station.type);
+            
+            this.scene.add(mesh);
+            this.craftingStations.push(mesh);
+        });
+    }
+
+    createStationMesh(type) {
+        const group = new THREE.Group();
+        
+        switch (type) {
+            case 'furnace': {
+                // Mud-brick kiln with a chimney and a glowing mouth facing south
+                const body = new THREE.Mesh(
+                    new THREE.BoxGeometry(4, 3, 4),
+                    new THREE.MeshLambertMaterial({ color: 0x8B5A3C })
+                );
+                body.position.y = 1.5;
+                group.add(body);
+                
+                const chimney = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.6, 0.8, 3, 8),
+                    new THREE.MeshLambertMaterial({ color: 0x6B4423 })
+                );
+                chimney.position.set(0, 4.5, -0.8);
+                group.add(chimney);
+                
+                const mouth = new THREE.Mesh(
+                    new THREE.BoxGeometry(1.6, 1.2, 0.1),
+                    new THREE.MeshBasicMaterial({ color: 0xFF6A00 })
+                );
+                mouth.position.set(0, 1, 2.01);
+                group.add(mouth);
+                break;
+            }
+            case 'anvil': {
+                // Iron anvil with a horn, on a tree stump
+                const stump = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.6, 0.7, 0.8, 8),
+                    new THREE.MeshLambertMaterial({ color: 0x6B4423 })
+                );
+                stump.position.y = 0.4;
+                group.add(stump);
+                
+                const iron = new THREE.MeshLambertMaterial({ color: 0x2F4F4F });
+                const block = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.5, 0.6), iron);
+                block.position.y = 1.05;
+                group.add(block);
+                
+                const horn = new THREE.Mesh(new THREE.ConeGeometry(0.25, 0.6, 8), iron);
+                horn.rotation.z = Math.PI / 2;
+                horn.position.set(1, 1.1, 0);
+                group.add(horn);
+                break;
+            }
+            case 'loom': {
+                // Upright frame with the warp threads stretched across it
+                const wood = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
+                [-1.3, 1.3].forEach(x => {
+                    const post = new THREE.Mesh(new THREE.BoxGeometry(0.2, 2.5, 0.2), wood);
+                    post.position.set(x, 1.25, 0);
+                    group.add(post);
+                });
+                [0.4, 2.3].forEach(y => {
+                    const beam = new THREE.Mesh(new THREE.BoxGeometry(2.8, 0.2, 0.2), wood);
+                    beam.position.set(0, y, 0);
+                    group.add(beam);
+                });
+                
+                const cloth = new THREE.Mesh(
+                    new THREE.BoxGeometry(2.4, 1.7, 0.05),
+                    new THREE.MeshLambertMaterial({ color: 0xF5DEB3 })
+                );
+                cloth.position.set(0, 1.35, 0);
+                group.add(cloth);
+                break;
+            }
+            case 'carpenters_bench': {
+                // Workbench with a plank and a saw on it
+                const bench = new THREE.Mesh(
+                    new THREE.BoxGeometry(3, 1, 1.5),
+                    new THREE.MeshLambertMaterial({ color: 0xA0522D })
+                );
+                bench.position.y = 0.5;
+                group.add(bench);
+                
+                const plank = new THREE.Mesh(
+                    new THREE.BoxGeometry(2, 0.1, 0.5),
+                    new THREE.MeshLambertMaterial({ color: 0xDEB887 })
+                );
+                plank.position.set(-0.2, 1.05, 0);
+                group.add(plank);
+                
+                const saw = new THREE.Mesh(
+                    new THREE.BoxGeometry(0.8, 0.05, 0.25),
+                    new THREE.MeshLambertMaterial({ color: 0xC0C0C0 })
+                );
+                saw.position.set(0.9, 1.05, 0.3);
+                group.add(saw);
+                break;
+            }
+            case 'alchemy_table': {
+                // Stone table with flasks and a mortar
+                const table = new THREE.Mesh(
+                    new THREE.BoxGeometry(2.5, 1, 1.5),
+                    new THREE.MeshLambertMaterial({ color: 0xC2B280 })
+                );
+                table.position.y = 0.5;
+                group.add(table);
+                
+                [0x32CD32, 0xDC143C, 0x4169E1].forEach((color, index) => {
+                    const flask = new THREE.Mesh(
+                        new THREE.SphereGeometry(0.2, 8, 6),
+                        new THREE.MeshLambertMaterial({ color, transparent: true, opacity: 0.8 })
+                    );
+                    flask.position.set(-0.8 + index * 0.5, 1.2, 0);
+                    group.add(flask);
+                });
+                
+                const mortar = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.3, 0.2, 0.3, 8),
+                    new THREE.MeshLambertMaterial({ color: 0x808080 })
+                );
+                mortar.position.set(0.8, 1.15, 0);
+                group.add(mortar);
+                break;
+            }
+            case 'range': {
+                // Brick cooking range with a clay pot on the hotplate
+                const range = new THREE.Mesh(
+                    new THREE.BoxGeometry(2, 1, 1.5),
+                    new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+                );
+                range.position.y = 0.5;
+                group.add(range);
+                
+                const fireBox = new THREE.Mesh(
+                    new THREE.BoxGeometry(0.8, 0.4, 0.1),
+                    new THREE.MeshBasicMaterial({ color: 0xFF6A00 })
+                );
+                fireBox.position.set(0, 0.4, 0.76);
+                group.add(fireBox);
+                
+                const pot = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.35, 0.3, 0.4, 8),
+                    new THREE.MeshLambertMaterial({ color: 0xA0522D })
+                );
+                pot.position.set(0, 1.2, 0);
+                group.add(pot);
+                break;
+            }
+            case 'fire': {
+                // Crossed logs with a flame on top
+                const log = new THREE.MeshLambertMaterial({ color: 0x5C4033 });
+                [Math.PI / 4, -Math.PI / 4].forEach(angle => {
+                    const piece = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 1.2, 6), log);
+                    piece.rotation.set(0, angle, Math.PI / 2); // Lying flat, turned about the middle
+                    piece.position.y = 0.12;
+                    group.add(piece);
+                });
+                
+                const flame = new THREE.Mesh(
+                    new THREE.ConeGeometry(0.35, 0.9, 8),
+                    new THREE.MeshBasicMaterial({ color: 0xFF8C00 })
+                );
+                flame.position.y = 0.6;
+                group.add(flame);
+                break;
+            }
+        }
+        
+        return group;
+    }
+
     createResourceNode(resourceData) {
         let geometry, material;
         
@@ -496,9 +698,89 @@ export class WorldManager {
         node.castShadow = true;
         node.receiveShadow = true;
         
+        // What's left once the node is gathered dry - shown instead of the node until it respawns
+        const depleted = this.createDepletedResourceMesh(resourceData.type);
+        depleted.name = 'depleted';
+        depleted.visible = false;
+        node.add(depleted);
+        
         return node;
     }
 
+    // Rubble, a stump, bare soil or a muddy puddle, sitting on the ground under the node's origin
+    createDepletedResourceMesh(type) {
+        let geometry, material;
+        
+        switch (type) {
+            case 'mining':
+                geometry = new THREE.CylinderGeometry(2, 3, 1, 8);
+                material = new THREE.MeshLambertMaterial({ color: 0x5C5C5C });
+                break;
+            case 'woodcutting':
+                geometry = new THREE.CylinderGeometry(1.5, 2, 1.5);
+                material = new THREE.MeshLambertMaterial({ color: 0x8B5A2B });
+                break;
+            case 'herbalism':
+                geometry = new THREE.CylinderGeometry(2, 2, 0.3, 12);
+                material = new THREE.MeshLambertMaterial({ color: 0x6B4423 });
+                break;
+            case 'fishing':
+                geometry = new THREE.CylinderGeometry(5, 5, 0.2);
+                material = new THREE.MeshLambertMaterial({ color: 0x6B5B3E, transparent: true, opacity: 0.8 });
+                break;
+            default:
+                geometry = new THREE.BoxGeometry(3, 0.5, 3);
+                material = new THREE.MeshLambertMaterial({ color: 0x5C5C5C });
+        }
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.y = geometry.parameters.height / 2;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    getResourceNode(resourceId) {
+        return this.resourceNodes.find(node => node?.userData.resourceId === resourceId) || null;
+    }
+
+    // Charges and availability from the server (world_state, resource_update) or the offline countdown.
+    // A depleted node keeps its footprint and stays clickable - it just looks empty.
+    setResourceState(state) {
+        const node = this.getResourceNode(state.id);
+        if (!node) return;
+        
+        const wasAvailable = node.userData.available;
+        node.userData.available = state.available !== false;
+        node.userData.charges = state.charges ?? node.userData.charges;
+        node.userData.maxCharges = state.maxCharges ?? node.userData.maxCharges;
+        node.userData.respawnAt = state.respawnAt ?? null;
+        
+        node.material.visible = node.userData.available;
+        node.getObjectByName('depleted').visible = !node.userData.available;
+        
+        if (wasAvailable !== node.userData.available) {
+            console.log(node.userData.available ? `🌱 ${node.userData.name} respawned` : `🪨 ${node.userData.name} depleted`);
+        }
+    }
+
+    // Offline gathering takes charges here - same rule as updateResourceState in server/gameplay.js
+    useResourceCharge(resourceId) {
+        const node = this.getResourceNode(resourceId);
+        if (!node || !node.userData.available) return;
+        
+        const charges = Math.max(0, node.userData.charges - 1);
+        if (charges > 0) {
+            this.setResourceState({ id: resourceId, available: true, charges });
+            return;
+        }
+        
+        this.setResourceState({ id: resourceId, available: false, charges: 0, respawnAt: Date.now() + node.userData.respawnTime });
+        setTimeout(() => {
+            this.setResourceState({ id: resourceId, available: true, charges: node.userData.maxCharges });
+        }, node.userData.respawnTime);
+    }
+
     createDecorations() {
         console.log('🏠 Creating world decorations...');
         
@@ -508,9 +790,6 @@ export class WorldManager {
         // Create rocks
         this.createRocks();
         
-        // Create sand dunes
-        this.createSandDunes();
-        
         // Create medieval house
         this.createMedievalHouse();
         
@@ -521,7 +800,7 @@ export class WorldManager {
         console.log('🏠 Creating detailed medieval house...');
         
         const houseGroup = new THREE.Group();
-        const housePosition = new THREE.Vector3(15, 0, 15); // Position away from center
+        const housePosition = new THREE.Vector3(WORLD.house.x, 0, WORLD.house.z); // Position away from center
         houseGroup.position.copy(housePosition);
         
         // Create house structure
@@ -536,6 +815,9 @@ export class WorldManager {
         // Create decorative elements
         this.createHouseDecorations(houseGroup);
         
+        // The foundation is the footprint
+        this.registerWorldFootprint(houseGroup, 'house');
+        
         // Add to scene
         this.scene.add(houseGroup);
         this.decorations.push(houseGroup);
@@ -867,16 +1149,10 @@ export class WorldManager {
     }
 
     createPalmTrees() {
-        const palmPositions = [
-            { x: -20, z: -20 },
-            { x: 20, z: -20 },
-            { x: -20, z: 20 },
-            { x: 20, z: 20 }
-        ];
-        
-        palmPositions.forEach(pos => {
+        WORLD.palms.forEach(pos => {
             const palm = this.createPalmTree();
             palm.position.set(pos.x, 0, pos.z);
+            this.registerWorldFootprint(palm, 'palm'); // Trunk base
             this.scene.add(palm);
             this.decorations.push(palm);
         });
@@ -1005,16 +1281,21 @@ export class WorldManager {
             const matrix = new THREE.Matrix4();
             const x = (Math.random() - 0.5) * this.worldSize;
             const z = (Math.random() - 0.5) * this.worldSize;
-            const y = 1.5;
-            
-            matrix.setPosition(x, y, z);
-            matrix.scale(new THREE.Vector3(
+            const y = this.getHeightAt(x, z) + 1.5;
+            const scale = new THREE.Vector3(
                 Math.random() * 0.5 + 0.75,
                 Math.random() * 0.5 + 0.75,
                 Math.random() * 0.5 + 0.75
-            ));
+            );
+            
+            matrix.setPosition(x, y, z);
+            matrix.scale(scale);
             
             rockInstances.setMatrixAt(i, matrix);
+            
+            // Instances aren't objects of their own, so each gets its own footprint id.
+            // Rocks are random per client, so the server's grid doesn't know about them.
+            this.gridManager?.addFootprint(`${rockInstances.uuid}_${i}`, { x, z, shape: 'circle', radius: 1.5 * Math.max(scale.x, scale.z) }, 'obstacle');
         }
         
         this.scene.add(rockInstances);
@@ -1039,35 +1320,6 @@ export class WorldManager {
         return rock;
     }
 
-    createSandDunes() {
-        for (let i = 0; i < 10; i++) {
-            const dune = this.createSandDune();
-            const x = (Math.random() - 0.5) * this.worldSize;
-            const z = (Math.random() - 0.5) * this.worldSize;
-            dune.position.set(x, 0, z);
-            this.scene.add(dune);
-            this.decorations.push(dune);
-        }
-    }
-
-    createSandDune() {
-        const geometry = new THREE.ConeGeometry(8, 4, 8);
-        const material = new THREE.MeshLambertMaterial({ 
-            color: 0xF4A460,
-            transparent: true,
-            opacity: 0.8
-        });
-        const dune = new THREE.Mesh(geometry, material);
-        dune.position.y = 2;
-        dune.castShadow = true;
-        dune.receiveShadow = true;
-        
-        // Random rotation
-        dune.rotation.y = Math.random() * Math.PI * 2;
-        
-        return dune;
-    }
-
     createLighting() {
         // Day/Night cycle system
         this.dayNightCycle = {
@@ -1579,6 +1831,139 @@ export class WorldManager {
         return Array.from(this.resourceNodes.values());
     }
 
+    getRepairStations() {
+        return this.repairStations;
+    }
+
+    // The repair station within range of position, or null (same range as the server)
+    getNearbyRepairStation(position, range = 6) {
+        return this.repairStations.find(station =>
+            Math.hypot(station.position.x - position.x, station.position.z - position.z) <= range
+        ) || null;
+    }
+
+    getCraftingStations() {
+        return this.craftingStations;
+    }
+
+    // A fire a player lit (fire_lit) - a cooking station until it burns out. You can walk through it,
+    // so unlike the fixed stations it takes no grid cells.
+    addFire(fire) {
+        if (this.craftingStations.some(station => station.userData.id === fire.id)) return;
+
+        const mesh = this.createStationMesh('fire');
+        mesh.position.set(fire.position.x, this.getHeightAt(fire.position.x, fire.position.z), fire.position.z);
+        mesh.userData.type = 'crafting_station';
+        mesh.userData.id = fire.id;
+        mesh.userData.stationType = 'fire';
+        mesh.userData.name = STATIONS.fire.name;
+        
+        this.scene.add(mesh);
+        this.craftingStations.push(mesh);
+    }
+
+    // A building a player placed (building_placed, world_state). The server blocks building.cells -
+    // a rect over the same cells blocks them on our grid too, so paths go around it.
+    addBuilding(building) {
+        if (this.buildings.some(existing => existing.userData.id === building.id)) return;
+
+        const cells = (building.cells || []).map(cell => this.gridManager?.gridToWorld(cell.gridX, cell.gridZ)).filter(Boolean);
+        const cellSize = this.gridManager?.gridSize || 2;
+        const minX = Math.min(...cells.map(cell => cell.x));
+        const maxX = Math.max(...cells.map(cell => cell.x));
+        const minZ = Math.min(...cells.map(cell => cell.z));
+        const maxZ = Math.max(...cells.map(cell => cell.z));
+        const centre = cells.length > 0 ? { x: (minX + maxX) / 2, z: (minZ + maxZ) / 2 } : building.position;
+        const width = cells.length > 0 ? maxX - minX + cellSize : cellSize;
+        const depth = cells.length > 0 ? maxZ - minZ + cellSize : cellSize;
+
+        const mesh = this.createBuildingMesh(building.type, width, depth);
+        mesh.position.set(centre.x, this.getHeightAt(centre.x, centre.z), centre.z);
+        mesh.userData.type = 'building';
+        mesh.userData.id = building.id;
+        mesh.userData.buildingType = building.type;
+        mesh.userData.ownerName = building.ownerName;
+        this.registerFootprint(mesh, { shape: 'rect', width, depth }, 'building');
+
+        this.scene.add(mesh);
+        this.buildings.push(mesh);
+    }
+
+    // Simple shapes filling the building's cells
+    createBuildingMesh(type, width, depth) {
+        const group = new THREE.Group();
+
+        switch (type) {
+            case 'campfire': {
+                // Ring of stones around a pile of logs
+                const stone = new THREE.MeshLambertMaterial({ color: 0x808080 });
+                for (let i = 0; i < 8; i++) {
+                    const angle = (i / 8) * Math.PI * 2;
+                    const piece = new THREE.Mesh(new THREE.SphereGeometry(0.2, 6, 4), stone);
+                    piece.position.set(Math.cos(angle) * width * 0.35, 0.15, Math.sin(angle) * depth * 0.35);
+                    group.add(piece);
+                }
+                const logs = new THREE.Mesh(
+                    new THREE.ConeGeometry(0.4, 0.6, 6),
+                    new THREE.MeshLambertMaterial({ color: 0x5C4033 })
+                );
+                logs.position.y = 0.3;
+                group.add(logs);
+                break;
+            }
+            case 'storage_chest': {
+                const chest = new THREE.Mesh(
+                    new THREE.BoxGeometry(width * 0.6, 0.8, depth * 0.4),
+                    new THREE.MeshLambertMaterial({ color: 0x8B5A2B })
+                );
+                chest.position.y = 0.4;
+                group.add(chest);
+                break;
+            }
+            default: {
+                // Mud-brick wall - fills its cells
+                const wall = new THREE.Mesh(
+                    new THREE.BoxGeometry(width, 2, depth),
+                    new THREE.MeshLambertMaterial({ color: 0xA0785A })
+                );
+                wall.position.y = 1;
+                group.add(wall);
+                break;
+            }
+        }
+
+        group.children.forEach(part => {
+            part.castShadow = true;
+            part.receiveShadow = true;
+        });
+        return group;
+    }
+
+    // fire_out, or the offline timer ran down
+    removeFire(id) {
+        const fire = this.craftingStations.find(station => station.userData.id === id && station.userData.stationType === 'fire');
+        if (!fire) return;
+
+        this.scene.remove(fire);
+        this.craftingStations = this.craftingStations.filter(station => station !== fire);
+    }
+
+    // Swap our fires for the ones in view in world_state - those that burnt out while we were away are gone
+    setFires(fires) {
+        this.craftingStations
+            .filter(station => station.userData.stationType === 'fire')
+            .forEach(station => this.removeFire(station.userData.id));
+        fires.forEach(fire => this.addFire(fire));
+    }
+
+    // The crafting station of that type within range of position, or null (same range as the server)
+    getNearbyCraftingStation(stationType, position, range = 6) {
+        return this.craftingStations.find(station =>
+            station.userData.stationType === stationType &&
+            Math.hypot(station.position.x - position.x, station.position.z - position.z) <= range
+        ) || null;
+    }
+
     getLandmarks() {
         return [
             ...this.pyramids,
@@ -1588,6 +1973,40 @@ export class WorldManager {
         ];
     }
 
+    // Everything the world map and minimap show an icon for - [{ type, icon, name, x, z }]
+    getMapFeatures() {
+        const landmarks = this.getLandmarks().filter(Boolean).map(landmark => ({
+            type: 'landmark',
+            icon: LANDMARK_ICONS[landmark.userData.name?.split(' ')[0]] || '📍',
+            name: landmark.userData.name,
+            x: landmark.position.x,
+            z: landmark.position.z
+        }));
+        const resources = this.getResourceNodes().filter(Boolean).map(node => ({
+            type: 'resource_node',
+            icon: SKILLS[node.userData.resourceType]?.icon || '✨',
+            name: node.userData.name,
+            x: node.position.x,
+            z: node.position.z
+        }));
+        const stations = this.getRepairStations().map(station => ({
+            type: 'repair_station',
+            icon: '🔧',
+            name: station.userData.name,
+            x: station.position.x,
+            z: station.position.z
+        }));
+        const craftingStations = this.getCraftingStations().map(station => ({
+            type: 'crafting_station',
+            icon: STATIONS[station.userData.stationType].icon,
+            name: station.userData.name,
+            x: station.position.x,
+            z: station.position.z
+        }));
+        
+        return [...landmarks, ...resources, ...stations, ...craftingStations];
+    }
+
     // Cleanup
     destroy() {
         // Remove all world objects
@@ -1792,6 +2211,38 @@ export class WorldManager {
         this.uiManager = uiManager;
     }
     
+    // Must be set before init() so structures can claim their grid cells
+    setGridManager(gridManager) {
+        this.gridManager = gridManager;
+    }
+    
+    // Mark the cells under a placed object as blocked. The footprint ({ shape: 'circle', radius }
+    // or { shape: 'rect', width, depth, rotation }) is relative to the object's position;
+    // calling this again after moving the object moves the footprint with it.
+    registerFootprint(object, footprint, state = 'obstacle') {
+        object.userData.footprint = { ...footprint, state };
+        if (!this.gridManager) return;
+        
+        this.gridManager.addFootprint(object.uuid, {
+            ...footprint,
+            x: object.position.x,
+            z: object.position.z
+        }, state);
+    }
+    
+    // Footprint of one of the world's fixed structures (shared/content/world.json) - the server
+    // blocks the same cells, see WORLD_FOOTPRINTS in server/gameplay.js
+    registerWorldFootprint(object, kind, size = {}) {
+        const { state, ...footprint } = WORLD.footprints[kind];
+        this.registerFootprint(object, { ...footprint, ...size }, state);
+    }
+    
+    unregisterFootprint(object) {
+        if (object?.userData?.footprint) {
+            this.gridManager?.removeFootprint(object.uuid);
+        }
+    }
+    
     // Debug method to find all lights in the scene
     debugLights() {
         console.log('🔍 Debugging all lights in scene:');
@@ -57,12 +57,10 @@ export class Player {
         // Movement direction for rotation
         this.movementDirection = null;
         
-        // Player stats
+        // Player stats - levels and XP live in SkillsSystem, maxHealth follows hitpoints
         this.stats = {
             health: 100,
             maxHealth: 100,
-            level: 1,
-            experience: 0,
             energy: 100,
             maxEnergy: 100,
             gold: 0
@@ -103,11 +101,53 @@ export class Player {
         console.log(`👤 Player name set to: ${name}`);
     }
 
+    // Apply the character's chosen look (robe colour for now)
+    setAppearance(appearance) {
+        this.appearance = appearance || null;
+        if (this.mesh && appearance?.color) {
+            this.mesh.material.color.set(appearance.color);
+        }
+    }
+
+    // Jump straight to a position, e.g. where the character was last saved
+    teleportTo(position) {
+        this.isMoving = false;
+        this.targetPosition = null;
+        this.movementPath = null;
+        this.currentPathIndex = 0;
+
+        this.position.set(position.x, this.getGroundHeight(position.x, position.z), position.z);
+        if (this.mesh) {
+            this.mesh.position.x = position.x;
+            this.mesh.position.y = this.position.y + 1.5;
+            this.mesh.position.z = position.z;
+        }
+        console.log(`📍 Player placed at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+    }
+
+    // Shift by the server's correction. A rejected move also cancels the walk,
+    // otherwise we'd just keep walking into whatever the server said no to.
+    applyServerCorrection(offset, stopMoving = false) {
+        this.position.x += offset.x;
+        this.position.z += offset.z;
+        this.position.y = this.getGroundHeight(this.position.x, this.position.z);
+        if (this.mesh) {
+            this.mesh.position.x = this.position.x;
+            this.mesh.position.y = this.position.y + 1.5;
+            this.mesh.position.z = this.position.z;
+        }
+
+        if (stopMoving) {
+            this.isMoving = false;
+            this.targetPosition = null;
+            this.movementPath = null;
+            this.currentPathIndex = 0;
+        }
+    }
+
     // Getter methods for stats
     get health() { return this.stats.health; }
     get maxHealth() { return this.stats.maxHealth; }
-    get level() { return this.stats.level; }
-    get experience() { return this.stats.experience; }
     get energy() { return this.stats.energy || 100; }
     get maxEnergy() { return this.stats.maxEnergy || 100; }
     get gold() { return this.stats.gold || 0; }
@@ -222,7 +262,7 @@ export class Player {
         if (this.mesh) {
             const bounceHeight = 0.1;
             const bounceSpeed = 8;
-            this.mesh.position.y = 1.5 + Math.sin(time * bounceSpeed) * bounceHeight;
+            this.mesh.position.y = this.position.y + 1.5 + Math.sin(time * bounceSpeed) * bounceHeight;
         }
     }
 
@@ -240,7 +280,7 @@ export class Player {
     // Reset animation
     resetAnimation() {
         if (this.mesh) {
-            this.mesh.position.y = 1.5;
+            this.mesh.position.y = this.position.y + 1.5;
             this.mesh.scale.set(1, 1, 1);
         }
     }
@@ -390,8 +430,15 @@ export class Player {
     updateMovement(deltaTime) {
         if (!this.isMoving || !this.targetPosition) return;
         
-        // Calculate distance to target
-        const distanceToTarget = this.position.distanceTo(this.targetPosition);
+        // Head for the current path waypoint (direct moves have no path)
+        const waypoint = this.movementPath?.[this.currentPathIndex] || this.targetPosition;
+        const distanceToTarget = Math.hypot(waypoint.x - this.position.x, waypoint.z - this.position.z); // Along the ground, height doesn't count
+        
+        if (distanceToTarget < 0.2 && this.movementPath && this.currentPathIndex < this.movementPath.length - 1) {
+            // Reached a corner of the path, turn towards the next one
+            this.currentPathIndex++;
+            return;
+        }
         
         if (distanceToTarget < 0.2) { // Reduced threshold for more precise stopping
             // Reached destination
@@ -403,7 +450,7 @@ export class Player {
             // 🔧 NETWORK SYNC: Send final position when stopping
             if (window.egyptMMO?.networkManager?.isConnected) {
                 try {
-                    window.egyptMMO.networkManager.sendPlayerPosition(this.position);
+                    window.egyptMMO.networkManager.sendPlayerPosition(this.position, this.getNetworkRotation(), false);
                 } catch (error) {
                     console.warn('⚠️ Failed to sync final position:', error);
                 }
@@ -420,14 +467,13 @@ export class Player {
         }
         
         // Calculate movement direction
-        const direction = this.targetPosition.clone().sub(this.position).normalize();
+        const direction = new THREE.Vector3(waypoint.x - this.position.x, 0, waypoint.z - this.position.z).normalize();
         
-        // Move towards target
-        const moveDistance = this.moveSpeed * deltaTime;
-        const newPosition = this.position.clone().add(direction.multiplyScalar(moveDistance));
-        
-        // Update position
-        this.position.copy(newPosition);
+        // Move towards the waypoint, without overshooting it, and follow the ground up and down
+        const moveDistance = Math.min(this.moveSpeed * deltaTime, distanceToTarget);
+        this.position.x += direction.x * moveDistance;
+        this.position.z += direction.z * moveDistance;
+        this.position.y = this.getGroundHeight(this.position.x, this.position.z);
         this.mesh.position.copy(this.position);
         
         // 🔧 NETWORK SYNC: Send position update to other players (throttled)
@@ -435,9 +481,8 @@ export class Player {
             // Only send updates every 100ms to reduce network traffic
             if (!this.lastNetworkUpdate || Date.now() - this.lastNetworkUpdate > 100) {
                 try {
-                    window.egyptMMO.networkManager.sendPlayerPosition(this.position);
+                    window.egyptMMO.networkManager.sendPlayerPosition(this.position, this.getNetworkRotation());
                     this.lastNetworkUpdate = Date.now();
-                    console.log(`🌐 Sent position update: (${this.position.x.toFixed(1)}, ${this.position.y.toFixed(1)}, ${this.position.z.toFixed(1)})`);
                 } catch (error) {
                     console.warn('⚠️ Failed to sync position:', error);
                 }
@@ -531,12 +576,13 @@ export class Player {
 
     // Ground contact check removed - not needed with direct positioning
 
-    // Interaction methods
-    startGathering(resourceNode) {
-        console.log(`Started gathering from ${resourceNode.name || 'resource'}`);
-        
-        // This would start a gathering animation and timer
-        // For now, just log the action
+    // Interaction methods - turn to whatever we're working on (resource nodes, stations)
+    faceTowards(worldPosition) {
+        const dx = worldPosition.x - this.position.x;
+        const dz = worldPosition.z - this.position.z;
+        if (this.mesh && Math.hypot(dx, dz) > 0.01) {
+            this.mesh.rotation.y = Math.atan2(dx, dz);
+        }
     }
     
     // Click-to-move method with improved precision
@@ -581,21 +627,32 @@ export class Player {
             console.log(`👤 Moving to nearest walkable: ${this.targetPosition.x.toFixed(1)}, ${this.targetPosition.z.toFixed(1)}`);
         }
         
+        // Route around obstacles - if the target is cut off this ends as close as we can get
+        const path = gridManager.getPathToTarget(this.position, this.targetPosition);
+        if (path.length === 0) {
+            console.warn('❌ No path to target');
+            gridManager.clearHighlight();
+            this.targetPosition = null;
+            return;
+        }
+        
+        this.movementPath = path;
+        this.currentPathIndex = 0;
+        this.targetPosition = path[path.length - 1].clone();
         this.isMoving = true;
+        gridManager.highlightCell(this.targetPosition); // May have moved if the click was unreachable
         
         // Create visual indicator for target position
         this.showTargetIndicator(this.targetPosition);
         
-        // Simplified path - just go directly to target
-        this.movementPath = [this.targetPosition.clone()];
-        this.currentPathIndex = 0;
-        
-        console.log(`🗺️ Direct path to target`);
+        console.log(`🗺️ Path to target: ${path.length} waypoint(s)`);
     }
 
     // Direct movement (fallback)
     moveToPositionDirect(worldPosition) {
         this.targetPosition = new THREE.Vector3(worldPosition.x, 0, worldPosition.z);
+        this.movementPath = null;
+        this.currentPathIndex = 0;
         this.isMoving = true;
         console.log(`👤 Moving to position: ${this.targetPosition.x}, ${this.targetPosition.z}`);
         
@@ -621,7 +678,7 @@ export class Player {
         this.targetIndicator = new THREE.Mesh(ringGeometry, ringMaterial);
         this.targetIndicator.rotation.x = -Math.PI / 2;
         this.targetIndicator.position.copy(position);
-        this.targetIndicator.position.y = 0.1;
+        this.targetIndicator.position.y = this.getGroundHeight(position.x, position.z) + 0.1;
         
         this.scene.add(this.targetIndicator);
         
@@ -634,6 +691,12 @@ export class Player {
         }, 3000);
     }
 
+    // Terrain height under a point (flat ground if there's no heightmap yet)
+    getGroundHeight(x, z) {
+        const heightmap = this.scene.userData.heightmap;
+        return heightmap ? heightmap.getHeightAt(x, z) : 0;
+    }
+
     // Getters
     getPosition() {
         return this.position.clone();
@@ -642,6 +705,11 @@ export class Player {
     getRotation() {
         return this.mesh.quaternion.clone();
     }
+
+    // Facing as sent to the server - only the yaw matters for other players
+    getNetworkRotation() {
+        return { x: 0, y: this.mesh ? this.mesh.rotation.y : 0, z: 0 };
+    }
     
         getCameraRotation() {
         return this.cameraRotation.clone();
@@ -676,28 +744,12 @@ export class Player {
         return this.stats.health;
     }
 
-    addExperience(amount) {
-        this.stats.experience += amount;
-        
-        // Check for level up
-        const expForNextLevel = this.getExperienceForLevel(this.stats.level + 1);
-        if (this.stats.experience >= expForNextLevel) {
-            this.levelUp();
-        }
-        
-        return this.stats.experience;
-    }
-
-    getExperienceForLevel(level) {
-        return Math.floor(100 * Math.pow(1.5, level - 1));
-    }
-
-    levelUp() {
-        this.stats.level++;
-        this.stats.maxHealth += 10;
-        this.stats.health = this.stats.maxHealth;
-        
-        console.log(`🎉 Level up! You are now level ${this.stats.level}`);
+    // A higher max (hitpoints level up) adds the difference to current health too
+    setMaxHealth(maxHealth) {
+        const gained = maxHealth - this.stats.maxHealth;
+        this.stats.maxHealth = maxHealth;
+        this.stats.health = Math.min(maxHealth, Math.max(0, this.stats.health + Math.max(0, gained)));
+        return this.stats.maxHealth;
     }
 
     die() {
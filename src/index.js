@@ -1,7 +1,10 @@
 import { GameEngine } from './core/GameEngine.js';
 import { UIManager } from './ui/UIManager.js';
 import { OptionsManager } from './ui/OptionsManager.js';
+import { WorldMap } from './ui/WorldMap.js';
+import { Minimap } from './ui/Minimap.js';
 import { NetworkManager } from './network/NetworkManager.js';
+import { AuthClient } from './network/AuthClient.js';
 import { AudioManager } from './audio/AudioManager.js';
 import { LoadingManager } from './core/LoadingManager.js';
 
@@ -12,6 +15,8 @@ class EgyptMMO {
         this.networkManager = null;
         this.uiManager = null;
         this.optionsManager = null;
+        this.worldMap = null;
+        this.minimap = null;
         this.loadingManager = null;
         this.isInitialized = false;
         this.isInitializing = false; // New flag for initialization state
@@ -26,7 +31,7 @@ class EgyptMMO {
         const userData = localStorage.getItem('egyptMMO_user');
         const characterData = localStorage.getItem('egyptMMO_character');
         
-        if (!userData || !characterData) {
+        if (!window.authClient.isLoggedIn() || !characterData || !JSON.parse(characterData).id) {
             console.log('🔐 No user session found, title screen will handle initialization');
             return; // Let the title screen handle login/character creation
         }
@@ -63,6 +68,8 @@ class EgyptMMO {
             this.gameEngine = new GameEngine();
             this.uiManager = new UIManager();
             this.optionsManager = new OptionsManager(this.gameEngine);
+            this.worldMap = new WorldMap(this.gameEngine);
+            this.minimap = new Minimap(this.gameEngine);
             
             // Initialize systems in parallel for better performance
             await Promise.all([
@@ -70,19 +77,28 @@ class EgyptMMO {
                 this.networkManager.init(),
                 this.gameEngine.init(),
                 this.uiManager.init(),
-                this.optionsManager.init()
+                this.optionsManager.init(),
+                this.worldMap.init(),
+                this.minimap.init()
             ]);
             
             // Connect systems
             this.gameEngine.setUIManager(this.uiManager);
+            this.uiManager.setWorldMap(this.worldMap);
             this.gameEngine.setNetworkManager(this.networkManager);
             this.gameEngine.setAudioManager(this.audioManager);
             this.gameEngine.setOptionsManager(this.optionsManager);
             this.gameEngine.setLoadingManager(this.loadingManager);
             
-            // Set player name from character data
-            if (this.characterData && this.characterData.name) {
-                this.gameEngine.setPlayerName(this.characterData.name);
+            // The character select screen may have started us without going through init()
+            if (!this.characterData) {
+                const characterData = localStorage.getItem('egyptMMO_character');
+                this.characterData = characterData ? JSON.parse(characterData) : null;
+            }
+            
+            // Set player name and appearance from character data
+            if (this.characterData) {
+                this.gameEngine.setCharacterData(this.characterData);
             }
             
             // Setup event listeners
@@ -144,6 +160,13 @@ class EgyptMMO {
                 await this.gameEngine.joinWorld();
             }
         } catch (error) {
+            if (this.networkManager.authFailed) {
+                // Token expired or was revoked - send the player back to the login screen
+                console.warn('🔒 Session rejected by server:', error.message);
+                alert(error.message);
+                window.logout?.();
+                return;
+            }
             console.warn('⚠️ Network connection failed, running in single-player mode:', error.message);
         }
         
@@ -254,6 +277,9 @@ class EgyptMMO {
     }
 }
 
+// Login/registration helper used by the title screen in index.html
+window.authClient = new AuthClient();
+
 // Initialize the game when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🎮 Initializing Egypt MMO...');
@@ -0,0 +1,112 @@
+import { getServerUrl } from './serverConfig.js';
+
+const TOKEN_KEY = 'egyptMMO_auth_token';
+const USER_KEY = 'egyptMMO_user';
+
+// Talks to the server's account routes (/api/auth, /api/characters) and keeps the session token in localStorage
+export class AuthClient {
+    constructor(serverUrl = getServerUrl()) {
+        this.serverUrl = serverUrl;
+    }
+
+    getToken() {
+        return localStorage.getItem(TOKEN_KEY);
+    }
+
+    getUser() {
+        const user = localStorage.getItem(USER_KEY);
+        return user ? JSON.parse(user) : null;
+    }
+
+    isLoggedIn() {
+        return !!this.getToken() && !!this.getUser();
+    }
+
+    async register(username, password) {
+        return this.startSession(await this.request('/api/auth/register', {
+            method: 'POST',
+            body: { username, password }
+        }));
+    }
+
+    async login(username, password) {
+        return this.startSession(await this.request('/api/auth/login', {
+            method: 'POST',
+            body: { username, password }
+        }));
+    }
+
+    async loginAsGuest() {
+        return this.startSession(await this.request('/api/auth/guest', { method: 'POST' }));
+    }
+
+    // Check the stored token is still accepted by the server - clears it if not
+    async validateSession() {
+        if (!this.getToken()) return false;
+
+        try {
+            await this.request('/api/auth/me');
+            return true;
+        } catch (error) {
+            if (error.status === 401 || error.status === 404) {
+                console.log('🔐 Stored session is no longer valid, logging out');
+                this.logout();
+                return false;
+            }
+            // Server unreachable - keep the session and let the game run single-player
+            console.warn('⚠️ Could not validate session:', error.message);
+            return true;
+        }
+    }
+
+    async listCharacters() {
+        const { characters } = await this.request('/api/characters');
+        return characters;
+    }
+
+    async createCharacter(name, appearance) {
+        const { character } = await this.request('/api/characters', {
+            method: 'POST',
+            body: { name, appearance }
+        });
+        return character;
+    }
+
+    async deleteCharacter(characterId) {
+        await this.request(`/api/characters/${encodeURIComponent(characterId)}`, { method: 'DELETE' });
+    }
+
+    startSession({ token, account }) {
+        localStorage.setItem(TOKEN_KEY, token);
+        localStorage.setItem(USER_KEY, JSON.stringify(account));
+        console.log(`🔐 Logged in as ${account.username}`);
+        return account;
+    }
+
+    logout() {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(USER_KEY);
+    }
+
+    async request(path, { method = 'GET', body = null } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this.getToken();
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await fetch(`${this.serverUrl}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+}
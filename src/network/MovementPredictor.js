@@ -0,0 +1,82 @@
+// Client-side prediction for the local player.
+// Every movement update sent to the server is a numbered delta. The server acks each one
+// with its authoritative position; on an ack or correction we replay the deltas it hasn't
+// seen yet on top of that position and tell the caller how far the local player is off.
+
+const RECONCILE_EPSILON = 0.05; // Ignore float noise smaller than this
+const MIN_DELTA = 0.0001; // Don't send moves that don't move
+const MAX_PENDING_MOVES = 200; // ~20s of unacked moves before we give up on them
+
+export class MovementPredictor {
+    constructor() {
+        this.sequence = 0;
+        this.pendingMoves = []; // [{ seq, delta: { x, z } }] sent but not acked yet
+        this.lastSentPosition = null; // Where the server will think we are once every pending move is applied
+    }
+
+    // Start over from a position the server told us about (join, respawn...)
+    reset(position) {
+        this.pendingMoves = [];
+        this.lastSentPosition = { x: position.x, z: position.z };
+    }
+
+    // Turn the current position into the next numbered move, or null if we haven't moved
+    // (force sends a zero-length move anyway, e.g. to tell others we've stopped)
+    createMove(position, force = false) {
+        if (!this.lastSentPosition) {
+            this.reset(position);
+            return null;
+        }
+
+        const delta = {
+            x: position.x - this.lastSentPosition.x,
+            z: position.z - this.lastSentPosition.z
+        };
+        if (!force && Math.abs(delta.x) < MIN_DELTA && Math.abs(delta.z) < MIN_DELTA) {
+            return null;
+        }
+
+        const move = { seq: ++this.sequence, delta };
+        this.pendingMoves.push(move);
+        if (this.pendingMoves.length > MAX_PENDING_MOVES) {
+            this.pendingMoves.shift();
+        }
+
+        this.lastSentPosition = { x: position.x, z: position.z };
+        return move;
+    }
+
+    // The server has processed every move up to ackedSeq and put us at serverPosition.
+    // Returns the { x, z } offset the local player needs, or null if our prediction was right.
+    reconcile(ackedSeq, serverPosition) {
+        this.pendingMoves = this.pendingMoves.filter(move => move.seq > ackedSeq);
+
+        // Replay everything the server hasn't seen yet on top of its answer
+        let x = serverPosition.x;
+        let z = serverPosition.z;
+        this.pendingMoves.forEach(move => {
+            x += move.delta.x;
+            z += move.delta.z;
+        });
+
+        if (!this.lastSentPosition) {
+            this.lastSentPosition = { x, z };
+            return null;
+        }
+
+        const offset = {
+            x: x - this.lastSentPosition.x,
+            z: z - this.lastSentPosition.z
+        };
+        if (Math.hypot(offset.x, offset.z) < RECONCILE_EPSILON) {
+            return null;
+        }
+
+        this.lastSentPosition = { x, z };
+        return offset;
+    }
+
+    getPendingCount() {
+        return this.pendingMoves.length;
+    }
+}
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { MovementPredictor } from './MovementPredictor.js';
+
+// Walks from 0,0 along x, one move per step, and returns the moves sent
+function walk(predictor, steps, step = 1) {
+    const moves = [];
+    for (let i = 1; i <= steps; i++) {
+        moves.push(predictor.createMove({ x: i * step, z: 0 }));
+    }
+    return moves;
+}
+
+test('moves are numbered deltas from the last position sent', () => {
+    const predictor = new MovementPredictor();
+    predictor.reset({ x: 0, z: 0 });
+
+    const moves = walk(predictor, 3);
+    assert.deepStrictEqual(moves.map(move => move.seq), [1, 2, 3]);
+    assert.ok(moves.every(move => move.delta.x === 1 && move.delta.z === 0));
+    assert.strictEqual(predictor.createMove({ x: 3, z: 0 }), null, 'standing still sends nothing');
+    assert.strictEqual(predictor.createMove({ x: 3, z: 0 }, true).seq, 4, 'unless forced');
+});
+
+test('an ack that agrees with the prediction changes nothing and drops the acked moves', () => {
+    const predictor = new MovementPredictor();
+    predictor.reset({ x: 0, z: 0 });
+    walk(predictor, 5);
+
+    // The server has applied the first two moves - the other three are still on their way
+    assert.strictEqual(predictor.reconcile(2, { x: 2, z: 0 }), null);
+    assert.strictEqual(predictor.getPendingCount(), 3);
+});
+
+test('a correction replays the moves the server has not seen on top of its position', () => {
+    const predictor = new MovementPredictor();
+    predictor.reset({ x: 0, z: 0 });
+    walk(predictor, 5);
+
+    // The server stopped us at x 1.5 after move 2 (a wall) - moves 3-5 still apply from there
+    const offset = predictor.reconcile(2, { x: 1.5, z: 0.25 });
+    assert.deepStrictEqual(offset, { x: -0.5, z: 0.25 });
+    assert.strictEqual(predictor.getPendingCount(), 3);
+
+    // The next move is measured from the corrected position, not the one we had predicted
+    const move = predictor.createMove({ x: 5.5, z: 0.25 });
+    assert.deepStrictEqual(move.delta, { x: 1, z: 0 });
+
+    // Once everything is acked where the server put us, we agree again
+    assert.strictEqual(predictor.reconcile(move.seq, { x: 5.5, z: 0.25 }), null);
+    assert.strictEqual(predictor.getPendingCount(), 0);
+});
+
+test('float noise below the threshold is not a correction', () => {
+    const predictor = new MovementPredictor();
+    predictor.reset({ x: 0, z: 0 });
+    walk(predictor, 2);
+
+    assert.strictEqual(predictor.reconcile(2, { x: 2.01, z: -0.01 }), null);
+});
@@ -1,15 +1,17 @@
 import { io } from 'socket.io-client';
+import { AuthClient } from './AuthClient.js';
+import { getServerUrl } from './serverConfig.js';
+import { MovementPredictor } from './MovementPredictor.js';
 
 export class NetworkManager {
     constructor() {
         this.socket = null;
         this.isConnected = false;
         // Use the actual Railway domain for production
-        this.serverUrl = window.location.hostname === 'localhost' 
-            ? 'http://localhost:3001' 
-            : 'https://egypt-mmo-production.up.railway.app';
+        this.serverUrl = getServerUrl();
+        this.authClient = new AuthClient(this.serverUrl);
+        this.authFailed = false; // Set when the server rejects our session token
         this.playerId = null;
-        this.sessionId = null; // Track session ID for reconnections
         this.players = new Map();
         
         // Event callbacks
@@ -18,6 +20,22 @@ export class NetworkManager {
         this.onPlayerMove = null;
         this.onChatMessage = null;
         this.onWorldUpdate = null;
+        this.onPlayerJoined = null;
+        this.onPositionCorrection = null;
+        this.onCraftResult = null;
+        this.onCraftCancelled = null;
+        this.onGatheringResult = null;
+        this.onResourceUpdate = null;
+        this.onBuildingResult = null;
+        this.onBuildingPlaced = null;
+        this.onSkillsUpdate = null;
+        this.onSkillLevelUp = null;
+        this.onRepairResult = null;
+        this.onEquipResult = null;
+        this.onFireResult = null;
+        this.onFireLit = null;
+        this.onFireOut = null;
+        this.onEatResult = null;
         
         // Reconnection settings
         this.reconnectAttempts = 0;
@@ -28,6 +46,10 @@ export class NetworkManager {
         this.eventsSetup = false; // Prevent duplicate event setup
         this.connecting = false; // Track if a connection attempt is in progress
         this.lastPositionUpdate = 0; // Track last position update for debouncing
+        this.trailingPositionTimer = null; // Sends the last skipped position once the debounce window ends
+        this.trailingPositionArgs = null;
+        this.movementPredictor = new MovementPredictor(); // Sequence numbers + unacked moves for reconciliation
+        this.serverTimeOffset = null; // Estimated server clock minus local clock, for snapshot interpolation
     }
 
     async init() {
@@ -39,12 +61,6 @@ export class NetworkManager {
         
         console.log('🌐 Initializing Network Manager...');
         
-        // Load session ID from localStorage if available
-        this.sessionId = localStorage.getItem('egypt_mmo_session_id');
-        if (this.sessionId) {
-            console.log(`🔑 Loaded existing session ID: ${this.sessionId}`);
-        }
-        
         this.socket = null;
         this.isConnected = false;
         this.playerId = null;
@@ -122,6 +138,8 @@ export class NetworkManager {
             
             this.socket = io(this.serverUrl, {
                 transports: ['websocket'],
+                // Read the token on every (re)connect so a fresh login is picked up
+                auth: (callback) => callback({ token: this.authClient.getToken() }),
                 timeout: 10000, // Increased timeout for Railway
                 reconnection: true, // Enable reconnection for multiplayer
                 reconnectionAttempts: 5,
@@ -156,6 +174,16 @@ export class NetworkManager {
                 this.socket.on('connect_error', (error) => {
                     clearTimeout(timeout);
                     this.connecting = false;
+                    
+                    // The server answered but refused our token - retrying won't help
+                    if (this.isAuthError(error)) {
+                        this.authFailed = true;
+                        this.socket.disconnect();
+                        console.log('🔒 Server rejected session token:', error.message);
+                        reject(new Error('Session expired - please log in again'));
+                        return;
+                    }
+                    
                     console.log('🌐 Connection failed, running in single-player mode:', error.message);
                     reject(new Error('No server available - running in single-player mode'));
                 });
@@ -167,6 +195,10 @@ export class NetworkManager {
         }
     }
     
+    isAuthError(error) {
+        return ['Authentication required', 'Account not found', 'Authentication failed'].includes(error?.message);
+    }
+    
     // Start connection heartbeat
     startHeartbeat() {
         if (this.heartbeatInterval) {
@@ -242,16 +274,34 @@ export class NetworkManager {
             }
         });
 
+        // The server only tells us about players near us - walking into or out of
+        // range looks the same to the game as them joining or leaving
+        this.socket.on('entity_enter_view', (data) => {
+            if (data.type !== 'player') return;
+            console.log(`👁️ Player came into view: ${data.player.name} (ID: ${data.player.id})`);
+            if (this.onPlayerJoin) {
+                this.onPlayerJoin(data.player);
+            }
+        });
+
+        this.socket.on('entity_leave_view', (data) => {
+            if (data.type !== 'player') return;
+            console.log(`👁️ Player left view: ${data.id}`);
+            if (this.onPlayerLeave) {
+                this.onPlayerLeave(data.id);
+            }
+        });
+
         // Handle player movement
         this.socket.on('player_move', (data) => {
+            this.updateServerClock(data.timestamp);
+            
             // Filter out our own movement updates to prevent duplicates
             if (data.playerId === this.playerId) {
                 console.log(`🔄 Ignoring own movement update for player ${data.playerId}`);
                 return;
             }
             
-            console.log(`👥 Received movement update for player ${data.playerId}:`, data);
-            
             if (this.onPlayerMove) {
                 this.onPlayerMove(data);
             } else {
@@ -259,7 +309,122 @@ export class NetworkManager {
             }
         });
 
+        // The server accepted one of our moves - only matters if it disagrees with our prediction
+        this.socket.on('move_ack', (data) => {
+            this.updateServerClock(data.timestamp);
+            this.reconcilePosition(data, false);
+        });
+
+        // The server rejected one of our moves and tells us where we really are
+        this.socket.on('position_correction', (data) => {
+            console.log(`📍 Received position_correction (${data.reason}):`, data.position);
+            this.reconcilePosition(data, true);
+        });
+
+        // Answers to our craft / gather / build requests - the server owns the outcome
+        this.socket.on('craft_result', (data) => {
+            console.log(`⚒️ Received craft_result for ${data.itemId}:`, data);
+            if (this.onCraftResult) {
+                this.onCraftResult(data);
+            }
+        });
+
+        this.socket.on('craft_cancelled', (data) => {
+            console.log(`🛑 Received craft_cancelled for ${data.itemId}: ${data.reason}`);
+            if (this.onCraftCancelled) {
+                this.onCraftCancelled(data);
+            }
+        });
+
+        this.socket.on('gathering_result', (data) => {
+            console.log(`⛏️ Received gathering_result for ${data.resourceId}:`, data);
+            if (this.onGatheringResult) {
+                this.onGatheringResult(data);
+            }
+        });
+
+        // A resource node lost a charge, ran dry or respawned - sent to everyone
+        this.socket.on('resource_update', (data) => {
+            console.log(`🪨 Received resource_update for ${data.id}: ${data.charges}/${data.maxCharges}`);
+            if (this.onResourceUpdate) {
+                this.onResourceUpdate(data);
+            }
+        });
+
+        this.socket.on('building_result', (data) => {
+            console.log('🏗️ Received building_result:', data);
+            if (this.onBuildingResult) {
+                this.onBuildingResult(data);
+            }
+        });
+
+        // Someone placed a building - sent to everyone who can see it, and as buildings come into view
+        this.socket.on('building_placed', (building) => {
+            console.log(`🏗️ Received building_placed for ${building.id}`);
+            if (this.onBuildingPlaced) {
+                this.onBuildingPlaced(building);
+            }
+        });
+
+        this.socket.on('repair_result', (data) => {
+            console.log(`🔧 Received repair_result for ${data.uid}:`, data);
+            if (this.onRepairResult) {
+                this.onRepairResult(data);
+            }
+        });
+
+        this.socket.on('equip_result', (data) => {
+            console.log(`🛡️ Received equip_result for ${data.slot}:`, data);
+            if (this.onEquipResult) {
+                this.onEquipResult(data);
+            }
+        });
+
+        this.socket.on('fire_result', (data) => {
+            console.log('🔥 Received fire_result:', data);
+            if (this.onFireResult) {
+                this.onFireResult(data);
+            }
+        });
+
+        // Someone lit a fire or one burnt out - sent to everyone who can see it, and as fires come into or drop out of view
+        this.socket.on('fire_lit', (fire) => {
+            console.log(`🔥 Received fire_lit for ${fire.id}`);
+            if (this.onFireLit) {
+                this.onFireLit(fire);
+            }
+        });
+
+        this.socket.on('fire_out', (data) => {
+            console.log(`💨 Received fire_out for ${data.id}`);
+            if (this.onFireOut) {
+                this.onFireOut(data);
+            }
+        });
+
+        this.socket.on('eat_result', (data) => {
+            console.log(`🍞 Received eat_result for ${data.itemId}:`, data);
+            if (this.onEatResult) {
+                this.onEatResult(data);
+            }
+        });
+
+        this.socket.on('skills_update', (data) => {
+            console.log(`📈 Received skills_update: ${data.skill} level ${data.level} (${data.experience} XP)`);
+            if (this.onSkillsUpdate) {
+                this.onSkillsUpdate(data);
+            }
+        });
+
+        this.socket.on('skill_levelup', (data) => {
+            console.log(`🎉 Received skill_levelup: ${data.skill} ${data.newLevel}`);
+            if (this.onSkillLevelUp) {
+                this.onSkillLevelUp(data);
+            }
+        });
+
         this.socket.on('world_state', (worldData) => {
+            this.updateServerClock(worldData.worldTime?.timestamp);
             console.log('🌍 Received world_state event:', worldData);
             if (this.onWorldUpdate) {
                 this.onWorldUpdate(worldData);
@@ -269,6 +434,7 @@ export class NetworkManager {
         });
 
         this.socket.on('world_time_update', (timeData) => {
+            this.updateServerClock(timeData.timestamp);
             console.log('🕐 Received world_time_update event:', timeData);
             if (this.onTimeUpdate) {
                 this.onTimeUpdate(timeData);
@@ -290,14 +456,12 @@ export class NetworkManager {
             console.log('✅ Player joined successfully:', data);
             if (data.success && data.player) {
                 this.playerId = data.player.id;
-                this.sessionId = data.sessionId; // Store the session ID
+                this.movementPredictor.reset(data.player.position);
                 console.log(`🎯 Player ID set to: ${this.playerId}`);
-                console.log(`🔑 Session ID set to: ${this.sessionId}`);
-                
-                // Store session ID in localStorage for persistence across browser sessions
-                if (this.sessionId) {
-                    localStorage.setItem('egypt_mmo_session_id', this.sessionId);
-                }
+            }
+            
+            if (this.onPlayerJoined) {
+                this.onPlayerJoined(data);
             }
         });
 
@@ -305,6 +469,43 @@ export class NetworkManager {
         this.eventsSetup = true; // Mark events as set up
     }
 
+    // Track the server clock from timestamps it sends us. The fastest packet gives the best
+    // estimate, so jump up to any better sample and only drift down slowly (clock skew).
+    updateServerClock(serverTimestamp) {
+        if (!Number.isFinite(serverTimestamp)) return;
+        
+        const sample = serverTimestamp - Date.now();
+        if (this.serverTimeOffset === null || sample > this.serverTimeOffset) {
+            this.serverTimeOffset = sample;
+        } else {
+            this.serverTimeOffset += (sample - this.serverTimeOffset) * 0.02;
+        }
+    }
+    
+    // Current time on the server's clock (as far as we can tell)
+    getServerTime() {
+        return Date.now() + (this.serverTimeOffset ?? 0);
+    }
+    
+    // Replay unacked moves on top of the server's position and report any drift to the game
+    reconcilePosition(data, rejected) {
+        const offset = this.movementPredictor.reconcile(data.seq ?? 0, data.position);
+        
+        if (!offset && !rejected) {
+            return; // Prediction was right
+        }
+        
+        if (this.onPositionCorrection) {
+            this.onPositionCorrection({
+                ...data,
+                offset: offset || { x: 0, z: 0 },
+                rejected
+            });
+        } else {
+            console.log('❌ No onPositionCorrection callback set');
+        }
+    }
+
     disconnect() {
         if (this.socket) {
             this.socket.disconnect();
@@ -316,6 +517,11 @@ export class NetworkManager {
         // Stop heartbeat
         this.stopHeartbeat();
         
+        if (this.trailingPositionTimer) {
+            clearTimeout(this.trailingPositionTimer);
+            this.trailingPositionTimer = null;
+        }
+        
         console.log('🌐 Disconnected from server');
     }
 
@@ -326,38 +532,48 @@ export class NetworkManager {
             return;
         }
         
-        // Include session ID if we have one (for reconnections)
-        const joinData = {
-            ...playerData,
-            sessionId: this.sessionId // Send session ID for reconnection
-        };
-        
-        console.log('🌍 Joining world with data:', joinData);
-        this.socket.emit('player_join', joinData);
+        // The server identifies us from the session token sent in the handshake
+        console.log('🌍 Joining world with data:', playerData);
+        this.socket.emit('player_join', playerData);
     }
 
-    // Send player position to server
-    sendPlayerPosition(position) {
+    // Send player position to server (moving=false marks the last update of a walk)
+    sendPlayerPosition(position, rotation = null, moving = true) {
         if (!this.socket || !this.isConnected) {
             console.warn('⚠️ Cannot send position - not connected to server');
             return;
         }
         
         // Debounce position updates to prevent spam
-        if (this.lastPositionUpdate && Date.now() - this.lastPositionUpdate < 100) {
-            return; // Skip if last update was less than 100ms ago
+        const sinceLastUpdate = Date.now() - this.lastPositionUpdate;
+        if (this.lastPositionUpdate && sinceLastUpdate < 100) {
+            // Moves are deltas from the last sent position, so a skipped update is never lost -
+            // but make sure the latest one (especially a stop) still goes out once the window ends
+            this.trailingPositionArgs = [position, rotation, moving];
+            if (!this.trailingPositionTimer) {
+                this.trailingPositionTimer = setTimeout(() => {
+                    this.trailingPositionTimer = null;
+                    this.sendPlayerPosition(...this.trailingPositionArgs);
+                }, 100 - sinceLastUpdate);
+            }
+            return;
         }
         
+        const move = this.movementPredictor.createMove(position, !moving);
+        if (!move) return; // Haven't moved since the last update
+        
         // Include player ID to prevent receiving own updates
         const positionData = {
             playerId: this.playerId,
-            position: position,
+            seq: move.seq,
+            delta: move.delta,
+            rotation: rotation,
+            moving: moving,
             timestamp: Date.now()
         };
         
         this.socket.emit('player_move', positionData);
         this.lastPositionUpdate = Date.now();
-        console.log(`📡 Sent position update for player ${this.playerId}:`, position);
     }
 
     sendPlayerAction(action, data) {
@@ -382,11 +598,72 @@ export class NetworkManager {
     }
 
     // Crafting and trading
-    sendCraftRequest(itemId, materials) {
+    // Timed crafting: start the server's clock, then claim the item once the recipe time is up
+    sendCraftStart(itemId) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('craft_start', {
+                itemId: itemId,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    sendCraftRequest(itemId) {
         if (this.socket && this.isConnected) {
             this.socket.emit('craft_request', {
                 itemId: itemId,
-                materials: materials,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    sendCraftCancel() {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('craft_cancel', { timestamp: Date.now() });
+        }
+    }
+
+    // payment is 'gold' or 'materials'
+    sendItemRepair(uid, payment) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('item_repair', {
+                uid: uid,
+                payment: payment,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    // Wear the inventory instance with this uid - whatever is in its slot comes off
+    sendItemEquip(uid) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('item_equip', {
+                uid: uid,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    sendItemUnequip(slot) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('item_unequip', {
+                slot: slot,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    // Light a fire where we stand with our tinderbox and a piece of wood
+    sendLightFire() {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('light_fire', { timestamp: Date.now() });
+        }
+    }
+
+    sendItemEat(itemId) {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('item_eat', {
+                itemId: itemId,
                 timestamp: Date.now()
             });
         }
@@ -0,0 +1,120 @@
+// Per-remote-player history of server snapshots.
+// Remote players are drawn slightly in the past (interpolationDelay) so there are
+// usually two snapshots to blend between; when packets are late we extrapolate
+// along the last known velocity for a short while, then hold still.
+
+const DEFAULT_OPTIONS = {
+    interpolationDelay: 100, // ms behind the server clock - one send interval
+    maxExtrapolation: 250, // ms we'll guess ahead before freezing
+    maxSnapshots: 30,
+    movingSpeed: 0.5 // units/s below which a player counts as idle
+};
+
+function lerpAngle(from, to, t) {
+    // Take the short way round
+    let difference = (to - from) % (Math.PI * 2);
+    if (difference > Math.PI) difference -= Math.PI * 2;
+    if (difference < -Math.PI) difference += Math.PI * 2;
+    return from + difference * t;
+}
+
+export class SnapshotBuffer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.snapshots = []; // [{ time, x, y, z, rotationY, moving }] sorted by server time
+    }
+
+    // moving=false marks the final update of a walk, so we never extrapolate past it
+    push(time, position, rotationY = null, moving = true) {
+        const last = this.snapshots[this.snapshots.length - 1];
+
+        // Out-of-order or duplicate packets would only make the blend jump backwards
+        if (last && time <= last.time) return;
+
+        this.snapshots.push({
+            time,
+            x: position.x,
+            y: position.y || 0,
+            z: position.z,
+            // No rotation in the packet - face the direction of travel instead
+            rotationY: rotationY ?? (last ? this.headingBetween(last, position, last.rotationY) : 0),
+            moving
+        });
+
+        if (this.snapshots.length > this.options.maxSnapshots) {
+            this.snapshots.shift();
+        }
+    }
+
+    headingBetween(from, to, fallback) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        return Math.hypot(dx, dz) > 0.01 ? Math.atan2(dx, dz) : fallback;
+    }
+
+    // Where the player should be drawn when the server clock reads serverTime.
+    // Returns { x, y, z, rotationY, moving } or null if we have no snapshots yet.
+    sample(serverTime) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return null;
+
+        const renderTime = serverTime - this.options.interpolationDelay;
+        const first = snapshots[0];
+        const last = snapshots[snapshots.length - 1];
+
+        if (snapshots.length === 1 || renderTime <= first.time) {
+            return { ...this.pick(renderTime <= first.time ? first : last), moving: false };
+        }
+
+        // Normal case - blend between the two snapshots around renderTime
+        if (renderTime <= last.time) {
+            let index = snapshots.length - 2;
+            while (index > 0 && snapshots[index].time > renderTime) index--;
+
+            const from = snapshots[index];
+            const to = snapshots[index + 1];
+            const t = (renderTime - from.time) / (to.time - from.time);
+
+            return {
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                z: from.z + (to.z - from.z) * t,
+                rotationY: lerpAngle(from.rotationY, to.rotationY, t),
+                moving: this.speedBetween(from, to) > this.options.movingSpeed
+            };
+        }
+
+        // Packets are late - keep going along the last velocity for a little while
+        const previous = snapshots[snapshots.length - 2];
+        const ahead = Math.min(renderTime - last.time, this.options.maxExtrapolation);
+        const span = last.time - previous.time;
+        const speed = this.speedBetween(previous, last);
+
+        if (!last.moving || span <= 0 || speed <= this.options.movingSpeed) {
+            return { ...this.pick(last), moving: false };
+        }
+
+        const t = ahead / span;
+        return {
+            x: last.x + (last.x - previous.x) * t,
+            y: last.y,
+            z: last.z + (last.z - previous.z) * t,
+            rotationY: last.rotationY,
+            // Once we've run out of extrapolation budget the player stops
+            moving: renderTime - last.time < this.options.maxExtrapolation
+        };
+    }
+
+    speedBetween(from, to) {
+        const seconds = (to.time - from.time) / 1000;
+        return seconds > 0 ? Math.hypot(to.x - from.x, to.z - from.z) / seconds : 0;
+    }
+
+    pick(snapshot) {
+        return { x: snapshot.x, y: snapshot.y, z: snapshot.z, rotationY: snapshot.rotationY };
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+}
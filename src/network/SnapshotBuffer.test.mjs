@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { SnapshotBuffer } from './SnapshotBuffer.js';
+
+// Walking along x at 10 units/s, one snapshot every 100ms from server time 1000
+function createWalk(count = 4) {
+    const buffer = new SnapshotBuffer({ interpolationDelay: 100, maxExtrapolation: 250 });
+    for (let i = 0; i < count; i++) {
+        buffer.push(1000 + i * 100, { x: i, y: 0, z: 0 }, 0);
+    }
+    return buffer;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('players are drawn interpolationDelay behind, blended between the snapshots around that time', () => {
+    const buffer = createWalk();
+
+    const sample = buffer.sample(1250); // Render time 1150 - halfway between x 1 and x 2
+    close(sample.x, 1.5);
+    assert.strictEqual(sample.moving, true);
+    close(buffer.sample(1300).x, 2); // Exactly on a snapshot
+});
+
+test('before the first snapshot the player waits there', () => {
+    const buffer = createWalk();
+    const sample = buffer.sample(1000);
+    assert.strictEqual(sample.x, 0);
+    assert.strictEqual(sample.moving, false);
+});
+
+test('late packets extrapolate along the last velocity for a while, then hold still', () => {
+    const buffer = createWalk();
+
+    close(buffer.sample(1450).x, 3.5); // 50ms past the last snapshot at 10 units/s
+    const held = buffer.sample(2000); // Far past maxExtrapolation
+    close(held.x, 5.5);
+    assert.strictEqual(held.moving, false);
+});
+
+test('a final stopped update is never extrapolated past', () => {
+    const buffer = createWalk(3);
+    buffer.push(1300, { x: 3, y: 0, z: 0 }, 0, false);
+
+    const sample = buffer.sample(1500);
+    assert.strictEqual(sample.x, 3);
+    assert.strictEqual(sample.moving, false);
+});
+
+test('out-of-order snapshots are dropped and rotation turns the short way round', () => {
+    const buffer = new SnapshotBuffer({ interpolationDelay: 0 });
+    buffer.push(1000, { x: 0, z: 0 }, Math.PI - 0.1);
+    buffer.push(1100, { x: 1, z: 0 }, -Math.PI + 0.1);
+    buffer.push(1050, { x: 50, z: 50 }, 0);
+    assert.strictEqual(buffer.snapshots.length, 2);
+
+    // Halfway from just under PI to just over -PI is PI, not 0
+    close(Math.abs(buffer.sample(1050).rotationY), Math.PI);
+});
+
+test('snapshots without rotation face the direction of travel', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(1000, { x: 0, z: 0 });
+    buffer.push(1100, { x: 0, z: 1 });
+    buffer.push(1200, { x: 1, z: 1 });
+    assert.deepStrictEqual(buffer.snapshots.map(snapshot => snapshot.rotationY), [0, 0, Math.PI / 2]);
+});
@@ -0,0 +1,6 @@
+// Where the game server lives - local server in development, Railway in production
+export function getServerUrl() {
+    return window.location.hostname === 'localhost'
+        ? 'http://localhost:3001'
+        : 'https://egypt-mmo-production.up.railway.app';
+}
@@ -1,19 +1,26 @@
+import { RECIPES, STATIONS, getRecipeStations } from './GameContent.js';
+import * as rules from '../../shared/content/rules.mjs';
+
+export const STATION_RANGE = 6; // How close we must stand to a recipe's station - same as server/gameplay.js
+
 export class CraftingSystem {
-    constructor() {
+    constructor(inventorySystem = null, skillsSystem = null) {
+        this.inventorySystem = inventorySystem; // Where materials come from and crafted items go
+        this.skillsSystem = skillsSystem; // Recipe levels, quality and XP
+        this.networkManager = null; // When connected, the server decides every craft
+        this.crafterName = null; // Signed on every non-stackable item we make
+        this.findNearbyStation = null; // (stationType) => station we're standing at, or null - set by GameEngine
         this.recipes = new Map();
+        
+        // Timed crafting - one action runs at a time, the queue says how many more to make
+        this.activeCraft = null; // { itemId, startTime, duration, awaitingServer }
+        this.craftQueue = null; // { itemId, remaining } - remaining is Infinity for "craft all"
+        
+        // UI hooks
+        this.onCraftProgress = null; // (itemId, progress 0-1, remaining)
+        this.onCraftFinished = null; // ({ success, item, reason })
+        this.onCraftingStopped = null; // (reason) - null reason means the queue simply ran out
         this.isInitialized = false; // Add initialization guard
-        this.playerSkills = {
-            smithing: 1,
-            crafting: 1,
-            cooking: 1,
-            alchemy: 1
-        };
-        this.playerExperience = {
-            smithing: 0,
-            crafting: 0,
-            alchemy: 0,
-            woodworking: 0
-        };
         
         // Don't auto-init, wait for explicit init() call
     }
@@ -34,151 +41,11 @@ export class CraftingSystem {
     }
 
     loadRecipes() {
-        // Weapons
-        this.addRecipe('bronze_sword', {
-            name: 'Bronze Sword',
-            type: 'weapon',
-            skill: 'smithing',
-            level: 1,
-            experience: 25,
-            materials: [
-                { id: 'bronze_ingot', quantity: 2 },
-                { id: 'wood', quantity: 1 }
-            ],
-            tools: ['hammer'],
-            time: 5000 // 5 seconds
-        });
-
-        this.addRecipe('iron_sword', {
-            name: 'Iron Sword',
-            type: 'weapon',
-            skill: 'smithing',
-            level: 5,
-            experience: 50,
-            materials: [
-                { id: 'iron_ingot', quantity: 2 },
-                { id: 'wood', quantity: 1 }
-            ],
-            tools: ['hammer'],
-            time: 8000
-        });
-
-        this.addRecipe('steel_sword', {
-            name: 'Steel Sword',
-            type: 'weapon',
-            skill: 'smithing',
-            level: 10,
-            experience: 100,
-            materials: [
-                { id: 'steel_ingot', quantity: 2 },
-                { id: 'wood', quantity: 1 }
-            ],
-            tools: ['hammer'],
-            time: 12000
-        });
-
-        // Armor
-        this.addRecipe('leather_armor', {
-            name: 'Leather Armor',
-            type: 'armor',
-            skill: 'crafting',
-            level: 1,
-            experience: 20,
-            materials: [
-                { id: 'leather', quantity: 3 },
-                { id: 'thread', quantity: 2 }
-            ],
-            tools: ['needle'],
-            time: 4000
-        });
-
-        this.addRecipe('bronze_armor', {
-            name: 'Bronze Armor',
-            type: 'armor',
-            skill: 'smithing',
-            level: 5,
-            experience: 45,
-            materials: [
-                { id: 'bronze_ingot', quantity: 4 },
-                { id: 'leather', quantity: 2 }
-            ],
-            tools: ['hammer'],
-            time: 10000
-        });
-
-        // Tools
-        this.addRecipe('bronze_pickaxe', {
-            name: 'Bronze Pickaxe',
-            type: 'tool',
-            skill: 'smithing',
-            level: 1,
-            experience: 30,
-            materials: [
-                { id: 'bronze_ingot', quantity: 1 },
-                { id: 'wood', quantity: 2 }
-            ],
-            tools: ['hammer'],
-            time: 6000
-        });
-
-        this.addRecipe('iron_pickaxe', {
-            name: 'Iron Pickaxe',
-            type: 'tool',
-            skill: 'smithing',
-            level: 5,
-            experience: 60,
-            materials: [
-                { id: 'iron_ingot', quantity: 1 },
-                { id: 'wood', quantity: 2 }
-            ],
-            tools: ['hammer'],
-            time: 9000
-        });
-
-        // Potions
-        this.addRecipe('health_potion', {
-            name: 'Health Potion',
-            type: 'potion',
-            skill: 'alchemy',
-            level: 1,
-            experience: 15,
-            materials: [
-                { id: 'herbs', quantity: 2 },
-                { id: 'water', quantity: 1 }
-            ],
-            tools: ['mortar'],
-            time: 3000
-        });
-
-        this.addRecipe('strength_potion', {
-            name: 'Strength Potion',
-            type: 'potion',
-            skill: 'alchemy',
-            level: 5,
-            experience: 35,
-            materials: [
-                { id: 'herbs', quantity: 3 },
-                { id: 'water', quantity: 1 },
-                { id: 'crystal', quantity: 1 }
-            ],
-            tools: ['mortar'],
-            time: 6000
-        });
-
-        // Woodworking items
-        this.addRecipe('wooden_shield', {
-            name: 'Wooden Shield',
-            type: 'armor',
-            skill: 'woodworking',
-            level: 1,
-            experience: 25,
-            materials: [
-                { id: 'wood', quantity: 4 },
-                { id: 'leather', quantity: 1 }
-            ],
-            tools: ['chisel'],
-            time: 5000
+        // Definitions live in shared/content/recipes.json so the server crafts by the same rules
+        Object.entries(RECIPES).forEach(([itemId, recipe]) => {
+            this.addRecipe(itemId, recipe);
         });
+        console.log(`📜 Loaded ${this.recipes.size} recipes`);
     }
 
     addRecipe(itemId, recipe) {
@@ -201,203 +68,315 @@ export class CraftingSystem {
         return this.getRecipesBySkill(skill).filter(recipe => recipe.level <= level);
     }
 
-    canCraftItem(itemId, inventory, tools) {
+    canCraftItem(itemId) {
         const recipe = this.getRecipe(itemId);
-        if (!recipe) return false;
+        if (!recipe) {
+            return { canCraft: false, reason: `Unknown recipe ${itemId}` };
+        }
+        
+        if (!this.inventorySystem) {
+            return { canCraft: false, reason: 'No inventory' };
+        }
 
         // Check skill level
-        if (this.playerSkills[recipe.skill] < recipe.level) {
+        if (this.getSkillLevel(recipe.skill) < recipe.level) {
             return { canCraft: false, reason: `Requires ${recipe.skill} level ${recipe.level}` };
         }
 
         // Check materials
         for (const material of recipe.materials) {
-            const available = this.getMaterialQuantity(inventory, material.id);
+            const available = this.getMaterialQuantity(material.id);
             if (available < material.quantity) {
-                return { canCraft: false, reason: `Need ${material.quantity} ${material.id}, have ${available}` };
+                return { canCraft: false, reason: `Need ${material.quantity} ${this.getItemName(material.id)}, have ${available}` };
             }
         }
 
-        // Check tools
+        // Check tools - a broken one doesn't count
         for (const tool of recipe.tools) {
-            if (!this.hasTool(tools, tool)) {
-                return { canCraft: false, reason: `Need ${tool} tool` };
+            if (!this.hasTool(tool)) {
+                const reason = this.inventorySystem.hasItem(tool)
+                    ? `Your ${this.getItemName(tool)} is broken`
+                    : `Need a ${this.getItemName(tool)}`;
+                return { canCraft: false, reason: reason };
             }
         }
 
+        // Smelting and the like happen at a station in the world - cooking at any one of several
+        const stations = getRecipeStations(recipe);
+        if (stations.length > 0 && !stations.some(stationType => this.findNearbyStation?.(stationType))) {
+            return { canCraft: false, reason: `You need to be at the ${stations.map(stationType => STATIONS[stationType].name).join(' or ')}` };
+        }
+
         return { canCraft: true };
     }
 
-    craftItem(itemId, inventory, tools) {
-        const canCraft = this.canCraftItem(itemId, inventory, tools);
+    // Returns { success: true, item }, { success: false, reason } or, when the attempt
+    // failed and used up the materials, { success: false, botched: true, reason }
+    craftItem(itemId) {
+        const canCraft = this.canCraftItem(itemId);
         if (!canCraft.canCraft) {
-            console.log(`Cannot craft ${itemId}: ${canCraft.reason}`);
-            return false;
+            console.log(`❌ Cannot craft ${itemId}: ${canCraft.reason}`);
+            return { success: false, reason: canCraft.reason };
         }
 
         const recipe = this.getRecipe(itemId);
         
         // Consume materials
+        const beforeCrafting = this.inventorySystem.takeSnapshot();
         for (const material of recipe.materials) {
-            this.consumeMaterial(inventory, material.id, material.quantity);
+            this.consumeMaterial(material.id, material.quantity);
+        }
+
+        // The materials we just used may have freed the slot we need - if not, give them back.
+        // A burnt result needs room too, so check both before the roll (same as handleCrafting on the server).
+        const failItem = recipe.successChance?.failItem;
+        if (!this.inventorySystem.canAddItem(itemId) || (failItem && !this.inventorySystem.canAddItem(failItem))) {
+            this.inventorySystem.restoreSnapshot(beforeCrafting);
+            console.log(`❌ Cannot craft ${itemId}: inventory full`);
+            return { success: false, reason: 'Inventory full' };
+        }
+
+        // Some recipes (smelting iron, cooking) can fail - same roll as handleCrafting on the server.
+        // Burnt food is all that's left of a failed cook.
+        if (Math.random() > this.getSuccessChance(recipe)) {
+            console.log(`💨 Failed to make ${recipe.name}`);
+            if (failItem) {
+                this.inventorySystem.addItem(failItem);
+            }
+            const reason = failItem
+                ? `The ${recipe.name} comes out as ${this.getItemName(failItem)}`
+                : `You fail to make the ${recipe.name}`;
+            return { success: false, botched: true, reason, brokenTools: this.wearTools(recipe.tools) };
+        }
+
+        // Create the item - non-stackable results are instances carrying our quality and name
+        const itemData = this.inventorySystem.getItemData(itemId);
+        let craftedItem;
+        if (itemData.stackable) {
+            this.inventorySystem.addItem(itemId);
+            craftedItem = { id: itemId, quantity: 1, name: itemData.name };
+        } else {
+            const instance = this.inventorySystem.createItemInstance(itemId, this.getCraftedProperties(itemId, recipe));
+            this.inventorySystem.addItemInstance(instance);
+            craftedItem = { ...instance, name: itemData.name };
         }
 
-        // Add experience
-        this.addExperience(recipe.skill, recipe.experience);
+        // Every tool the recipe needs takes a little wear
+        const brokenTools = this.wearTools(recipe.tools);
 
-        // Create the item
-        const craftedItem = this.createItem(itemId, recipe);
+        // Offline we grant our own XP - online it arrives with skills_update
+        this.skillsSystem?.addExperience(recipe.skill, recipe.experience);
         
-        console.log(`Successfully crafted ${craftedItem.name}!`);
+        console.log(`⚒️ Successfully crafted ${craftedItem.name}!`);
         console.log(`Gained ${recipe.experience} ${recipe.skill} experience`);
         
-        return craftedItem;
-    }
-
-    createItem(itemId, recipe) {
-        const item = {
-            id: itemId,
-            name: recipe.name,
-            type: recipe.type,
-            skill: recipe.skill,
-            level: recipe.level,
-            quality: this.calculateQuality(recipe.skill),
-            durability: this.calculateDurability(recipe.skill),
-            stats: this.calculateStats(recipe)
-        };
+        return { success: true, item: craftedItem, brokenTools: brokenTools };
+    }
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
+    }
+
+    setCrafterName(name) {
+        this.crafterName = name;
+    }
+
+    isOnline() {
+        return !!(this.networkManager && this.networkManager.isConnected);
+    }
+
+    isCrafting() {
+        return this.activeCraft !== null;
+    }
+
+    // How many times the recipe can be made from what's in the inventory right now
+    getMaxCraftable(itemId) {
+        const recipe = this.getRecipe(itemId);
+        if (!recipe || !this.canCraftItem(itemId).canCraft) return 0;
+        
+        return Math.min(...recipe.materials.map(material =>
+            Math.floor(this.getMaterialQuantity(material.id) / material.quantity)
+        ));
+    }
 
-        return item;
+    // Start a timed craft of count items ('all' = as many as the materials allow).
+    // Returns { success, reason } straight away; progress and results arrive through the hooks.
+    startCrafting(itemId, count = 1) {
+        const canCraft = this.canCraftItem(itemId);
+        if (!canCraft.canCraft) {
+            return { success: false, reason: canCraft.reason };
+        }
+        
+        if (this.isCrafting()) {
+            this.cancelCrafting('Started something else');
+        }
+        
+        this.craftQueue = {
+            itemId: itemId,
+            remaining: count === 'all' ? Infinity : Math.max(1, Math.floor(count) || 1)
+        };
+        
+        console.log(`⏳ Crafting ${itemId} x${count}`);
+        this.beginNextCraft();
+        return { success: true };
     }
 
-    calculateQuality(skill) {
-        const skillLevel = this.playerSkills[skill];
-        const baseQuality = 1.0;
-        const qualityBonus = (skillLevel - 1) * 0.1;
-        return Math.min(baseQuality + qualityBonus, 2.0); // Max 2.0 quality
+    beginNextCraft() {
+        const queue = this.craftQueue;
+        if (!queue || queue.remaining <= 0) {
+            this.stopCrafting(null);
+            return;
+        }
+        
+        const canCraft = this.canCraftItem(queue.itemId);
+        if (!canCraft.canCraft) {
+            // "Craft all" ends quietly when the materials run out
+            this.stopCrafting(queue.remaining === Infinity ? null : canCraft.reason);
+            return;
+        }
+        
+        this.activeCraft = {
+            itemId: queue.itemId,
+            startTime: Date.now(),
+            duration: this.getRecipe(queue.itemId).time,
+            awaitingServer: false
+        };
+        
+        // The server starts its own clock and won't hand the item over before it has run out
+        if (this.isOnline()) {
+            this.networkManager.sendCraftStart(queue.itemId);
+        }
     }
 
-    calculateDurability(skill) {
-        const skillLevel = this.playerSkills[skill];
-        const baseDurability = 100;
-        const durabilityBonus = (skillLevel - 1) * 10;
-        return baseDurability + durabilityBonus;
+    update(deltaTime) {
+        const action = this.activeCraft;
+        if (!action || action.awaitingServer) return;
+        
+        const progress = action.duration > 0 ? Math.min(1, (Date.now() - action.startTime) / action.duration) : 1;
+        if (this.onCraftProgress) {
+            this.onCraftProgress(action.itemId, progress, this.craftQueue?.remaining ?? 0);
+        }
+        
+        if (progress >= 1) {
+            this.completeCraft();
+        }
     }
 
-    calculateStats(recipe) {
-        const stats = {};
-        const quality = this.calculateQuality(recipe.skill);
+    completeCraft() {
+        const action = this.activeCraft;
         
-        switch (recipe.type) {
-            case 'weapon':
-                stats.damage = Math.floor(recipe.level * 5 * quality);
-                stats.speed = Math.max(1.0 - (recipe.level * 0.05), 0.5);
-                break;
-            case 'armor':
-                stats.defense = Math.floor(recipe.level * 3 * quality);
-                stats.weight = recipe.level * 0.5;
-                break;
-            case 'tool':
-                stats.efficiency = Math.floor(recipe.level * 2 * quality);
-                stats.durability = this.calculateDurability(recipe.skill);
-                break;
-            case 'potion':
-                stats.power = Math.floor(recipe.level * 2 * quality);
-                stats.duration = recipe.level * 30; // seconds
-                break;
+        if (this.isOnline()) {
+            // Wait for craft_result - see handleServerCraftResult
+            action.awaitingServer = true;
+            this.networkManager.sendCraftRequest(action.itemId);
+            return;
         }
         
-        return stats;
+        this.finishCraft(this.craftItem(action.itemId));
     }
 
-    addExperience(skill, amount) {
-        this.playerExperience[skill] += amount;
+    // craft_result from the server - either the answer to our craft_request or a rejected craft_start
+    handleServerCraftResult(data) {
+        // The server's inventory is the real one - take it even if we cancelled in the meantime
+        if (Array.isArray(data.inventory)) {
+            this.inventorySystem.setFromServer(data.inventory);
+        }
         
-        // Check for level up
-        const currentLevel = this.playerSkills[skill];
-        const experienceNeeded = this.getExperienceForLevel(currentLevel + 1);
+        if (!this.activeCraft || data.itemId !== this.activeCraft.itemId) return;
         
-        if (this.playerExperience[skill] >= experienceNeeded) {
-            this.levelUpSkill(skill);
+        if (!data.success) {
+            this.finishCraft({ success: false, botched: data.botched === true, reason: data.error, brokenTools: data.brokenTools || [] });
+            return;
         }
+        
+        // The server sends the instance it made for non-stackable items (XP comes separately in skills_update)
+        const recipe = this.getRecipe(data.itemId);
+        this.finishCraft({
+            success: true,
+            item: { ...(data.item || { id: data.itemId, quantity: 1 }), name: recipe.name },
+            brokenTools: data.brokenTools || []
+        });
     }
 
-    getExperienceForLevel(level) {
-        // Exponential experience curve
-        return Math.floor(100 * Math.pow(1.5, level - 1));
+    // The server stopped our craft (e.g. we walked away)
+    handleServerCraftCancelled(data) {
+        if (!this.activeCraft || data.itemId !== this.activeCraft.itemId) return;
+        this.stopCrafting(data.reason);
     }
 
-    levelUpSkill(skill) {
-        this.playerSkills[skill]++;
-        console.log(`🎉 ${skill} leveled up to ${this.playerSkills[skill]}!`);
+    finishCraft(result) {
+        this.activeCraft = null;
         
-        // You could add level up rewards here
-        return this.playerSkills[skill];
-    }
-
-    // Helper methods
-    getMaterialQuantity(inventory, materialId) {
-        // This would check the actual inventory
-        // For now, return a mock value
-        const mockInventory = {
-            'bronze_ingot': 5,
-            'iron_ingot': 3,
-            'steel_ingot': 1,
-            'wood': 10,
-            'leather': 8,
-            'thread': 15,
-            'herbs': 20,
-            'water': 50,
-            'crystal': 2
-        };
+        if (this.onCraftFinished) {
+            this.onCraftFinished(result);
+        }
+        
+        // A botched attempt still counts towards the queue - anything else that failed ends it
+        if (!result.success && !result.botched) {
+            this.stopCrafting(result.reason);
+            return;
+        }
         
-        return mockInventory[materialId] || 0;
+        this.craftQueue.remaining--;
+        this.beginNextCraft();
     }
 
-    consumeMaterial(inventory, materialId, quantity) {
-        // This would actually consume from inventory
-        console.log(`Consumed ${quantity} ${materialId}`);
+    // Player moved, closed the panel or pressed cancel
+    cancelCrafting(reason = 'Cancelled') {
+        if (!this.isCrafting() && !this.craftQueue) return;
+        
+        if (this.activeCraft && this.isOnline()) {
+            this.networkManager.sendCraftCancel();
+        }
+        
+        console.log(`🛑 Crafting cancelled: ${reason}`);
+        this.stopCrafting(reason);
     }
 
-    hasTool(tools, toolId) {
-        // This would check if player has the required tool
-        const mockTools = ['hammer', 'needle', 'mortar', 'chisel'];
-        return mockTools.includes(toolId);
+    stopCrafting(reason) {
+        this.activeCraft = null;
+        this.craftQueue = null;
+        
+        if (this.onCraftingStopped) {
+            this.onCraftingStopped(reason);
+        }
     }
 
-    // Getters
-    getPlayerSkills() {
-        return { ...this.playerSkills };
+    // What our skill puts into a crafted item - the server uses the same formula (shared/content/rules.mjs)
+    getCraftedProperties(itemId, recipe) {
+        return rules.getCraftedProperties(this.inventorySystem.getItemData(itemId), this.getSkillLevel(recipe.skill), this.crafterName);
     }
 
-    getPlayerExperience() {
-        return { ...this.playerExperience };
+    // Chance the craft comes out at all - shared with the server too
+    getSuccessChance(recipe) {
+        return rules.getCraftSuccessChance(recipe, this.getSkillLevel(recipe.skill));
     }
 
-    getSkillLevel(skill) {
-        return this.playerSkills[skill] || 0;
+    // Helper methods - everything goes through the player's real inventory
+    getMaterialQuantity(materialId) {
+        return this.inventorySystem ? this.inventorySystem.getItemQuantity(materialId) : 0;
     }
 
-    getSkillExperience(skill) {
-        return this.playerExperience[skill] || 0;
+    consumeMaterial(materialId, quantity) {
+        return this.inventorySystem.removeItemById(materialId, quantity);
     }
 
-    // Utility methods
-    getNextLevelProgress(skill) {
-        const currentLevel = this.playerSkills[skill];
-        const currentExp = this.playerExperience[skill];
-        const expForCurrent = this.getExperienceForLevel(currentLevel);
-        const expForNext = this.getExperienceForLevel(currentLevel + 1);
-        
-        const progress = (currentExp - expForCurrent) / (expForNext - expForCurrent);
-        return Math.max(0, Math.min(1, progress));
+    hasTool(toolId) {
+        return this.inventorySystem ? this.inventorySystem.hasUsableItem(toolId) : false;
     }
 
-    getSkillInfo(skill) {
-        return {
-            level: this.playerSkills[skill],
-            experience: this.playerExperience[skill],
-            nextLevelExp: this.getExperienceForLevel(this.playerSkills[skill] + 1),
-            progress: this.getNextLevelProgress(skill)
-        };
+    // Wears one working copy of each tool and returns the names of any that broke
+    wearTools(toolIds) {
+        return toolIds
+            .filter(toolId => this.inventorySystem.wearItem(this.inventorySystem.findUsableItem(toolId), rules.WEAR_PER_USE.tool))
+            .map(toolId => this.getItemName(toolId));
+    }
+
+    getItemName(itemId) {
+        return this.inventorySystem?.itemDatabase.get(itemId)?.name || itemId;
+    }
+
+    getSkillLevel(skill) {
+        return this.skillsSystem ? this.skillsSystem.getLevel(skill) : 1;
     }
 }
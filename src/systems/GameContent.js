@@ -0,0 +1,34 @@
+// Item, recipe, skill and world definitions, shared with the server (shared/content/*.json).
+// Validated once when this module loads - broken content stops the game at startup
+// instead of surfacing as a missing item halfway through a play session.
+import itemsFile from '../../shared/content/items.json';
+import recipesFile from '../../shared/content/recipes.json';
+import skillsFile from '../../shared/content/skills.json';
+import worldFile from '../../shared/content/world.json';
+import { assertValidContent } from '../../shared/content/validate.mjs';
+
+assertValidContent(itemsFile, recipesFile, skillsFile, worldFile);
+
+export const ITEMS = itemsFile.items;
+export const RECIPES = recipesFile.recipes;
+export const STATIONS = recipesFile.stations || {};
+export const STARTING_INVENTORY = itemsFile.startingInventory || [];
+export const SKILLS = skillsFile.skills;
+export const MAX_SKILL_LEVEL = skillsFile.maxLevel;
+export const QUALITY_TIERS = itemsFile.qualityTiers || [];
+export const WORLD = worldFile; // Landmark, resource node and station placements, and the cells each one blocks
+
+// Name of the best tier the quality reaches - same lookup as server/content.js
+export function getQualityTier(quality) {
+    let tier = QUALITY_TIERS[0];
+    QUALITY_TIERS.forEach(candidate => {
+        if (quality >= candidate.min) tier = candidate;
+    });
+    return tier?.name || 'Standard';
+}
+
+// A recipe names one station or a list of them (a fire or a range) - same as getRecipeStations in server/gameplay.js
+export function getRecipeStations(recipe) {
+    if (!recipe.station) return [];
+    return Array.isArray(recipe.station) ? recipe.station : [recipe.station];
+}
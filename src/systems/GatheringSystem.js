@@ -0,0 +1,221 @@
+import * as rules from '../../shared/content/rules.mjs';
+
+// Same numbers as server/gameplay.js
+export const GATHER_RANGE = 8; // How close we must stand to a resource node
+export const GATHER_INTERVAL = 2400; // ms per gathering attempt
+
+// Repeating gather action on a resource node (WorldManager.createResourceNodes): one attempt
+// every GATHER_INTERVAL until the inventory fills, a requirement fails or the player walks off.
+// Online the server rolls every attempt; offline the same rules run locally.
+export class GatheringSystem {
+    constructor(inventorySystem = null, skillsSystem = null, worldManager = null) {
+        this.inventorySystem = inventorySystem; // Tools come from here and gathered items go here
+        this.skillsSystem = skillsSystem; // Node levels, success chance and XP
+        this.worldManager = worldManager; // Offline, node charges are counted down there
+        this.networkManager = null; // When connected, the server decides every attempt
+
+        this.activeGather = null; // { resource, startTime, awaitingServer } - resource is the node's userData
+
+        // UI hooks
+        this.onGatherResult = null; // ({ success, resource, item, quantity, experience, brokenTools, reason })
+        this.onGatheringStopped = null; // (reason) - null reason means it just ended
+        this.isInitialized = false;
+    }
+
+    async init() {
+        if (this.isInitialized) {
+            console.warn('⚠️ GatheringSystem already initialized, skipping...');
+            return;
+        }
+
+        console.log('⛏️ Initializing Gathering System...');
+        this.isInitialized = true;
+        console.log('✅ Gathering System initialized');
+    }
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
+    }
+
+    isOnline() {
+        return !!(this.networkManager && this.networkManager.isConnected);
+    }
+
+    isGathering() {
+        return this.activeGather !== null;
+    }
+
+    // Returns null if we can gather from the resource right now, otherwise why not
+    getGatheringError(resource) {
+        if (!this.inventorySystem) return 'No inventory';
+
+        if (resource.available === false) {
+            return `The ${resource.name} is depleted`;
+        }
+
+        if (this.getSkillLevel(resource.resourceType) < resource.level) {
+            return `Requires ${resource.resourceType} level ${resource.level}`;
+        }
+
+        if (resource.tools && !this.findBestTool(resource.tools)) {
+            const broken = resource.tools.find(toolId => this.inventorySystem.hasItem(toolId));
+            return broken
+                ? `Your ${this.getItemName(broken)} is broken`
+                : `Requires ${resource.tools.map(toolId => this.getItemName(toolId)).join(' or ')}`;
+        }
+
+        if (!this.inventorySystem.canAddItem(resource.item)) {
+            return 'Inventory full';
+        }
+
+        return null;
+    }
+
+    // Start gathering from a node we're already standing next to.
+    // Returns { success, reason } straight away; results arrive through the hooks.
+    startGathering(resource) {
+        const error = this.getGatheringError(resource);
+        if (error) {
+            return { success: false, reason: error };
+        }
+
+        if (this.isGathering()) {
+            this.cancelGathering(null);
+        }
+
+        console.log(`⛏️ Gathering from ${resource.name}`);
+        this.activeGather = { resource, startTime: Date.now(), awaitingServer: false };
+        return { success: true };
+    }
+
+    update(deltaTime) {
+        const action = this.activeGather;
+        if (!action || action.awaitingServer) return;
+
+        if (Date.now() - action.startTime >= GATHER_INTERVAL) {
+            this.attemptGather();
+        }
+    }
+
+    attemptGather() {
+        const action = this.activeGather;
+
+        if (this.isOnline()) {
+            // Wait for gathering_result - see handleServerGatheringResult
+            action.awaitingServer = true;
+            this.networkManager.sendResourceGather(action.resource.resourceId);
+            return;
+        }
+
+        this.finishAttempt(this.gatherOnce(action.resource));
+    }
+
+    // One offline attempt - same checks and roll as calculateGatheringResult in server/gameplay.js
+    gatherOnce(resource) {
+        const error = this.getGatheringError(resource);
+        if (error) {
+            return { success: false, reason: error };
+        }
+
+        // The tool wears on every swing, hit or miss
+        const tool = resource.tools ? this.findBestTool(resource.tools) : null;
+        const brokenTools = tool && this.inventorySystem.wearItem(tool, rules.WEAR_PER_USE.tool) ? [this.getItemName(tool.id)] : [];
+
+        if (Math.random() > this.getSuccessChance(resource, tool)) {
+            return { success: false, missed: true, reason: `You fail to gather from the ${resource.name}`, brokenTools };
+        }
+
+        this.inventorySystem.addItem(resource.item);
+        this.skillsSystem?.addExperience(resource.resourceType, resource.experience);
+        this.worldManager?.useResourceCharge(resource.resourceId);
+        return { success: true, item: resource.item, quantity: 1, experience: resource.experience, brokenTools };
+    }
+
+    // gathering_result from the server - the answer to our resource_gather
+    handleServerGatheringResult(data) {
+        // The server's inventory is the real one - take it even if we stopped in the meantime
+        if (Array.isArray(data.inventory)) {
+            this.inventorySystem.setFromServer(data.inventory);
+        }
+
+        const action = this.activeGather;
+        if (!action || !action.awaitingServer || data.resourceId !== action.resource.resourceId) return;
+
+        // XP comes separately in skills_update
+        const gathered = data.resources?.[0];
+        this.finishAttempt(data.success
+            ? { success: true, item: gathered?.id, quantity: gathered?.quantity || 1, experience: data.experience, brokenTools: data.brokenTools || [] }
+            : { success: false, missed: data.missed === true, reason: data.error, brokenTools: data.brokenTools || [] });
+    }
+
+    // A miss just swings again; anything else that failed ends the action
+    finishAttempt(result) {
+        const action = this.activeGather;
+
+        if (this.onGatherResult) {
+            this.onGatherResult({ ...result, resource: action.resource });
+        }
+
+        if (!result.success && !result.missed) {
+            this.stopGathering(result.reason);
+            return;
+        }
+
+        // Stop before the next swing rather than after it if there's no room for another item
+        const error = this.getGatheringError(action.resource);
+        if (error) {
+            this.stopGathering(error);
+            return;
+        }
+
+        action.startTime = Date.now();
+        action.awaitingServer = false;
+    }
+
+    // Someone else took the last charge. If our own attempt is still in flight its result stops us instead,
+    // so the item we may have just won still gets announced.
+    handleResourceDepleted(resourceId) {
+        const action = this.activeGather;
+        if (!action || action.awaitingServer || action.resource.resourceId !== resourceId) return;
+        this.stopGathering(`The ${action.resource.name} is depleted`);
+    }
+
+    // Player moved or clicked something else
+    cancelGathering(reason = 'Cancelled') {
+        if (!this.isGathering()) return;
+
+        console.log(`🛑 Gathering cancelled${reason ? `: ${reason}` : ''}`);
+        this.stopGathering(reason);
+    }
+
+    stopGathering(reason) {
+        this.activeGather = null;
+
+        if (this.onGatheringStopped) {
+            this.onGatheringStopped(reason);
+        }
+    }
+
+    // The working tool out of toolIds with the highest efficiency (crafted quality counts) -
+    // the server picks the same one (shared/content/rules.mjs)
+    findBestTool(toolIds) {
+        return rules.findBestTool(this.inventorySystem.getInventory(), toolIds, {
+            getItem: itemId => this.inventorySystem.getItemData(itemId),
+            isBroken: item => this.inventorySystem.isBroken(item)
+        });
+    }
+
+    // Every level above the requirement adds 2%, every point of tool efficiency above 1 adds 3%, capped at 95%
+    getSuccessChance(resource, tool) {
+        const efficiency = tool ? rules.getToolEfficiency(tool, this.inventorySystem.getItemData(tool.id)) : 1;
+        return rules.getGatherChance(resource, this.getSkillLevel(resource.resourceType), efficiency);
+    }
+
+    getItemName(itemId) {
+        return this.inventorySystem?.itemDatabase.get(itemId)?.name || itemId;
+    }
+
+    getSkillLevel(skill) {
+        return this.skillsSystem ? this.skillsSystem.getLevel(skill) : 1;
+    }
+}
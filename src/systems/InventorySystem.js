@@ -1,12 +1,9 @@
+import { v4 as uuidv4 } from 'uuid';
+import { ITEMS, RECIPES, STARTING_INVENTORY, getQualityTier } from './GameContent.js';
+import * as rules from '../../shared/content/rules.mjs';
+
 export class InventorySystem {
-    constructor() {
-        this.inventory = {
-            slots: [],
-            gold: 100,
-            level: 1,
-            experience: 0
-        };
-        
+    constructor(skillsSystem = null) {
         this.equipment = {
             head: null,
             chest: null,
@@ -17,9 +14,12 @@ export class InventorySystem {
             accessory: null
         };
         
+        this.gold = 100; // The server's figure replaces this once we join
         this.itemDatabase = new Map();
         this.maxSlots = 64; // Add missing maxSlots property
         this.slots = new Array(this.maxSlots).fill(null); // Initialize slots array
+        this.networkManager = null; // When connected, equipping is repeated on the server, which has the final say
+        this.skillsSystem = skillsSystem; // Levels that item requirements are checked against
         this.isInitialized = false; // Add initialization guard
     }
 
@@ -46,193 +46,9 @@ export class InventorySystem {
     loadItemDatabase() {
         console.log('📚 Starting to load item database...');
         
-        // Materials
-        this.addItemToDatabase('bronze_ingot', {
-            name: 'Bronze Ingot',
-            type: 'material',
-            description: 'A refined bronze ingot for crafting',
-            stackable: true,
-            maxStack: 100,
-            value: 5,
-            rarity: 'common'
-        });
-        console.log('📚 Added bronze_ingot to database');
-
-        this.addItemToDatabase('iron_ingot', {
-            name: 'Iron Ingot',
-            type: 'material',
-            description: 'A refined iron ingot for crafting',
-            stackable: true,
-            maxStack: 100,
-            value: 10,
-            rarity: 'common'
-        });
-        console.log('📚 Added iron_ingot to database');
-
-        this.addItemToDatabase('steel_ingot', {
-            name: 'Steel Ingot',
-            type: 'material',
-            description: 'A refined steel ingot for crafting',
-            stackable: true,
-            maxStack: 100,
-            value: 25,
-            rarity: 'uncommon'
-        });
-        console.log('📚 Added steel_ingot to database');
-
-        this.addItemToDatabase('wood', {
-            name: 'Wood',
-            type: 'material',
-            description: 'Basic wood for crafting',
-            stackable: true,
-            maxStack: 100,
-            value: 1,
-            rarity: 'common'
-        });
-        console.log('📚 Added wood to database');
-
-        this.addItemToDatabase('leather', {
-            name: 'Leather',
-            type: 'material',
-            description: 'Tanned leather for crafting',
-            stackable: true,
-            maxStack: 100,
-            value: 3,
-            rarity: 'common'
-        });
-        console.log('📚 Added leather to database');
-
-        this.addItemToDatabase('thread', {
-            name: 'Thread',
-            type: 'material',
-            description: 'Strong thread for sewing',
-            stackable: true,
-            maxStack: 100,
-            value: 1,
-            rarity: 'common'
-        });
-        console.log('📚 Added thread to database');
-
-        this.addItemToDatabase('herbs', {
-            name: 'Herbs',
-            type: 'material',
-            description: 'Medicinal herbs for alchemy',
-            stackable: true,
-            maxStack: 100,
-            value: 2,
-            rarity: 'common'
-        });
-        console.log('📚 Added herbs to database');
-
-        this.addItemToDatabase('water', {
-            name: 'Water',
-            type: 'material',
-            description: 'Pure water for alchemy',
-            stackable: true,
-            maxStack: 100,
-            value: 1,
-            rarity: 'common'
-        });
-        console.log('📚 Added water to database');
-
-        this.addItemToDatabase('crystal', {
-            name: 'Crystal',
-            type: 'material',
-            description: 'Magical crystal for alchemy',
-            stackable: true,
-            maxStack: 50,
-            value: 15,
-            rarity: 'uncommon'
-        });
-        console.log('📚 Added crystal to database');
-
-        // Weapons
-        this.addItemToDatabase('bronze_sword', {
-            name: 'Bronze Sword',
-            type: 'weapon',
-            description: 'A basic bronze sword',
-            stackable: false,
-            value: 50,
-            rarity: 'common',
-            stats: { damage: 5, speed: 1.0 },
-            requirements: { level: 1, strength: 5 }
-        });
-
-        this.addItemToDatabase('iron_sword', {
-            name: 'Iron Sword',
-            type: 'weapon',
-            description: 'A sturdy iron sword',
-            stackable: false,
-            value: 120,
-            rarity: 'uncommon',
-            stats: { damage: 8, speed: 0.9 },
-            requirements: { level: 5, strength: 8 }
-        });
-
-        // Armor
-        this.addItemToDatabase('leather_armor', {
-            name: 'Leather Armor',
-            type: 'armor',
-            description: 'Basic leather protection',
-            stackable: false,
-            value: 80,
-            rarity: 'common',
-            stats: { defense: 3, weight: 0.5 },
-            requirements: { level: 1, agility: 3 }
-        });
-
-        // Tools
-        this.addItemToDatabase('hammer', {
-            name: 'Hammer',
-            type: 'tool',
-            description: 'Basic crafting hammer',
-            stackable: false,
-            value: 20,
-            rarity: 'common',
-            stats: { efficiency: 1, durability: 100 }
-        });
-
-        this.addItemToDatabase('needle', {
-            name: 'Needle',
-            type: 'tool',
-            description: 'Sewing needle for crafting',
-            stackable: false,
-            value: 5,
-            rarity: 'common',
-            stats: { efficiency: 1, durability: 50 }
-        });
-
-        this.addItemToDatabase('mortar', {
-            name: 'Mortar',
-            type: 'tool',
-            description: 'Mortar for alchemy',
-            stackable: false,
-            value: 15,
-            rarity: 'common',
-            stats: { efficiency: 1, durability: 100 }
-        });
-
-        this.addItemToDatabase('chisel', {
-            name: 'Chisel',
-            type: 'tool',
-            description: 'Woodworking chisel',
-            stackable: false,
-            value: 12,
-            rarity: 'common',
-            stats: { efficiency: 1, durability: 80 }
-        });
-
-        // Light sources
-        this.addItemToDatabase('torch', {
-            name: 'Torch',
-            type: 'light',
-            description: 'A wooden torch that provides light in darkness',
-            stackable: false,
-            value: 15,
-            rarity: 'common',
-            stats: { lightRadius: 15, lightIntensity: 1.5, durability: 100 },
-            requirements: { level: 1 },
-            equipmentSlot: 'offhand'
+        // Definitions live in shared/content/items.json so the server sees the same items
+        Object.entries(ITEMS).forEach(([itemId, itemData]) => {
+            this.addItemToDatabase(itemId, itemData);
         });
     }
 
@@ -248,47 +64,18 @@ export class InventorySystem {
     addStartingItems() {
         console.log('🎒 Adding starting items to inventory...');
         
-        // Add some basic materials to get started
-        console.log('📦 Adding bronze_ingot x5...');
-        this.addItem('bronze_ingot', 5);
-        
-        console.log('📦 Adding wood x10...');
-        this.addItem('wood', 10);
-        
-        console.log('📦 Adding leather x3...');
-        this.addItem('leather', 3);
-        
-        console.log('📦 Adding thread x5...');
-        this.addItem('thread', 5);
-        
-        console.log('📦 Adding herbs x8...');
-        this.addItem('herbs', 8);
-        
-        console.log('📦 Adding water x20...');
-        this.addItem('water', 20);
-        
-        // Add basic tools
-        console.log('📦 Adding hammer...');
-        this.addItem('hammer');
-        
-        console.log('📦 Adding needle...');
-        this.addItem('needle');
-        
-        console.log('📦 Adding mortar...');
-        this.addItem('mortar');
-        
-        console.log('📦 Adding chisel...');
-        this.addItem('chisel');
-        
-        // Add torch for lighting
-        console.log('📦 Adding torch...');
-        this.addItem('torch');
+        // Same kit the server gives new characters (shared/content/items.json)
+        STARTING_INVENTORY.forEach(entry => {
+            console.log(`📦 Adding ${entry.id} x${entry.quantity}...`);
+            this.addItem(entry.id, entry.quantity);
+        });
         
         console.log('🎒 Starting items added. Current inventory:', this.getInventory());
     }
 
     // Core inventory methods
-    addItem(itemId, quantity = 1) {
+    // properties only apply to non-stackable items - see createItemInstance
+    addItem(itemId, quantity = 1, properties = {}) {
         console.log(`🎒 Adding item: ${itemId} x${quantity}`);
         
         const itemData = this.itemDatabase.get(itemId);
@@ -301,7 +88,10 @@ export class InventorySystem {
         if (itemData.stackable) {
             success = this.addStackableItem(itemId, quantity);
         } else {
-            success = this.addNonStackableItem(itemId);
+            success = true;
+            for (let i = 0; i < quantity && success; i++) {
+                success = this.addNonStackableItem(itemId, properties);
+            }
         }
         
         if (success) {
@@ -359,25 +149,118 @@ export class InventorySystem {
         return true;
     }
 
-    addNonStackableItem(itemId) {
-        const emptySlot = this.findEmptySlot();
-        if (emptySlot === -1) {
-            console.warn('Inventory full!');
-            return false;
-        }
+    addNonStackableItem(itemId, properties = {}) {
+        return this.addItemInstance(this.createItemInstance(itemId, properties));
+    }
 
+    // Non-stackable items are instances - each has its own uid and keeps its quality, stats,
+    // durability and crafter wherever it goes. Same shape as createItemInstance in server/gameplay.js
+    createItemInstance(itemId, properties = {}) {
         const itemData = this.itemDatabase.get(itemId);
-        this.slots[emptySlot] = {
+        const { durability: baseDurability = rules.DEFAULT_DURABILITY, ...baseStats } = itemData.stats || {};
+        const quality = properties.quality ?? 1.0;
+        const maxDurability = properties.maxDurability ?? baseDurability;
+        
+        return {
+            uid: uuidv4(),
             id: itemId,
             quantity: 1,
-            quality: 1.0,
-            durability: itemData.stats?.durability || 100
+            quality: quality,
+            qualityTier: getQualityTier(quality),
+            durability: properties.durability ?? maxDurability,
+            maxDurability: maxDurability,
+            stats: properties.stats || baseStats,
+            crafterName: properties.crafterName || null,
+            createdAt: properties.createdAt || Date.now()
         };
+    }
+
+    // Put an existing instance into the first free slot as-is (crafting results, unequipping)
+    addItemInstance(instance) {
+        const emptySlot = this.findEmptySlot();
+        if (emptySlot === -1) {
+            console.warn('Inventory full!');
+            return false;
+        }
 
+        this.slots[emptySlot] = instance;
         this.updateInventoryUI();
         return true;
     }
 
+    findInstanceSlot(uid) {
+        return this.slots.findIndex(slot => slot && slot.uid === uid);
+    }
+
+    // Bag or equipment - wherever the instance is right now
+    findInstance(uid) {
+        return this.slots.find(slot => slot && slot.uid === uid) ||
+            Object.values(this.equipment).find(item => item && item.uid === uid) ||
+            null;
+    }
+
+    // Durability - broken items stay in the bag but stop working until repaired
+    isBroken(item) {
+        return !!item.uid && item.durability <= 0;
+    }
+
+    // First copy of the item that still works, or null
+    findUsableItem(itemId) {
+        return this.slots.find(slot => slot && slot.id === itemId && !this.isBroken(slot)) || null;
+    }
+
+    hasUsableItem(itemId) {
+        return this.findUsableItem(itemId) !== null;
+    }
+
+    // Takes durability off an instance. Returns true if this use broke it.
+    wearItem(item, amount) {
+        if (!item || !item.uid || this.isBroken(item)) return false;
+        item.durability = Math.max(0, item.durability - amount);
+        this.updateInventoryUI();
+        return item.durability === 0;
+    }
+
+    // null while in good shape, then 'worn', 'damaged' and 'broken' - drives the inventory icons
+    getDurabilityState(item) {
+        if (!item || !item.uid || !item.maxDurability) return null;
+        
+        const ratio = item.durability / item.maxDurability;
+        if (ratio <= 0) return 'broken';
+        if (ratio < 0.2) return 'damaged';
+        if (ratio < 0.5) return 'worn';
+        return null;
+    }
+
+    // Gold and (if the item has a recipe) materials for a full repair - either one pays for it.
+    // The server charges the same (shared/content/rules.mjs)
+    getRepairCost(item) {
+        return rules.getRepairCost(item, this.itemDatabase.get(item.id), RECIPES[item.id]);
+    }
+
+    // Offline repair - being at a repair station is checked by the caller.
+    // payment is 'gold' or 'materials'. Returns { success, reason }.
+    repairItem(uid, payment) {
+        const item = this.findInstance(uid);
+        if (!item) return { success: false, reason: 'Item not found' };
+        if (item.durability >= item.maxDurability) return { success: false, reason: 'Nothing to repair' };
+        
+        const cost = this.getRepairCost(item);
+        if (payment === 'materials') {
+            if (!cost.materials) return { success: false, reason: 'This item can only be repaired for gold' };
+            if (!cost.materials.every(material => this.hasItem(material.id, material.quantity))) {
+                return { success: false, reason: 'Insufficient materials' };
+            }
+            cost.materials.forEach(material => this.removeItemById(material.id, material.quantity));
+        } else if (!this.removeGold(cost.gold)) {
+            return { success: false, reason: `Requires ${cost.gold} gold` };
+        }
+        
+        item.durability = item.maxDurability;
+        this.updateInventoryUI();
+        return { success: true };
+    }
+
     findEmptySlot() {
         for (let i = 0; i < this.maxSlots; i++) {
             if (!this.slots[i]) {
@@ -405,6 +288,105 @@ export class InventorySystem {
         return true;
     }
 
+    // What the bag looks like right now, so taking materials out can be undone
+    takeSnapshot() {
+        return this.slots.map(slot => slot && { slot, quantity: slot.quantity });
+    }
+
+    // Puts back the very same items in the same slots - instances keep their uid and durability
+    restoreSnapshot(snapshot) {
+        this.slots = snapshot.map(saved => {
+            if (!saved) return null;
+            saved.slot.quantity = saved.quantity;
+            return saved.slot;
+        });
+        this.updateInventoryUI();
+    }
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
+    }
+
+    isOnline() {
+        return !!(this.networkManager && this.networkManager.isConnected);
+    }
+
+    // Replace the bag with the server's copy - stacks are { id, quantity }, everything else is an instance.
+    // An inventory sent before the server saw our last equip can still list what we're wearing,
+    // so worn items stay out of the bag (but pick up the server's durability).
+    setFromServer(inventory) {
+        const equipped = new Map(Object.values(this.equipment).filter(Boolean).map(item => [item.uid, item]));
+        
+        this.slots = new Array(this.maxSlots).fill(null);
+        let slotIndex = 0;
+        inventory.forEach(entry => {
+            if (entry.uid && equipped.has(entry.uid)) {
+                equipped.get(entry.uid).durability = entry.durability;
+                return;
+            }
+            
+            const itemData = this.itemDatabase.get(entry.id);
+            if (!itemData || slotIndex >= this.maxSlots) return;
+            
+            this.slots[slotIndex++] = entry.uid ? { ...entry, stats: { ...entry.stats } } : {
+                id: entry.id,
+                quantity: entry.quantity,
+                quality: 1.0,
+                durability: itemData.stats?.durability || 100
+            };
+        });
+        
+        console.log(`🎒 Inventory synced from server (${slotIndex} slots)`);
+        this.updateInventoryUI();
+    }
+
+    // Replace what we're wearing with the server's copy (player_joined, equip_result)
+    setEquipmentFromServer(equipment = {}) {
+        Object.keys(this.equipment).forEach(slot => {
+            const item = equipment[slot];
+            this.equipment[slot] = item ? { ...item, stats: { ...item.stats } } : null;
+        });
+        this.updateInventoryUI();
+    }
+
+    // Take quantity of an item out of the inventory, across as many stacks as it takes
+    removeItemById(itemId, quantity = 1) {
+        if (!this.hasItem(itemId, quantity)) return false;
+        
+        let remaining = quantity;
+        for (let i = 0; i < this.maxSlots && remaining > 0; i++) {
+            const slot = this.slots[i];
+            if (!slot || slot.id !== itemId) continue;
+            
+            const taken = Math.min(slot.quantity, remaining);
+            if (slot.quantity <= taken) {
+                this.slots[i] = null;
+            } else {
+                slot.quantity -= taken;
+            }
+            remaining -= taken;
+        }
+        
+        this.updateInventoryUI();
+        return true;
+    }
+
+    // Whether addItem(itemId, quantity) would fit without dropping anything
+    canAddItem(itemId, quantity = 1) {
+        const itemData = this.itemDatabase.get(itemId);
+        if (!itemData) return false;
+        
+        const freeSlots = this.slots.filter(slot => !slot).length;
+        if (!itemData.stackable) {
+            return freeSlots >= quantity;
+        }
+        
+        const roomInStacks = this.slots
+            .filter(slot => slot && slot.id === itemId)
+            .reduce((total, slot) => total + Math.max(0, itemData.maxStack - slot.quantity), 0);
+        return freeSlots >= Math.ceil(Math.max(0, quantity - roomInStacks) / itemData.maxStack);
+    }
+
     findItemSlot(itemId) {
         return this.slots.findIndex(slot => slot && slot.id === itemId);
     }
@@ -431,6 +413,11 @@ export class InventorySystem {
         const itemData = this.itemDatabase.get(slot.id);
         if (!itemData) return false;
 
+        if (this.isBroken(slot)) {
+            console.warn(`${itemData.name} is broken - repair it first`);
+            return false;
+        }
+
         // Check if item can be equipped
         if (itemData.type === 'light' && itemData.id === 'torch') {
             // Special handling for torch
@@ -446,30 +433,30 @@ export class InventorySystem {
             return false;
         }
 
-        // Determine equipment slot
-        let equipmentSlot = null;
-        if (itemData.type === 'weapon') {
+        // Determine equipment slot - items can name their own (shields, torches...)
+        let equipmentSlot = itemData.equipmentSlot || null;
+        if (!equipmentSlot && itemData.type === 'weapon') {
             equipmentSlot = 'weapon';
-        } else if (itemData.type === 'armor') {
+        } else if (!equipmentSlot && itemData.type === 'armor') {
             // This is simplified - you'd want more specific armor types
             equipmentSlot = 'chest';
         }
 
         if (!equipmentSlot) return false;
 
-        // Unequip current item if any
+        // Take it out of the bag first so whatever we're swapping out has a free slot to go to
+        this.removeItem(slotIndex);
+
+        // Unequip current item if any - the server swaps it out as part of the equip
         if (this.equipment[equipmentSlot]) {
-            this.unequipItem(equipmentSlot);
+            this.returnToBag(equipmentSlot);
         }
 
-        // Equip new item
-        this.equipment[equipmentSlot] = {
-            ...slot,
-            slotIndex: slotIndex
-        };
-
-        // Remove from inventory
-        this.removeItem(slotIndex);
+        // Equip new item - the instance moves over untouched
+        this.equipment[equipmentSlot] = slot;
+        if (this.isOnline()) {
+            this.networkManager.sendItemEquip(slot.uid);
+        }
 
         console.log(`Equipped ${itemData.name}`);
         this.updateInventoryUI();
@@ -478,21 +465,21 @@ export class InventorySystem {
 
     equipTorch(slotIndex) {
         const slot = this.slots[slotIndex];
-        if (!slot || slot.id !== 'torch') return false;
+        if (!slot || slot.id !== 'torch' || this.isBroken(slot)) return false;
+
+        // Take it out of the bag first so whatever we're swapping out has a free slot to go to
+        this.removeItem(slotIndex);
 
-        // Unequip current offhand item if any
+        // Unequip current offhand item if any - the server swaps it out as part of the equip
         if (this.equipment.offhand) {
-            this.unequipItem('offhand');
+            this.returnToBag('offhand');
         }
 
         // Equip torch in offhand slot
-        this.equipment.offhand = {
-            ...slot,
-            slotIndex: slotIndex
-        };
-
-        // Remove from inventory
-        this.removeItem(slotIndex);
+        this.equipment.offhand = slot;
+        if (this.isOnline()) {
+            this.networkManager.sendItemEquip(slot.uid);
+        }
 
         console.log('🔥 Torch equipped!');
         this.updateInventoryUI();
@@ -500,32 +487,50 @@ export class InventorySystem {
     }
 
     unequipItem(equipmentSlot) {
+        if (!this.returnToBag(equipmentSlot)) return false;
+
+        if (this.isOnline()) {
+            this.networkManager.sendItemUnequip(equipmentSlot);
+        }
+        this.updateInventoryUI();
+        return true;
+    }
+
+    // Moves the worn instance back into the bag - the same instance, so it keeps its uid and properties
+    returnToBag(equipmentSlot) {
         const equippedItem = this.equipment[equipmentSlot];
-        if (!equippedItem) return false;
+        if (!equippedItem || !this.addItemInstance(equippedItem)) return false;
 
-        // Add back to inventory
-        this.addItem(equippedItem.id, equippedItem.quantity);
-        
-        // Clear equipment slot
         this.equipment[equipmentSlot] = null;
-
         console.log(`Unequipped ${equippedItem.id}`);
-        this.updateInventoryUI();
         return true;
     }
 
+    // Item requirements are combat level and skills (strength...), checked against SkillsSystem -
+    // online its levels are the server's. Same check as getRequirementError in server/gameplay.js.
+    getRequirementError(requirements) {
+        if (!this.skillsSystem) return null;
+        
+        const skillLevel = skill => (this.skillsSystem.hasSkill(skill) ? this.skillsSystem.getLevel(skill) : null);
+        const unmet = rules.getUnmetRequirement(requirements, this.skillsSystem.getCombatLevel(), skillLevel);
+        if (!unmet) return null;
+        return unmet.requirement === 'level'
+            ? `Requires combat level ${unmet.level}`
+            : `Requires ${this.skillsSystem.getSkillName(unmet.requirement)} level ${unmet.level}`;
+    }
+
     meetsRequirements(requirements) {
-        if (!requirements) return true;
+        return !this.getRequirementError(requirements);
+    }
 
-        if (requirements.level && this.level < requirements.level) {
-            return false;
+    // Currency - experience lives in SkillsSystem
+    setGold(gold) {
+        if (Number.isFinite(gold)) {
+            this.gold = gold;
+            this.updateInventoryUI();
         }
-
-        // Add other requirement checks here (strength, agility, etc.)
-        return true;
     }
 
-    // Currency and experience
     addGold(amount) {
         this.gold += amount;
         this.updateInventoryUI();
@@ -541,42 +546,13 @@ export class InventorySystem {
         return false;
     }
 
-    addExperience(amount) {
-        this.experience += amount;
-        
-        // Check for level up
-        const expForNextLevel = this.getExperienceForLevel(this.level + 1);
-        if (this.experience >= expForNextLevel) {
-            this.levelUp();
-        }
-        
-        this.updateInventoryUI();
-        return this.experience;
-    }
-
-    getExperienceForLevel(level) {
-        return Math.floor(100 * Math.pow(1.5, level - 1));
-    }
-
-    levelUp() {
-        this.level++;
-        console.log(`🎉 Level up! You are now level ${this.level}`);
-        
-        // Add level up rewards
-        this.addGold(this.level * 10);
-        
-        // You could add skill points, attribute points, etc.
-    }
-
     // UI updates
     updateInventoryUI() {
         // This would update the actual UI elements
         // For now, just log the current state
         console.log('Inventory updated:', {
             slots: this.slots.filter(slot => slot !== null).length,
-            gold: this.gold,
-            level: this.level,
-            experience: this.experience
+            gold: this.gold
         });
     }
 
@@ -593,66 +569,10 @@ export class InventorySystem {
         return this.gold;
     }
 
-    getLevel() {
-        return this.level;
-    }
-
-    getExperience() {
-        return this.experience;
-    }
-
     getItemData(itemId) {
         return this.itemDatabase.get(itemId);
     }
 
-    // Equipment methods
-    equipItem(itemId, slot) {
-        const itemData = this.itemDatabase.get(itemId);
-        if (!itemData) {
-            console.warn(`Item ${itemId} not found in database`);
-            return false;
-        }
-
-        // Check if item can be equipped in this slot
-        if (itemData.equipmentSlot && itemData.equipmentSlot !== slot) {
-            console.warn(`Item ${itemId} cannot be equipped in ${slot} slot`);
-            return false;
-        }
-
-        // Unequip current item in slot
-        if (this.equipment[slot]) {
-            this.unequipItem(slot);
-        }
-
-        // Equip the new item
-        this.equipment[slot] = {
-            id: itemId,
-            ...itemData
-        };
-
-        console.log(`🔧 Equipped ${itemData.name} in ${slot} slot`);
-        this.updateInventoryUI();
-        return true;
-    }
-
-    unequipItem(slot) {
-        if (!this.equipment[slot]) {
-            return false;
-        }
-
-        const item = this.equipment[slot];
-        console.log(`🔧 Unequipped ${item.name} from ${slot} slot`);
-
-        // Add item back to inventory
-        this.addItem(item.id);
-
-        // Remove from equipment
-        this.equipment[slot] = null;
-
-        this.updateInventoryUI();
-        return true;
-    }
-
     isEquipped(itemId) {
         for (const [slot, item] of Object.entries(this.equipment)) {
             if (item && item.id === itemId) {
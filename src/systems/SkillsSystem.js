@@ -0,0 +1,183 @@
+import { SKILLS, MAX_SKILL_LEVEL } from './GameContent.js';
+import * as rules from '../../shared/content/rules.mjs';
+
+// Every skill the player has - crafting, gathering and combat all level through here.
+// Online the server's player.skills is the truth; offline XP is granted locally.
+export class SkillsSystem {
+    constructor() {
+        this.skills = new Map(); // skill -> { level, experience }
+
+        // UI hooks
+        this.onLevelUp = null; // (skill, newLevel)
+        this.onExperienceGained = null; // (skill, amount, skillInfo)
+        this.onSkillsChanged = null; // () - any change, including a full sync from the server
+        this.isInitialized = false;
+
+        this.reset();
+    }
+
+    async init() {
+        if (this.isInitialized) {
+            console.warn('⚠️ SkillsSystem already initialized, skipping...');
+            return;
+        }
+
+        console.log('📈 Initializing Skills System...');
+        this.isInitialized = true;
+        console.log(`✅ Skills System initialized with ${this.skills.size} skills`);
+    }
+
+    // Every skill back at its starting level (hitpoints starts at 10)
+    reset() {
+        this.skills.clear();
+        Object.keys(SKILLS).forEach(skill => {
+            const experience = this.getStartingExperience(skill);
+            this.skills.set(skill, { level: this.getLevelForExperience(experience), experience });
+        });
+    }
+
+    getStartingExperience(skill) {
+        return this.getExperienceForLevel(SKILLS[skill]?.startLevel || 1);
+    }
+
+    // OSRS experience curve - shared/content/rules.mjs, the same table the server levels with
+    getExperienceForLevel(level) {
+        return rules.getExperienceForLevel(level, MAX_SKILL_LEVEL);
+    }
+
+    getLevelForExperience(experience) {
+        return rules.getLevelForExperience(experience, MAX_SKILL_LEVEL);
+    }
+
+    hasSkill(skill) {
+        return this.skills.has(skill);
+    }
+
+    getLevel(skill) {
+        return this.skills.get(skill)?.level || 1;
+    }
+
+    getExperience(skill) {
+        return this.skills.get(skill)?.experience || 0;
+    }
+
+    // Adds XP and returns the new level if the skill levelled up, otherwise null
+    addExperience(skill, amount) {
+        const entry = this.skills.get(skill);
+        if (!entry || !(amount > 0)) return null;
+
+        return this.setExperience(skill, entry.experience + amount, amount, true);
+    }
+
+    // Full skill list from player_joined - levels are re-derived from XP so both sides agree
+    setFromServer(skills = {}) {
+        this.reset();
+        Object.entries(skills).forEach(([skill, data]) => {
+            const entry = this.skills.get(skill);
+            if (entry && Number.isFinite(data?.experience)) {
+                entry.experience = data.experience;
+                entry.level = this.getLevelForExperience(data.experience);
+            }
+        });
+
+        console.log(`📈 Synced skills from server (total level ${this.getTotalLevel()})`);
+        if (this.onSkillsChanged) {
+            this.onSkillsChanged();
+        }
+    }
+
+    // skills_update from the server after it granted XP. Level-ups aren't announced here -
+    // the server follows up with skill_levelup (see applyServerLevelUp)
+    applyServerUpdate(data) {
+        if (!this.skills.has(data?.skill) || !Number.isFinite(data.experience)) return null;
+        return this.setExperience(data.skill, data.experience, data.gained || 0, false);
+    }
+
+    // skill_levelup from the server - the XP behind it already came in skills_update
+    applyServerLevelUp(data) {
+        const entry = this.skills.get(data?.skill);
+        if (!entry || !Number.isInteger(data.newLevel)) return;
+
+        console.log(`🎉 ${this.getSkillName(data.skill)} leveled up to ${data.newLevel}!`);
+        if (this.onLevelUp) {
+            this.onLevelUp(data.skill, data.newLevel);
+        }
+    }
+
+    setExperience(skill, experience, gained, announceLevelUp) {
+        const entry = this.skills.get(skill);
+        const previousLevel = entry.level;
+        entry.experience = experience;
+        entry.level = this.getLevelForExperience(experience); // Big XP drops can skip more than one level
+
+        if (gained > 0 && this.onExperienceGained) {
+            this.onExperienceGained(skill, gained, this.getSkillInfo(skill));
+        }
+
+        const leveledUp = entry.level > previousLevel;
+        if (leveledUp && announceLevelUp) {
+            console.log(`🎉 ${this.getSkillName(skill)} leveled up to ${entry.level}!`);
+            if (this.onLevelUp) {
+                this.onLevelUp(skill, entry.level);
+            }
+        }
+
+        if (this.onSkillsChanged) {
+            this.onSkillsChanged();
+        }
+
+        return leveledUp ? entry.level : null;
+    }
+
+    getTotalLevel() {
+        let total = 0;
+        this.skills.forEach(entry => { total += entry.level; });
+        return total;
+    }
+
+    // Same formula as getCombatLevel in server/gameplay.js
+    getCombatLevel() {
+        const defence = this.getLevel('defence');
+        const hitpoints = this.getLevel('hitpoints');
+        const attack = this.getLevel('attack');
+        const strength = this.getLevel('strength');
+        return Math.floor(0.25 * (defence + hitpoints) + 0.325 * (attack + strength));
+    }
+
+    getSkillName(skill) {
+        return SKILLS[skill]?.name || skill;
+    }
+
+    // Progress through the current level, 0-1 (always 1 at the max level)
+    getNextLevelProgress(skill) {
+        const level = this.getLevel(skill);
+        if (level >= MAX_SKILL_LEVEL) return 1;
+
+        const expForCurrent = this.getExperienceForLevel(level);
+        const expForNext = this.getExperienceForLevel(level + 1);
+        const progress = (this.getExperience(skill) - expForCurrent) / (expForNext - expForCurrent);
+        return Math.max(0, Math.min(1, progress));
+    }
+
+    getSkillInfo(skill) {
+        const definition = SKILLS[skill];
+        const level = this.getLevel(skill);
+        const experience = this.getExperience(skill);
+        const nextLevelExp = level >= MAX_SKILL_LEVEL ? null : this.getExperienceForLevel(level + 1);
+        return {
+            id: skill,
+            name: definition?.name || skill,
+            icon: definition?.icon || '',
+            category: definition?.category || null,
+            level: level,
+            experience: experience,
+            nextLevelExp: nextLevelExp,
+            remainingExp: nextLevelExp === null ? 0 : nextLevelExp - experience,
+            progress: this.getNextLevelProgress(skill)
+        };
+    }
+
+    getAllSkills() {
+        return Array.from(this.skills.keys()).map(skill => this.getSkillInfo(skill));
+    }
+}
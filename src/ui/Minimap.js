@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+const MINIMAP_RANGE = 40; // World units from the player to the rim
+const REDRAW_INTERVAL = 100; // ms - 10 redraws a second is plenty for a HUD map
+const CELL_COLORS = {
+    walkable: '#d2b48c',
+    obstacle: '#5a4632',
+    water: '#1e90ff',
+    building: '#8b4513',
+    empty: '#1a1208'
+};
+
+// Always-on circular map in the HUD corner, drawn from GridManager cell states.
+// It turns with the camera orbit like OSRS: whatever the camera faces is up.
+export class Minimap {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.canvas = null;
+        this.context = null;
+        this.size = 0; // CSS pixels - the canvas is square
+        this.lastDraw = 0;
+        this.animationFrame = null;
+        this.isInitialized = false;
+    }
+
+    async init() {
+        if (this.isInitialized) {
+            console.warn('⚠️ Minimap already initialized, skipping...');
+            return;
+        }
+
+        console.log('🧭 Initializing Minimap...');
+
+        this.canvas = document.getElementById('minimap-canvas');
+        if (!this.canvas) {
+            console.warn('⚠️ Minimap canvas not found in DOM, minimap disabled');
+            return;
+        }
+        this.context = this.canvas.getContext('2d');
+
+        // Click to walk, like the world map
+        this.canvas.addEventListener('click', (event) => {
+            const target = this.screenToWorld(event.offsetX, event.offsetY);
+            if (target) {
+                this.gameEngine.walkTo(new THREE.Vector3(target.x, 0, target.z));
+            }
+        });
+
+        this.isInitialized = true;
+        this.renderLoop();
+        console.log('✅ Minimap initialized');
+    }
+
+    renderLoop() {
+        this.animationFrame = requestAnimationFrame(() => this.renderLoop());
+
+        const now = performance.now();
+        if (now - this.lastDraw < REDRAW_INTERVAL) return;
+        this.lastDraw = now;
+
+        // Nothing to draw while the HUD is hidden (loading, logged out)
+        if (!this.canvas.offsetParent || !this.gameEngine.getPlayer()) return;
+
+        this.resizeCanvas();
+        this.draw();
+    }
+
+    resizeCanvas() {
+        const size = this.canvas.clientWidth;
+        if (size === this.size) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        this.size = size;
+        this.canvas.width = Math.round(size * ratio);
+        this.canvas.height = Math.round(size * ratio);
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    getScale() {
+        return (this.size / 2) / MINIMAP_RANGE;
+    }
+
+    getRotation() {
+        return this.gameEngine.cameraOrbitAngle || 0;
+    }
+
+    // World position -> minimap pixels. Unrotated, -z is up; then the map turns by the orbit angle.
+    worldToScreen(x, z, center) {
+        const scale = this.getScale();
+        const rotation = this.getRotation();
+        const dx = (x - center.x) * scale;
+        const dz = (z - center.z) * scale;
+        return {
+            x: this.size / 2 + dx * Math.cos(rotation) - dz * Math.sin(rotation),
+            y: this.size / 2 + dx * Math.sin(rotation) + dz * Math.cos(rotation)
+        };
+    }
+
+    // Minimap pixels -> world position, or null outside the circle
+    screenToWorld(screenX, screenY) {
+        const player = this.gameEngine.getPlayer();
+        if (!player || !this.size) return null;
+
+        const sx = screenX - this.size / 2;
+        const sy = screenY - this.size / 2;
+        if (Math.hypot(sx, sy) > this.size / 2) return null;
+
+        const scale = this.getScale();
+        const rotation = this.getRotation();
+        const center = player.getPosition();
+        return {
+            x: center.x + (sx * Math.cos(rotation) + sy * Math.sin(rotation)) / scale,
+            z: center.z + (-sx * Math.sin(rotation) + sy * Math.cos(rotation)) / scale
+        };
+    }
+
+    draw() {
+        const ctx = this.context;
+        const center = this.gameEngine.getPlayer().getPosition();
+        const radius = this.size / 2;
+
+        ctx.clearRect(0, 0, this.size, this.size);
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(radius, radius, radius, 0, Math.PI * 2);
+        ctx.clip();
+
+        this.drawCells(ctx, center);
+        this.drawFeatures(ctx, center);
+        this.drawOtherPlayers(ctx, center);
+        this.drawPlayer(ctx);
+
+        ctx.restore();
+        this.drawCompass(ctx);
+    }
+
+    // Grid cells around the player, coloured by state
+    drawCells(ctx, center) {
+        const gridManager = this.gameEngine.getGridManager();
+        ctx.fillStyle = CELL_COLORS.empty;
+        ctx.fillRect(0, 0, this.size, this.size);
+        if (!gridManager) return;
+
+        const cellSize = gridManager.gridSize;
+        const scale = this.getScale();
+        const reach = Math.ceil(MINIMAP_RANGE * Math.SQRT2 / cellSize); // Corners of the square still show when rotated
+        const origin = gridManager.worldToGrid(center);
+
+        ctx.save();
+        ctx.translate(this.size / 2, this.size / 2);
+        ctx.rotate(this.getRotation());
+        for (let gx = origin.x - reach; gx <= origin.x + reach; gx++) {
+            for (let gz = origin.z - reach; gz <= origin.z + reach; gz++) {
+                const cell = gridManager.getCellAtGrid(gx, gz);
+                if (!cell) continue; // Outside the world stays dark
+                
+                ctx.fillStyle = CELL_COLORS[cell.state] || CELL_COLORS.empty;
+                const left = (cell.worldX - cellSize / 2 - center.x) * scale;
+                const top = (cell.worldZ - cellSize / 2 - center.z) * scale;
+                // Slight overlap hides seams between rotated cells
+                ctx.fillRect(left, top, cellSize * scale + 0.5, cellSize * scale + 0.5);
+            }
+        }
+        ctx.restore();
+    }
+
+    drawFeatures(ctx, center) {
+        const features = this.gameEngine.getWorldManager()?.getMapFeatures() || [];
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        features.forEach(feature => {
+            if (Math.hypot(feature.x - center.x, feature.z - center.z) > MINIMAP_RANGE + 2) return;
+            const point = this.worldToScreen(feature.x, feature.z, center);
+            ctx.fillText(feature.icon, point.x, point.y);
+        });
+    }
+
+    drawOtherPlayers(ctx, center) {
+        this.gameEngine.getOtherPlayers().forEach(other => {
+            if (Math.hypot(other.position.x - center.x, other.position.z - center.z) > MINIMAP_RANGE) return;
+            const point = this.worldToScreen(other.position.x, other.position.z, center);
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+        });
+    }
+
+    // Arrow in the middle pointing where the character faces
+    drawPlayer(ctx) {
+        const yaw = this.gameEngine.getPlayer().getNetworkRotation().y;
+        ctx.save();
+        ctx.translate(this.size / 2, this.size / 2);
+        ctx.rotate(this.getRotation() - yaw);
+        ctx.beginPath();
+        ctx.moveTo(0, 6);
+        ctx.lineTo(4, -4);
+        ctx.lineTo(0, -2);
+        ctx.lineTo(-4, -4);
+        ctx.closePath();
+        ctx.fillStyle = '#ffd700';
+        ctx.fill();
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // "N" on the rim where north (-z) is
+    drawCompass(ctx) {
+        const radius = this.size / 2 - 8;
+        const rotation = this.getRotation();
+        const x = this.size / 2 + radius * Math.sin(rotation);
+        const y = this.size / 2 - radius * Math.cos(rotation);
+
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000';
+        ctx.strokeText('N', x, y);
+        ctx.fillStyle = '#ffd700';
+        ctx.fillText('N', x, y);
+    }
+}
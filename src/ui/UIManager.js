@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { ITEMS, RECIPES, SKILLS, STATIONS, getRecipeStations } from '../systems/GameContent.js';
 
 export class UIManager {
     constructor() {
@@ -12,12 +13,16 @@ export class UIManager {
         this.gameUI = null;
         this.craftingPanel = null;
         this.inventory = null;
+        this.skillsPanel = null;
+        this.worldMap = null; // WorldMap overlay, set by the game once it exists
         this.topHUD = null;
         this.actionButtons = null;
         
         // UI state
         this.activePanel = null;
         this.craftingCategory = 'weapons';
+        this.craftingStation = null; // Station type the crafting panel was opened at - null shows every recipe
+        this.hoveredSkill = null; // Skill whose unlocks are showing, kept across live refreshes
         
         // Performance info
         this.performanceInfo = null;
@@ -40,6 +45,7 @@ export class UIManager {
         this.gameUI = document.getElementById('game-ui');
         this.craftingPanel = document.getElementById('crafting-panel');
         this.inventory = document.getElementById('inventory');
+        this.skillsPanel = document.getElementById('skills-panel');
         this.topHUD = document.querySelector('.top-hud');
         this.actionButtons = document.querySelector('.action-buttons');
         this.timeDisplay = document.getElementById('time-display');
@@ -104,6 +110,7 @@ export class UIManager {
         // Panel close buttons
         const closeCraftingBtn = document.getElementById('close-crafting');
         const closeInventoryBtn = document.getElementById('close-inventory');
+        const closeSkillsBtn = document.getElementById('close-skills');
         
         if (closeCraftingBtn) {
             closeCraftingBtn.addEventListener('click', () => this.hideCraftingPanel());
@@ -113,6 +120,10 @@ export class UIManager {
             closeInventoryBtn.addEventListener('click', () => this.hideInventory());
         }
         
+        if (closeSkillsBtn) {
+            closeSkillsBtn.addEventListener('click', () => this.hideSkills());
+        }
+        
         // Crafting category buttons
         const categoryBtns = document.querySelectorAll('.category-btn');
         categoryBtns.forEach(btn => {
@@ -147,6 +158,10 @@ export class UIManager {
             } else if (e.key === 'e' || e.key === 'E') {
                 console.log('📋 E key pressed - exporting model specifications...');
                 this.exportModelSpecs();
+            } else if (e.key === 'k' || e.key === 'K') {
+                this.toggleSkills();
+            } else if (e.key === 'm' || e.key === 'M') {
+                this.toggleMap();
             }
         });
     }
@@ -160,29 +175,25 @@ export class UIManager {
         const craftingItems = document.getElementById('crafting-items');
         if (!craftingItems) return;
         
-        // Define crafting items for each category
-        const items = {
-            weapons: [
-                { id: 'bronze_sword', name: 'Bronze Sword', description: 'Basic weapon', level: 1, materials: ['bronze_ingot', 'wood'] },
-                { id: 'iron_sword', name: 'Iron Sword', description: 'Improved weapon', level: 5, materials: ['iron_ingot', 'wood'] },
-                { id: 'steel_sword', name: 'Steel Sword', description: 'Advanced weapon', level: 10, materials: ['steel_ingot', 'wood'] }
-            ],
-            armor: [
-                { id: 'leather_armor', name: 'Leather Armor', description: 'Basic protection', level: 1, materials: ['leather', 'thread'] },
-                { id: 'bronze_armor', name: 'Bronze Armor', description: 'Metal protection', level: 5, materials: ['bronze_ingot', 'leather'] },
-                { id: 'iron_armor', name: 'Iron Armor', description: 'Strong protection', level: 10, materials: ['iron_ingot', 'leather'] }
-            ],
-            tools: [
-                { id: 'bronze_pickaxe', name: 'Bronze Pickaxe', description: 'Mining tool', level: 1, materials: ['bronze_ingot', 'wood'] },
-                { id: 'iron_pickaxe', name: 'Iron Pickaxe', description: 'Better mining', level: 5, materials: ['iron_ingot', 'wood'] },
-                { id: 'steel_pickaxe', name: 'Steel Pickaxe', description: 'Best mining', level: 10, materials: ['steel_ingot', 'wood'] }
-            ],
-            potions: [
-                { id: 'health_potion', name: 'Health Potion', description: 'Restores health', level: 1, materials: ['herbs', 'water'] },
-                { id: 'strength_potion', name: 'Strength Potion', description: 'Increases strength', level: 5, materials: ['herbs', 'water', 'crystal'] },
-                { id: 'wisdom_potion', name: 'Wisdom Potion', description: 'Increases wisdom', level: 10, materials: ['herbs', 'water', 'crystal', 'essence'] }
-            ]
-        };
+        // Build the crafting list from the shared recipes, grouped by the category buttons
+        const categories = { weapon: 'weapons', armor: 'armor', tool: 'tools', potion: 'potions', material: 'materials', food: 'cooking' };
+        const items = {};
+        Object.entries(RECIPES).forEach(([id, recipe]) => {
+            const stationTypes = getRecipeStations(recipe);
+            const category = categories[recipe.type] || `${recipe.type}s`;
+            if (!items[category]) items[category] = [];
+            items[category].push({
+                id: id,
+                name: recipe.name,
+                type: recipe.type,
+                description: ITEMS[id].description,
+                level: recipe.level,
+                materials: recipe.materials.map(material => `${material.quantity} ${ITEMS[material.id].name}`),
+                stationTypes: stationTypes,
+                station: stationTypes.length > 0 ? stationTypes.map(stationType => STATIONS[stationType].name).join(' or ') : null,
+                canFail: !!recipe.successChance
+            });
+        });
         
         this.craftingItems = items;
     }
@@ -246,11 +257,29 @@ export class UIManager {
         
         slot.classList.add('filled');
         slot.dataset.itemId = item.id;
+        slot.dataset.itemUid = item.uid || '';
         slot.dataset.itemName = item.name;
         slot.dataset.itemType = item.type;
+        slot.dataset.durability = item.durabilityState || '';
         
-        // Add item icon/text
-        slot.innerHTML = `<span title="${item.name}">${this.getItemIcon(item)}</span>`;
+        // Add item icon/text, with a badge once the item is wearing out
+        const title = item.qualityTier ? `${item.qualityTier} ${item.name}` : item.name;
+        const badge = this.getDurabilityBadge(item.durabilityState);
+        slot.innerHTML = `<span title="${title}">${this.getItemIcon(item)}</span>${badge ? `<span class="durability-badge" title="${item.durabilityState}">${badge}</span>` : ''}`;
+    }
+
+    getDurabilityBadge(state) {
+        const badges = {
+            worn: '🟡',
+            damaged: '🟠',
+            broken: '💔'
+        };
+        
+        return badges[state] || '';
+    }
+
+    notifyBrokenTools(names = []) {
+        names.forEach(name => this.showNotification(`💔 Your ${name} broke! Repair it at a repair station`, 'warning'));
     }
 
     getItemIcon(item) {
@@ -281,7 +310,7 @@ export class UIManager {
         console.log(`🎯 Clicked on ${itemName} (${itemId}) in slot ${slotIndex}`);
         
         // Show item info tooltip
-        this.showItemInfo(itemId, itemName);
+        this.showItemInfo(itemId, itemName, slotIndex);
     }
 
     handleInventorySlotRightClick(slotIndex) {
@@ -300,7 +329,7 @@ export class UIManager {
         } else if (itemType === 'weapon' || itemType === 'armor') {
             this.equipItem(itemId, itemName, slotIndex);
         } else {
-            this.showItemInfo(itemId, itemName);
+            this.showItemInfo(itemId, itemName, slotIndex);
         }
     }
 
@@ -348,10 +377,9 @@ export class UIManager {
             const itemName = slot.dataset.itemName;
             
             console.log(`🔧 Unequipping ${itemName} from ${slotName}`);
-            this.unequipItem(itemId, slotName);
-            
-            // Show notification
-            this.showNotification(`🔧 Unequipped ${itemName}`, 'info');
+            if (this.unequipItem(itemId, slotName)) {
+                this.showNotification(`🔧 Unequipped ${itemName}`, 'info');
+            }
         } else {
             console.log(`📭 Equipment slot ${slotName} is empty`);
             this.showNotification(`📭 ${slotName} slot is empty`, 'info');
@@ -372,8 +400,9 @@ export class UIManager {
             // Show confirmation dialog
             if (confirm(`Unequip ${itemName} from ${slotName} slot?`)) {
                 console.log(`🔧 Unequipping ${itemName} from ${slotName}`);
-            this.unequipItem(itemId, slotName);
-                this.showNotification(`🔧 Unequipped ${itemName}`, 'info');
+                if (this.unequipItem(itemId, slotName)) {
+                    this.showNotification(`🔧 Unequipped ${itemName}`, 'info');
+                }
             }
         } else {
             console.log(`📭 Equipment slot ${slotName} is empty`);
@@ -493,6 +522,12 @@ export class UIManager {
             return;
         }
         
+        const requirementError = inventorySystem.getRequirementError(itemData.requirements);
+        if (requirementError) {
+            this.showNotification(`❌ Cannot equip ${itemName} - ${requirementError}`, 'error');
+            return;
+        }
+        
         console.log(`🎯 Equipping ${itemName} in ${equipmentSlot} slot`);
         
         // Try to equip through inventory system first
@@ -519,110 +554,43 @@ export class UIManager {
             // Show success notification
             this.showNotification(`✅ ${itemName} equipped in ${equipmentSlot} slot!`, 'success');
             
+            // The item left the bag - redraw it
+            this.updateInventoryDisplayFromSystem();
         } else {
+            // Equipping moves the item instance out of the inventory system, so there's no UI-only fallback
             console.warn(`❌ Failed to equip ${itemName} through inventory system`);
-            
-            // Fallback: equip directly in UI
-            this.equipItemInSlot(itemId, itemName, equipmentSlot);
-            this.removeItemFromInventory(slotIndex);
-            
-            // Update the player's visual equipment
-            const player = this.gameEngine.getPlayer();
-            if (player) {
-                player.equipItem(itemId, equipmentSlot);
-            }
-            
-            this.showNotification(`✅ ${itemName} equipped in ${equipmentSlot} slot!`, 'success');
-        }
-    }
-
-    equipItemInSlot(itemId, itemName, slotName) {
-        const slot = document.querySelector(`[data-slot="${slotName}"]`);
-        if (!slot) {
-            console.warn(`❌ Equipment slot ${slotName} not found`);
-            return;
-        }
-        
-        console.log(`🎯 Equipping ${itemName} in ${slotName} slot`);
-        
-        // Get item type for proper icon display
-        let itemType = 'unknown';
-        if (this.gameEngine && this.gameEngine.getInventorySystem()) {
-            const itemData = this.gameEngine.getInventorySystem().itemDatabase.get(itemId);
-            if (itemData) {
-                itemType = itemData.type;
-            }
-        }
-        
-        // Update equipment slot
-        slot.classList.add('equipped');
-        slot.dataset.itemId = itemId;
-        slot.dataset.itemName = itemName;
-        slot.dataset.itemType = itemType;
-        
-        // Create equipment slot content with item icon and name
-        const itemIcon = this.getItemIcon({ type: itemType });
-        slot.innerHTML = `
-            <div class="slot-label">${slotName.charAt(0).toUpperCase() + slotName.slice(1)}</div>
-            <div class="item-icon">${itemIcon}</div>
-            <div class="item-name">${itemName}</div>
-        `;
-        
-        // Notify game engine to equip item on player
-        if (this.gameEngine && this.gameEngine.getPlayer()) {
-            this.gameEngine.getPlayer().equipItem(itemId, slotName);
-            console.log(`🎮 Player equipment updated for ${slotName}`);
+            this.showNotification(`❌ Cannot equip ${itemName}`, 'error');
         }
-        
-        console.log(`✅ Successfully equipped ${itemName} in ${slotName} slot`);
     }
 
+    // Returns true if the item went back into the inventory
     unequipItem(itemId, slotName) {
-        const slot = document.querySelector(`[data-slot="${slotName}"]`);
-        if (!slot) {
-            console.warn(`❌ Equipment slot ${slotName} not found`);
-            return;
+        const inventorySystem = this.gameEngine?.getInventorySystem();
+        if (!inventorySystem) {
+            console.warn('❌ Inventory system not found');
+            return false;
         }
         
         console.log(`🔧 Unequipping ${itemId} from ${slotName} slot`);
         
-        // Clear equipment slot
-        slot.classList.remove('equipped');
-        slot.dataset.itemId = '';
-        slot.dataset.itemName = '';
-        slot.dataset.itemType = '';
-        slot.innerHTML = `<div class="slot-label">${slotName.charAt(0).toUpperCase() + slotName.slice(1)}</div>`;
+        // The equipped instance goes back into the bag as-is
+        if (!inventorySystem.unequipItem(slotName)) {
+            console.warn(`❌ No empty inventory slots available for ${itemId}`);
+            this.showNotification(`❌ Inventory full - cannot unequip ${itemId}`, 'error');
+            return false;
+        }
         
         // Notify game engine to unequip item from player
-        if (this.gameEngine && this.gameEngine.getPlayer()) {
+        if (this.gameEngine.getPlayer()) {
             this.gameEngine.getPlayer().unequipItem(slotName);
             console.log(`🎮 Player equipment updated for ${slotName}`);
         }
         
-        // Add item back to inventory
-        const emptySlot = this.findEmptyInventorySlot();
-        if (emptySlot !== -1) {
-            // Get item data for proper display
-            let itemType = 'unknown';
-            if (this.gameEngine && this.gameEngine.getInventorySystem()) {
-                const itemData = this.gameEngine.getInventorySystem().itemDatabase.get(itemId);
-                if (itemData) {
-                    itemType = itemData.type;
-                }
-            }
-            
-            this.addItemToInventory(emptySlot, { 
-                id: itemId, 
-                name: itemId, 
-                type: itemType 
-            });
-            console.log(`📦 ${itemId} returned to inventory slot ${emptySlot}`);
-        } else {
-            console.warn(`❌ No empty inventory slots available for ${itemId}`);
-            this.showNotification(`❌ Inventory full - cannot unequip ${itemId}`, 'error');
-        }
+        // Redraws the equipment slots too
+        this.updateInventoryDisplayFromSystem();
         
         console.log(`✅ Successfully unequipped ${itemId} from ${slotName} slot`);
+        return true;
     }
 
     removeItemFromInventory(slotIndex) {
@@ -631,6 +599,8 @@ export class UIManager {
         
         slot.classList.remove('filled');
         slot.dataset.itemId = '';
+        slot.dataset.itemUid = '';
+        slot.dataset.durability = '';
         slot.dataset.itemName = '';
         slot.dataset.itemType = '';
         slot.innerHTML = '';
@@ -662,17 +632,19 @@ export class UIManager {
         // TODO: Implement item dropping logic
     }
 
-    showItemInfo(itemId, itemName) {
+    showItemInfo(itemId, itemName, slotIndex) {
         console.log(`Showing info for ${itemName} (${itemId})`);
         
-        // Get item data to show proper information
-        const itemData = this.gameEngine?.getInventorySystem()?.itemDatabase?.get(itemId);
+        // Get item data to show proper information, plus this particular item's own properties
+        const inventorySystem = this.gameEngine?.getInventorySystem();
+        const itemData = inventorySystem?.itemDatabase?.get(itemId);
+        const instance = slotIndex !== undefined ? inventorySystem?.getInventory()[slotIndex] : null;
         
         // Create and show item info tooltip
-        this.showItemTooltip(itemId, itemName, itemData);
+        this.showItemTooltip(itemId, itemName, itemData, instance?.uid ? instance : null);
     }
 
-    showItemTooltip(itemId, itemName, itemData) {
+    showItemTooltip(itemId, itemName, itemData, instance = null) {
         // Remove any existing tooltips
         this.removeExistingTooltips();
         
@@ -695,15 +667,26 @@ export class UIManager {
                 <p class="item-type">Type: ${itemType}</p>
         `;
         
+        // Per-item properties - two swords of the same kind can differ in all of these
+        if (instance) {
+            tooltipContent += `<p class="item-quality quality-${instance.qualityTier.toLowerCase()}">${instance.qualityTier} quality (${instance.quality.toFixed(2)})</p>`;
+            const broken = instance.durability <= 0 ? ' - broken' : '';
+            tooltipContent += `<p class="item-durability">Durability: ${instance.durability} / ${instance.maxDurability}${broken}</p>`;
+            if (instance.crafterName) {
+                tooltipContent += `<p class="item-crafter">Crafted by ${instance.crafterName}</p>`;
+            }
+        }
+        
         // Add description if available
         if (itemData?.description) {
             tooltipContent += `<p class="item-description">${itemData.description}</p>`;
         }
         
-        // Add stats if available
-        if (itemData?.stats) {
+        // Add stats if available - the instance's own stats win over the item's base ones
+        const stats = instance?.stats || itemData?.stats;
+        if (stats && Object.keys(stats).length > 0) {
             tooltipContent += `<div class="item-stats">`;
-            Object.entries(itemData.stats).forEach(([stat, value]) => {
+            Object.entries(stats).forEach(([stat, value]) => {
                 tooltipContent += `<span class="stat">${stat}: ${value}</span>`;
             });
             tooltipContent += `</div>`;
@@ -724,6 +707,16 @@ export class UIManager {
             tooltipContent += `<button class="action-btn use-btn" data-action="use">🔄 Use</button>`;
         }
         
+        // Worn items can be repaired at a station, for gold or (if craftable) materials
+        if (instance && instance.durability < instance.maxDurability) {
+            const cost = this.gameEngine.getInventorySystem().getRepairCost(instance);
+            tooltipContent += `<button class="action-btn repair-btn" data-action="repair-gold">🔧 Repair (${cost.gold} gold)</button>`;
+            if (cost.materials) {
+                const materials = cost.materials.map(material => `${material.quantity} ${this.getItemDisplayName(material.id)}`).join(', ');
+                tooltipContent += `<button class="action-btn repair-btn" data-action="repair-materials">🔧 Repair (${materials})</button>`;
+            }
+        }
+        
         // Add drop button for all items
         tooltipContent += `<button class="action-btn drop-btn" data-action="drop">🗑️ Drop</button>`;
         
@@ -754,7 +747,7 @@ export class UIManager {
         tooltip.addEventListener('click', (e) => {
             if (e.target.classList.contains('action-btn')) {
                 const action = e.target.dataset.action;
-                this.handleTooltipAction(action, itemId, itemName, itemData);
+                this.handleTooltipAction(action, itemId, itemName, itemData, instance);
             }
         });
         
@@ -774,12 +767,12 @@ export class UIManager {
         }, 10000);
     }
 
-    handleTooltipAction(action, itemId, itemName, itemData) {
+    handleTooltipAction(action, itemId, itemName, itemData, instance) {
         console.log(`Handling tooltip action: ${action} for ${itemName}`);
         
         switch (action) {
             case 'equip':
-                this.equipItemFromTooltip(itemId, itemName, itemData);
+                this.equipItemFromTooltip(itemId, itemName, itemData, instance);
                 break;
             case 'use':
                 this.useItem(itemId, itemName);
@@ -787,15 +780,22 @@ export class UIManager {
             case 'drop':
                 this.dropItem(itemId, itemName);
                 break;
+            case 'repair-gold':
+            case 'repair-materials':
+                this.gameEngine.repairItem(instance.uid, action === 'repair-gold' ? 'gold' : 'materials');
+                this.removeExistingTooltips();
+                break;
             case 'close':
                 this.removeExistingTooltips();
                 break;
         }
     }
 
-    equipItemFromTooltip(itemId, itemName, itemData) {
-                // Find the slot index for this item
-                const slotIndex = this.findItemSlotIndex(itemId);
+    equipItemFromTooltip(itemId, itemName, itemData, instance) {
+        // Find the slot index for this exact item - there may be several of the same kind
+        const slotIndex = instance
+            ? this.gameEngine.getInventorySystem().findInstanceSlot(instance.uid)
+            : this.findItemSlotIndex(itemId);
         if (slotIndex === -1) {
             this.showNotification('❌ Item not found in inventory', 'error');
             return;
@@ -814,8 +814,15 @@ export class UIManager {
 
     useItem(itemId, itemName) {
         console.log(`Using item: ${itemName}`);
-        this.showNotification(`🔄 Using ${itemName}`, 'info');
-        // TODO: Implement item usage logic
+        const itemType = this.getItemType(itemId);
+        if (itemType === 'food') {
+            this.gameEngine.eatItem(itemId);
+        } else if (itemId === 'tinderbox') {
+            this.gameEngine.lightFire();
+        } else {
+            this.showNotification(`🔄 Using ${itemName}`, 'info');
+            // TODO: Implement item usage logic
+        }
         this.removeExistingTooltips();
     }
 
@@ -856,6 +863,8 @@ export class UIManager {
         slots.forEach(slot => {
             slot.classList.remove('filled');
             slot.dataset.itemId = '';
+            slot.dataset.itemUid = '';
+            slot.dataset.durability = '';
             slot.dataset.itemName = '';
             slot.dataset.itemType = '';
             slot.innerHTML = '';
@@ -867,6 +876,9 @@ export class UIManager {
             if (item) {
                 this.addItemToInventory(index, {
                     id: item.id,
+                    uid: item.uid,
+                    qualityTier: item.qualityTier,
+                    durabilityState: inventorySystem.getDurabilityState(item),
                     name: this.getItemDisplayName(item.id),
                     type: this.getItemType(item.id)
                 });
@@ -885,21 +897,6 @@ export class UIManager {
         
         console.log('🔄 Syncing UI with inventory system...');
         
-        // Ensure the inventory system has the starting items
-        const startingItems = [
-            { id: 'bronze_ingot', quantity: 5 },
-            { id: 'wood', quantity: 10 },
-            { id: 'leather', quantity: 3 },
-            { id: 'torch', quantity: 1 }
-        ];
-        
-        startingItems.forEach(item => {
-            if (!inventorySystem.hasItem(item.id)) {
-                console.log(`📦 Adding ${item.id} to inventory system`);
-                inventorySystem.addItem(item.id, item.quantity);
-            }
-        });
-        
         // Update the display to show actual inventory system items
         this.updateInventoryDisplayFromSystem();
         
@@ -934,6 +931,8 @@ export class UIManager {
         slots.forEach(slot => {
             slot.classList.remove('filled');
             slot.dataset.itemId = '';
+            slot.dataset.itemUid = '';
+            slot.dataset.durability = '';
             slot.dataset.itemName = '';
             slot.dataset.itemType = '';
             slot.innerHTML = '';
@@ -948,6 +947,9 @@ export class UIManager {
                 if (itemData) {
                     this.addItemToInventory(index, {
                         id: item.id,
+                        uid: item.uid,
+                        qualityTier: item.qualityTier,
+                        durabilityState: inventorySystem.getDurabilityState(item),
                         name: itemData.name,
                         type: itemData.type
                     });
@@ -1003,28 +1005,53 @@ export class UIManager {
                     slotElement.classList.add('equipped');
                     slotElement.dataset.itemId = item.id;
                     slotElement.dataset.itemName = item.name || item.id;
+                    slotElement.dataset.durability = inventorySystem.getDurabilityState(item) || '';
                     slotElement.innerHTML = `<div class="slot-label">${slotName}</div><div class="item-icon">${this.getItemIcon({ type: this.getItemType(item.id) })}</div>`;
                 } else {
                     slotElement.classList.remove('equipped');
                     slotElement.dataset.itemId = '';
                     slotElement.dataset.itemName = '';
+                    slotElement.dataset.durability = '';
                     slotElement.innerHTML = `<div class="slot-label">${slotName}</div>`;
                 }
             }
         });
     }
 
-    // Panel management
-    showCraftingPanel() {
+    // Panel management - opened at a crafting station, only the recipes made there are listed
+    showCraftingPanel(stationType = null) {
         this.hideAllPanels();
         this.craftingPanel.classList.remove('hidden');
         this.activePanel = 'crafting';
-        this.updateCraftingItems();
+        this.craftingStation = stationType;
+        
+        const title = document.getElementById('crafting-title');
+        if (title) {
+            const station = STATIONS[stationType];
+            title.textContent = station ? `${station.icon} ${station.name}` : '⚒️ Crafting';
+        }
+        
+        // Hide the categories with nothing to make here, and move off the current one if it's empty
+        const categories = [];
+        document.querySelectorAll('.category-btn').forEach(btn => {
+            const empty = this.getCraftingItems(btn.dataset.category).length === 0;
+            btn.classList.toggle('hidden', empty);
+            if (!empty) categories.push(btn.dataset.category);
+        });
+        
+        if (categories.length > 0 && !categories.includes(this.craftingCategory)) {
+            this.setCraftingCategory(categories[0]);
+        } else {
+            this.updateCraftingItems();
+        }
     }
 
     hideCraftingPanel() {
         this.craftingPanel.classList.add('hidden');
         this.activePanel = null;
+        
+        // Walking away from the bench - stop crafting
+        this.gameEngine?.getCraftingSystem()?.cancelCrafting('Crafting panel closed');
     }
 
     showInventory() {
@@ -1046,22 +1073,137 @@ export class UIManager {
         this.activePanel = null;
     }
 
+    setWorldMap(worldMap) {
+        this.worldMap = worldMap;
+    }
+
     showMap() {
-        console.log('🗺️ Map feature coming soon!');
-        // TODO: Implement map system
+        if (!this.worldMap) return;
+        
+        this.hideAllPanels();
+        this.worldMap.open();
+    }
+
+    toggleMap() {
+        if (this.worldMap?.isOpen) {
+            this.worldMap.close();
+        } else {
+            this.showMap();
+        }
     }
 
     showSkills() {
-        console.log('📚 Skills feature coming soon!');
-        // TODO: Implement skills system
+        if (!this.skillsPanel) return;
+        
+        this.hideAllPanels();
+        this.skillsPanel.classList.remove('hidden');
+        this.activePanel = 'skills';
+        this.updateSkillsDisplay();
+    }
+
+    hideSkills() {
+        this.skillsPanel?.classList.add('hidden');
+        this.hideSkillUnlocks();
+        this.activePanel = null;
+    }
+
+    toggleSkills() {
+        if (this.activePanel === 'skills') {
+            this.hideSkills();
+        } else {
+            this.showSkills();
+        }
     }
 
     hideAllPanels() {
+        if (this.activePanel === 'crafting') {
+            this.hideCraftingPanel();
+        }
+        if (this.activePanel === 'skills') {
+            this.hideSkills();
+        }
         this.craftingPanel.classList.add('hidden');
         this.inventory.classList.add('hidden');
         this.activePanel = null;
     }
 
+    // Skills panel - GameEngine calls this again whenever XP changes while it's open
+    updateSkillsDisplay() {
+        const grid = document.getElementById('skills-grid');
+        const skillsSystem = this.gameEngine?.getSkillsSystem();
+        if (!grid || !skillsSystem) return;
+        
+        document.getElementById('skills-total-level').textContent = `Total level: ${skillsSystem.getTotalLevel()}`;
+        document.getElementById('skills-combat-level').textContent = `Combat level: ${skillsSystem.getCombatLevel()}`;
+        
+        grid.innerHTML = skillsSystem.getAllSkills().map(skill => `
+            <div class="skill-card skill-${skill.category}" data-skill="${skill.id}">
+                <div class="skill-header">
+                    <span class="skill-icon">${skill.icon}</span>
+                    <span class="skill-name">${skill.name}</span>
+                    <span class="skill-level">${skill.level}</span>
+                </div>
+                <div class="skill-progress-bar">
+                    <div class="skill-progress-fill" style="width: ${Math.round(skill.progress * 100)}%"></div>
+                </div>
+                <p class="skill-xp">${skill.experience.toLocaleString()} XP</p>
+                <p class="skill-next">${skill.nextLevelExp === null
+                    ? 'Max level'
+                    : `${skill.remainingExp.toLocaleString()} XP to level ${skill.level + 1}`}</p>
+            </div>
+        `).join('');
+        
+        grid.querySelectorAll('.skill-card').forEach(card => {
+            card.addEventListener('mouseenter', () => this.showSkillUnlocks(card.dataset.skill));
+            card.addEventListener('mouseleave', () => this.hideSkillUnlocks());
+        });
+        
+        if (this.hoveredSkill) {
+            this.showSkillUnlocks(this.hoveredSkill);
+        }
+    }
+
+    // Recipes and resource nodes a skill opens up, lowest level first
+    getSkillUnlocks(skill) {
+        const recipes = this.gameEngine?.getCraftingSystem()?.getRecipesBySkill(skill) || [];
+        const resources = (this.gameEngine?.getWorldManager()?.getResourceNodes() || [])
+            .map(node => node.userData)
+            .filter(resource => resource.resourceType === skill);
+        
+        return [
+            ...recipes.map(recipe => ({ level: recipe.level, action: 'Craft', name: recipe.name })),
+            ...resources.map(resource => ({
+                level: resource.level || 1,
+                action: 'Gather',
+                name: `${ITEMS[resource.item]?.name || resource.item} at the ${resource.name}`
+            }))
+        ].sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+    }
+
+    showSkillUnlocks(skill) {
+        const container = document.getElementById('skill-unlocks');
+        const skillsSystem = this.gameEngine?.getSkillsSystem();
+        if (!container || !skillsSystem) return;
+        
+        this.hoveredSkill = skill;
+        const info = skillsSystem.getSkillInfo(skill);
+        const unlocks = this.getSkillUnlocks(skill);
+        const list = unlocks.length > 0
+            ? `<ul>${unlocks.map(unlock => `
+                <li class="${unlock.level <= info.level ? 'unlocked' : 'locked'}">
+                    <span class="unlock-level">Lv ${unlock.level}</span> ${unlock.action}: ${unlock.name}
+                </li>`).join('')}</ul>`
+            : '<p class="skill-unlocks-empty">Nothing to unlock yet</p>';
+        
+        container.innerHTML = `<h4>${info.icon} ${info.name} unlocks</h4>${list}`;
+        container.classList.remove('hidden');
+    }
+
+    hideSkillUnlocks() {
+        this.hoveredSkill = null;
+        document.getElementById('skill-unlocks')?.classList.add('hidden');
+    }
+
     // Crafting system
     setCraftingCategory(category) {
         this.craftingCategory = category;
@@ -1077,48 +1219,140 @@ export class UIManager {
         this.updateCraftingItems();
     }
 
+    // Recipes in a category, narrowed to the station the panel was opened at
+    getCraftingItems(category) {
+        const items = this.craftingItems?.[category] || [];
+        return this.craftingStation ? items.filter(item => item.stationTypes.includes(this.craftingStation)) : items;
+    }
+
     updateCraftingItems() {
         const craftingItems = document.getElementById('crafting-items');
         if (!craftingItems || !this.craftingItems) return;
         
-        const items = this.craftingItems[this.craftingCategory] || [];
+        const items = this.getCraftingItems(this.craftingCategory);
         
         craftingItems.innerHTML = items.map(item => `
             <div class="crafting-item" data-item-id="${item.id}">
-                <div class="item-icon">${this.getItemIcon({ type: this.craftingCategory.slice(0, -1) })}</div>
+                <div class="item-icon">${this.getItemIcon(item)}</div>
                 <h4>${item.name}</h4>
                 <p>${item.description}</p>
                 <p class="item-level">Level ${item.level}</p>
                 <p class="item-materials">Materials: ${item.materials.join(', ')}</p>
-                <button class="craft-btn" onclick="this.craftItem('${item.id}')">Craft</button>
+                ${item.station ? `<p class="item-station">Made at the ${item.station}${item.canFail ? ' - can fail until your level is higher' : ''}</p>` : ''}
+                <p class="item-time">${(RECIPES[item.id].time / 1000).toFixed(1)}s each</p>
+                <div class="craft-actions">
+                    <button class="craft-btn" data-count="1">Craft</button>
+                    <input type="number" class="craft-count" min="1" max="99" value="5">
+                    <button class="craft-btn" data-count="x">Craft X</button>
+                    <button class="craft-btn" data-count="all">All</button>
+                </div>
             </div>
         `).join('');
         
         // Add click handlers for craft buttons
         craftingItems.querySelectorAll('.craft-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const itemId = e.target.parentElement.dataset.itemId;
-                this.craftItem(itemId);
+                const card = e.target.closest('.crafting-item');
+                let count = btn.dataset.count;
+                if (count === 'x') {
+                    count = parseInt(card.querySelector('.craft-count').value, 10) || 1;
+                } else if (count !== 'all') {
+                    count = 1;
+                }
+                this.craftItem(card.dataset.itemId, count);
             });
         });
     }
 
-    craftItem(itemId) {
+    // Crafting is a timed action - this only starts it, the crafting system hooks report back
+    craftItem(itemId, count = 1) {
         if (!this.gameEngine) return;
         
         const craftingSystem = this.gameEngine.getCraftingSystem();
         if (craftingSystem) {
-            const success = craftingSystem.craftItem(itemId);
-            if (success) {
-                console.log(`Successfully crafted ${itemId}`);
-                this.showNotification(`Crafted ${itemId}!`, 'success');
-            } else {
-                console.log(`Failed to craft ${itemId}`);
-                this.showNotification(`Failed to craft ${itemId}`, 'error');
+            const result = craftingSystem.startCrafting(itemId, count);
+            if (!result.success) {
+                console.log(`Failed to craft ${itemId}: ${result.reason}`);
+                this.showNotification(`Can't craft: ${result.reason}`, 'error');
+            }
+        }
+    }
+
+    bindCraftingSystem(craftingSystem) {
+        if (!craftingSystem) return;
+        
+        craftingSystem.onCraftProgress = (itemId, progress, remaining) => {
+            this.updateCraftingProgress(itemId, progress, remaining);
+        };
+        
+        craftingSystem.onCraftFinished = (result) => {
+            if (result.success) {
+                const name = result.item.qualityTier ? `${result.item.qualityTier} ${result.item.name}` : result.item.name;
+                console.log(`Successfully crafted ${name}`);
+                this.showNotification(`Crafted ${name}!`, 'success');
+                this.notifyBrokenTools(result.brokenTools);
+                
+                // Materials went out and the new item came in
+                if (this.activePanel === 'inventory') {
+                    this.updateInventoryDisplayFromSystem();
+                }
+            } else if (result.botched) {
+                // The materials are gone but the queue carries on
+                this.showNotification(result.reason, 'warning');
+                this.notifyBrokenTools(result.brokenTools);
             }
+        };
+        
+        craftingSystem.onCraftingStopped = (reason) => {
+            this.hideCraftingProgress();
+            if (reason) {
+                this.showNotification(`Crafting stopped: ${reason}`, 'info');
+            }
+        };
+        
+        const cancelBtn = document.getElementById('cancel-crafting');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => craftingSystem.cancelCrafting());
         }
     }
 
+    bindGatheringSystem(gatheringSystem) {
+        if (!gatheringSystem) return;
+        
+        // Misses are quiet - the action just swings again
+        gatheringSystem.onGatherResult = (result) => {
+            if (result.success) {
+                this.showNotification(`${SKILLS[result.resource.resourceType]?.icon || ''} You get ${result.quantity} ${ITEMS[result.item]?.name || result.item}`, 'success');
+            }
+            this.notifyBrokenTools(result.brokenTools);
+            
+            if (this.activePanel === 'inventory') {
+                this.updateInventoryDisplayFromSystem();
+            }
+        };
+        
+        gatheringSystem.onGatheringStopped = (reason) => {
+            if (reason) {
+                this.showNotification(`Gathering stopped: ${reason}`, 'info');
+            }
+        };
+    }
+
+    updateCraftingProgress(itemId, progress, remaining) {
+        const container = document.getElementById('crafting-progress');
+        if (!container) return;
+        
+        const name = RECIPES[itemId]?.name || itemId;
+        const queued = remaining === Infinity ? ' (all)' : remaining > 1 ? ` (${remaining} left)` : '';
+        container.classList.remove('hidden');
+        document.getElementById('crafting-progress-label').textContent = `Crafting ${name}${queued}`;
+        document.getElementById('crafting-progress-fill').style.width = `${Math.round(progress * 100)}%`;
+    }
+
+    hideCraftingProgress() {
+        document.getElementById('crafting-progress')?.classList.add('hidden');
+    }
+
     // Notifications
     showNotification(message, type = 'info') {
         const notification = document.createElement('div');
@@ -1659,9 +1893,10 @@ export class UIManager {
         }
 
         const player = this.gameEngine.getPlayer();
+        const skillsSystem = this.gameEngine.getSkillsSystem?.();
         this.updatePlayerInfoDisplay(
             player.name,
-            player.level,
+            skillsSystem ? `Combat ${skillsSystem.getCombatLevel()}` : 'N/A',
             player.health,
             player.energy,
             player.gold
@@ -1713,6 +1948,7 @@ export class UIManager {
         if (this.gameUI) this.gameUI.style.display = 'none';
         if (this.craftingPanel) this.craftingPanel.style.display = 'none';
         if (this.inventory) this.inventory.style.display = 'none';
+        if (this.skillsPanel) this.skillsPanel.classList.add('hidden');
         if (this.topHUD) this.topHUD.style.display = 'none';
         if (this.actionButtons) this.actionButtons.style.display = 'none';
         if (this.timeDisplay) this.timeDisplay.style.display = 'none';
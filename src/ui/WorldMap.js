@@ -0,0 +1,381 @@
+import * as THREE from 'three';
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 12;
+const DRAG_THRESHOLD = 4; // Pixels the mouse can move before a click becomes a pan
+const WAYPOINT_HIT_RADIUS = 12; // Pixels - right-clicking this close to a waypoint removes it
+const MAX_WAYPOINTS = 20;
+
+// Full-screen top-down map drawn from the world's own data (landmarks, resource nodes, players).
+// Zoom 1 fits the whole world on screen; waypoints are kept per character in localStorage.
+export class WorldMap {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.container = null;
+        this.canvas = null;
+        this.context = null;
+        this.isOpen = false;
+
+        // View state
+        this.zoom = 1;
+        this.center = { x: 0, z: 0 }; // World position in the middle of the canvas
+        this.followPlayer = true; // Until the user pans away
+        this.drag = null; // { startX, startY, lastX, lastY, moved }
+        this.animationFrame = null;
+
+        this.waypoints = []; // [{ id, name, x, z }]
+        this.waypointsKey = null; // localStorage key for the current character
+        this.isInitialized = false;
+    }
+
+    async init() {
+        if (this.isInitialized) {
+            console.warn('⚠️ WorldMap already initialized, skipping...');
+            return;
+        }
+
+        console.log('🗺️ Initializing World Map...');
+
+        this.container = document.getElementById('world-map');
+        this.canvas = document.getElementById('world-map-canvas');
+        if (!this.container || !this.canvas) {
+            console.warn('⚠️ World map elements not found in DOM, map disabled');
+            return;
+        }
+        this.context = this.canvas.getContext('2d');
+
+        this.setupEventListeners();
+
+        this.isInitialized = true;
+        console.log('✅ World Map initialized');
+    }
+
+    setupEventListeners() {
+        document.getElementById('close-world-map')?.addEventListener('click', () => this.close());
+        document.getElementById('world-map-zoom-in')?.addEventListener('click', () => this.setZoom(this.zoom * 1.5));
+        document.getElementById('world-map-zoom-out')?.addEventListener('click', () => this.setZoom(this.zoom / 1.5));
+        document.getElementById('world-map-center')?.addEventListener('click', () => {
+            this.followPlayer = true;
+        });
+
+        // Zoom towards the cursor so the point under it stays put
+        this.canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const before = this.screenToWorld(event.offsetX, event.offsetY);
+            this.setZoom(this.zoom * (event.deltaY < 0 ? 1.2 : 1 / 1.2));
+            const after = this.screenToWorld(event.offsetX, event.offsetY);
+            this.followPlayer = false;
+            this.center.x += before.x - after.x;
+            this.center.z += before.z - after.z;
+        }, { passive: false });
+
+        this.canvas.addEventListener('mousedown', (event) => {
+            if (event.button !== 0) return;
+            this.drag = { startX: event.clientX, startY: event.clientY, lastX: event.clientX, lastY: event.clientY, moved: false };
+        });
+
+        window.addEventListener('mousemove', (event) => {
+            if (!this.drag) return;
+            if (Math.hypot(event.clientX - this.drag.startX, event.clientY - this.drag.startY) > DRAG_THRESHOLD) {
+                this.drag.moved = true;
+            }
+            if (this.drag.moved) {
+                const scale = this.getScale();
+                this.followPlayer = false;
+                this.center.x -= (event.clientX - this.drag.lastX) / scale;
+                this.center.z -= (event.clientY - this.drag.lastY) / scale;
+            }
+            this.drag.lastX = event.clientX;
+            this.drag.lastY = event.clientY;
+        });
+
+        window.addEventListener('mouseup', (event) => {
+            if (!this.drag) return;
+            const wasClick = !this.drag.moved;
+            this.drag = null;
+            if (wasClick && event.target === this.canvas) {
+                this.walkTo(this.screenToWorld(event.offsetX, event.offsetY));
+            }
+        });
+
+        // Right click places a waypoint, or removes the one under the cursor
+        this.canvas.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            this.toggleWaypointAt(event.offsetX, event.offsetY);
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (this.isOpen && event.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.isOpen) this.resizeCanvas();
+        });
+    }
+
+    open() {
+        if (!this.isInitialized || this.isOpen) return;
+
+        this.loadWaypoints();
+        this.container.classList.remove('hidden');
+        this.isOpen = true;
+        this.followPlayer = true;
+        this.resizeCanvas();
+        this.renderLoop();
+        console.log('🗺️ World map opened');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.container.classList.add('hidden');
+        this.isOpen = false;
+        this.drag = null;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    resizeCanvas() {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.max(1, Math.round(rect.width * ratio));
+        this.canvas.height = Math.max(1, Math.round(rect.height * ratio));
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.viewWidth = rect.width;
+        this.viewHeight = rect.height;
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    }
+
+    // Pixels per world unit
+    getScale() {
+        const worldSize = this.gameEngine.getWorldManager()?.getWorldSize() || 1000;
+        return (Math.min(this.viewWidth, this.viewHeight) / worldSize) * this.zoom;
+    }
+
+    // North is up: world x runs right, world z runs down
+    worldToScreen(x, z) {
+        const scale = this.getScale();
+        return {
+            x: this.viewWidth / 2 + (x - this.center.x) * scale,
+            y: this.viewHeight / 2 + (z - this.center.z) * scale
+        };
+    }
+
+    screenToWorld(screenX, screenY) {
+        const scale = this.getScale();
+        return {
+            x: this.center.x + (screenX - this.viewWidth / 2) / scale,
+            z: this.center.z + (screenY - this.viewHeight / 2) / scale
+        };
+    }
+
+    walkTo(position) {
+        const worldSize = this.gameEngine.getWorldManager()?.getWorldSize() || 1000;
+        if (Math.abs(position.x) > worldSize / 2 || Math.abs(position.z) > worldSize / 2) return;
+
+        this.gameEngine.walkTo(new THREE.Vector3(position.x, 0, position.z));
+    }
+
+    renderLoop() {
+        if (!this.isOpen) return;
+        this.draw();
+        this.animationFrame = requestAnimationFrame(() => this.renderLoop());
+    }
+
+    draw() {
+        const player = this.gameEngine.getPlayer();
+        if (this.followPlayer && player) {
+            const position = player.getPosition();
+            this.center = { x: position.x, z: position.z };
+        }
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, this.viewWidth, this.viewHeight);
+        this.drawTerrain(ctx);
+        this.drawFeatures(ctx);
+        this.drawWaypoints(ctx);
+        this.drawOtherPlayers(ctx);
+        this.drawPlayer(ctx, player);
+    }
+
+    drawTerrain(ctx) {
+        const worldSize = this.gameEngine.getWorldManager()?.getWorldSize() || 1000;
+        const topLeft = this.worldToScreen(-worldSize / 2, -worldSize / 2);
+        const size = worldSize * this.getScale();
+
+        ctx.fillStyle = '#1a1208';
+        ctx.fillRect(0, 0, this.viewWidth, this.viewHeight);
+        ctx.fillStyle = '#d2b48c';
+        ctx.fillRect(topLeft.x, topLeft.y, size, size);
+
+        // Grid lines every 100 units to help judge distance
+        ctx.strokeStyle = 'rgba(139, 69, 19, 0.25)';
+        ctx.lineWidth = 1;
+        for (let offset = 0; offset <= worldSize; offset += 100) {
+            const line = offset * this.getScale();
+            ctx.beginPath();
+            ctx.moveTo(topLeft.x + line, topLeft.y);
+            ctx.lineTo(topLeft.x + line, topLeft.y + size);
+            ctx.moveTo(topLeft.x, topLeft.y + line);
+            ctx.lineTo(topLeft.x + size, topLeft.y + line);
+            ctx.stroke();
+        }
+    }
+
+    drawFeatures(ctx) {
+        const showNames = this.zoom >= 2;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        (this.gameEngine.getWorldManager()?.getMapFeatures() || []).forEach(feature => {
+            const point = this.worldToScreen(feature.x, feature.z);
+            ctx.font = '18px sans-serif';
+            ctx.fillText(feature.icon, point.x, point.y);
+            if (showNames && feature.name) {
+                this.drawLabel(ctx, feature.name, point.x, point.y + 16);
+            }
+        });
+    }
+
+    drawLabel(ctx, text, x, y) {
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.strokeText(text, x, y);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, x, y);
+    }
+
+    drawOtherPlayers(ctx) {
+        this.gameEngine.getOtherPlayers().forEach(other => {
+            const point = this.worldToScreen(other.position.x, other.position.z);
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+    }
+
+    // Arrow pointing the way the character faces (mesh yaw: 0 faces +z, which is down on the map)
+    drawPlayer(ctx, player) {
+        if (!player) return;
+
+        const position = player.getPosition();
+        const yaw = player.getNetworkRotation().y;
+        const point = this.worldToScreen(position.x, position.z);
+
+        ctx.save();
+        ctx.translate(point.x, point.y);
+        ctx.rotate(-yaw);
+        ctx.beginPath();
+        ctx.moveTo(0, 9);
+        ctx.lineTo(6, -6);
+        ctx.lineTo(0, -3);
+        ctx.lineTo(-6, -6);
+        ctx.closePath();
+        ctx.fillStyle = '#ffd700';
+        ctx.fill();
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawWaypoints(ctx) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        this.waypoints.forEach(waypoint => {
+            const point = this.worldToScreen(waypoint.x, waypoint.z);
+            ctx.font = '20px sans-serif';
+            ctx.fillText('🚩', point.x, point.y);
+            this.drawLabel(ctx, waypoint.name, point.x, point.y + 14);
+        });
+        ctx.textBaseline = 'middle';
+    }
+
+    // Waypoints
+    getCharacterKey() {
+        const id = this.gameEngine.characterData?.id || this.gameEngine.getPlayerName();
+        return `egyptMMO_waypoints_${id}`;
+    }
+
+    loadWaypoints() {
+        const key = this.getCharacterKey();
+        if (key === this.waypointsKey) return;
+
+        this.waypointsKey = key;
+        try {
+            const saved = JSON.parse(localStorage.getItem(key) || '[]');
+            this.waypoints = Array.isArray(saved) ? saved.filter(w => Number.isFinite(w?.x) && Number.isFinite(w?.z)) : [];
+        } catch (error) {
+            console.warn('⚠️ Could not read saved waypoints:', error);
+            this.waypoints = [];
+        }
+    }
+
+    saveWaypoints() {
+        try {
+            localStorage.setItem(this.waypointsKey, JSON.stringify(this.waypoints));
+        } catch (error) {
+            console.warn('⚠️ Could not save waypoints:', error);
+        }
+    }
+
+    toggleWaypointAt(screenX, screenY) {
+        const existing = this.waypoints.find(waypoint => {
+            const point = this.worldToScreen(waypoint.x, waypoint.z);
+            return Math.hypot(point.x - screenX, point.y - 10 - screenY) <= WAYPOINT_HIT_RADIUS;
+        });
+
+        if (existing) {
+            this.removeWaypoint(existing.id);
+        } else {
+            const position = this.screenToWorld(screenX, screenY);
+            this.addWaypoint(position.x, position.z);
+        }
+    }
+
+    addWaypoint(x, z, name = null) {
+        if (this.waypoints.length >= MAX_WAYPOINTS) {
+            this.gameEngine.uiManager?.showNotification(`You can only place ${MAX_WAYPOINTS} waypoints`, 'info');
+            return null;
+        }
+
+        const id = this.waypoints.reduce((max, waypoint) => Math.max(max, waypoint.id || 0), 0) + 1;
+        const waypoint = {
+            id: id,
+            name: name || `Waypoint ${id}`,
+            x: Math.round(x),
+            z: Math.round(z)
+        };
+        this.waypoints.push(waypoint);
+        this.saveWaypoints();
+        return waypoint;
+    }
+
+    removeWaypoint(id) {
+        this.waypoints = this.waypoints.filter(waypoint => waypoint.id !== id);
+        this.saveWaypoints();
+    }
+
+    getWaypoints() {
+        return [...this.waypoints];
+    }
+}